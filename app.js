@@ -1,3 +1,11 @@
+import { EXPORT_FORMATS, exportPlaces } from './lib/export.mjs';
+import { TILE_INDEX_VERSION, boundingBox, chunksInBounds } from './lib/tiles.mjs';
+import { distanceMeters, sortByDistance } from './lib/geo.mjs';
+import { BoundaryError, parseBoundaries } from './lib/neighborhoods.mjs';
+import { slugify } from './lib/slugify.mjs';
+import { COLLECTION_INDEX_VERSION } from './lib/collection-index.mjs';
+import { MAX_TRIP_STOPS, RoutingError, solveTripOrder, travelSpeed, travelMinutes, createRouter, encodeTripHash, decodeTripHash } from './lib/trip.mjs';
+
 // ===== SHARED CONFIG ACCESS =====
 // shared.js is loaded as a classic script before this module, setting window.PlacesConfig.
 // We use globalThis to work in both browser (window) and Node.js (for tests).
@@ -6,16 +14,40 @@ const {
   statusColors,
   categoryIcons,
   primaryIcons,
-  slugify,
+  registerCategories,
   getPlaceIcon,
   formatWebsiteDisplay,
   encodeFilterHash,
+  collectionHash,
   getOpenStatus,
+  getDaySchedule,
+  setTimeZone,
+  getZonedTime,
+  getNextOccurrence,
+  isOpenFor,
+  hoursFromDisplay,
+  formatMinutesAsTime,
+  METERS_PER_MILE,
   DAY_NAMES
 } = globalThis.PlacesConfig || window.PlacesConfig;
 
 // Re-export for backwards compatibility (tests import from app.js)
-export { statusColors, categoryIcons, primaryIcons, slugify, getPlaceIcon, formatWebsiteDisplay, encodeFilterHash, getOpenStatus };
+export { statusColors, categoryIcons, primaryIcons, slugify, getPlaceIcon, formatWebsiteDisplay, encodeFilterHash, collectionHash, getOpenStatus };
+// For the places API in serve.mjs, which imports the map's functions from here
+export { sortByDistance };
+
+// Where the map starts before places load. Collections in
+// collections/index.json can set their own view.
+const DEFAULT_VIEW = { center: [45.52, -122.67], zoom: 12 };
+
+// Street distances for trips, by travel mode. The 'grid' router estimates
+// them locally; for real streets, use an OSRM server, e.g.
+//   walk: { router: 'osrm', url: 'https://routing.openstreetmap.de/routed-foot' }
+//   bike: { router: 'osrm', url: 'https://routing.openstreetmap.de/routed-bike' }
+const STREET_ROUTING = {
+  walk: { router: 'grid' },
+  bike: { router: 'grid' }
+};
 
 /**
  * Find category name from slug, given list of places
@@ -27,18 +59,70 @@ export function findCategoryBySlug(slug, places) {
 }
 
 /**
- * Decode URL hash to filter state object
+ * Find a neighborhood's name from its slug, as the first place in it
+ * spells it, or null
+ */
+export function findNeighborhoodBySlug(slug, places) {
+  const feature = places.find(f => f.properties.neighborhood && slugify(f.properties.neighborhood) === slug);
+  return feature ? feature.properties.neighborhood : null;
+}
+
+// Weekdays as they appear in open-at hashes, indexed like Date#getDay()
+const OPEN_AT_DAYS = DAY_NAMES.map(day => day.slice(0, 3).toLowerCase());
+const OPEN_FILTER_HASH = new RegExp(
+  `^open-(?:now|at-(${OPEN_AT_DAYS.join('|')})-([01]\\d|2[0-3])([0-5]\\d))(?:-for-([1-9]\\d{0,3}))?(?:/|$)`
+);
+// Radius in miles around the user's location ("within-0.5mi")
+const RADIUS_FILTER_HASH = /^within-(\d{1,3}(?:\.\d{1,2})?)mi(?:\/|$)/;
+// Neighborhood by slug ("in-hosford-abernethy")
+const NEIGHBORHOOD_FILTER_HASH = /^in-([a-z0-9]+(?:-[a-z0-9]+)*)(?:\/|$)/;
+
+/**
+ * Split a collection's prefix off a URL hash: "#/seattle/haunts" is
+ * { collection: 'seattle', hash: '#haunts' }. Hashes without one belong to
+ * the default collection (null).
+ */
+export function splitCollectionHash(hash) {
+  const match = /^#\/([a-z0-9-]+)\/?(.*)$/.exec(hash || '');
+  if (!match) return { collection: null, hash: hash || '' };
+  return { collection: match[1], hash: match[2] ? `#${match[2]}` : '' };
+}
+
+/**
+ * Decode URL hash to filter state object. A collection prefix is ignored
+ * (see splitCollectionHash).
  */
 export function decodeFilterHash(hash, places = []) {
-  const result = { status: 'all', category: 'all', primary: 'all', openNow: false };
+  const result = { status: 'all', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' };
 
+  hash = splitCollectionHash(hash).hash;
   if (!hash || hash === '#') return result;
 
-  // Check for open-now prefix
+  // Check for open-now or open-at prefix ("open-now", "open-at-fri-2300-for-60")
   let hashContent = hash.replace(/^#/, '');
-  if (hashContent.startsWith('open-now')) {
-    result.openNow = true;
-    hashContent = hashContent.replace(/^open-now\/?/, '');
+  const openMatch = hashContent.match(OPEN_FILTER_HASH);
+  if (openMatch) {
+    const [prefix, day, hours, minutes, openFor] = openMatch;
+    if (day) {
+      result.openAt = { day: OPEN_AT_DAYS.indexOf(day), minutes: Number(hours) * 60 + Number(minutes) };
+    } else {
+      result.openNow = true;
+    }
+    if (openFor) result.openFor = Number(openFor);
+    hashContent = hashContent.slice(prefix.length);
+  }
+
+  const radiusMatch = hashContent.match(RADIUS_FILTER_HASH);
+  if (radiusMatch && Number(radiusMatch[1]) > 0) {
+    result.radius = Number(radiusMatch[1]);
+    hashContent = hashContent.slice(radiusMatch[0].length);
+  }
+
+  // A neighborhood none of the places are in is dropped
+  const neighborhoodMatch = hashContent.match(NEIGHBORHOOD_FILTER_HASH);
+  if (neighborhoodMatch) {
+    result.neighborhood = findNeighborhoodBySlug(neighborhoodMatch[1], places) || 'all';
+    hashContent = hashContent.slice(neighborhoodMatch[0].length);
   }
 
   const parts = hashContent.split('/').filter(Boolean);
@@ -72,9 +156,21 @@ export function decodeFilterHash(hash, places = []) {
 }
 
 /**
- * Filter places based on filter state
+ * The time the open filter asks about: `now` for Open Now, the next
+ * occurrence of the chosen day and time for Open At, or null when off
  */
-export function filterPlaces(places, filterState) {
+export function getOpenFilterTime(filterState, now = new Date()) {
+  if (filterState.openAt) return getNextOccurrence(filterState.openAt.day, filterState.openAt.minutes, now);
+  return filterState.openNow ? now : null;
+}
+
+/**
+ * Filter places based on filter state. The radius filter (miles) counts
+ * from `location` ([lat, lng]) and is skipped until the location is known.
+ */
+export function filterPlaces(places, filterState, now = new Date(), location = null) {
+  const openTime = getOpenFilterTime(filterState, now);
+  const radiusMeters = location && filterState.radius > 0 ? filterState.radius * METERS_PER_MILE : 0;
   return places.filter(feature => {
     const props = feature.properties;
     if (filterState.status !== 'all' && props.status !== filterState.status) return false;
@@ -82,15 +178,50 @@ export function filterPlaces(places, filterState) {
     if (filterState.primary !== 'all' && props.category === 'Food & Drink') {
       if (props.primary !== filterState.primary) return false;
     }
-    // Open Now filter - exclude places without hours or that are closed
-    if (filterState.openNow) {
-      const openStatus = getOpenStatus(props.hours);
-      if (!openStatus.isOpen) return false;
+    // Neighborhoods match by slug, whatever the notes' capitalization
+    if (filterState.neighborhood && filterState.neighborhood !== 'all' &&
+      slugify(props.neighborhood || '') !== slugify(filterState.neighborhood)) {
+      return false;
+    }
+    // Open Now / Open At filter - exclude places without hours, closed then,
+    // or closing within the chosen minimum time
+    if (openTime) {
+      const openStatus = getOpenStatus(props.openingHours, openTime);
+      if (!isOpenFor(openStatus, filterState.openFor)) return false;
+    }
+    if (radiusMeters && distanceMeters([location[1], location[0]], feature.geometry.coordinates) > radiusMeters) {
+      return false;
     }
     return true;
   });
 }
 
+/**
+ * The places' neighborhoods with how many places each has, by name:
+ * [{ name, slug, count }]. Spellings of one neighborhood ("Hosford-Abernethy",
+ * "hosford-abernethy") count together under the first seen.
+ */
+export function countNeighborhoods(places) {
+  const counts = new Map();
+  for (const feature of places) {
+    const name = feature.properties.neighborhood;
+    if (!name) continue;
+    const slug = slugify(name);
+    if (!counts.has(slug)) counts.set(slug, { name, slug, count: 0 });
+    counts.get(slug).count++;
+  }
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * File name for an export of the filtered places in a collection (by id, or
+ * null without collections), e.g. "seattle-places-queue-food-drink.gpx"
+ */
+export function exportFilename(filterState, format, collection = null) {
+  const filters = slugify(encodeFilterHash(filterState));
+  return `${collection ? `${collection}-` : ''}places${filters ? `-${filters}` : ''}.${EXPORT_FORMATS[format].extension}`;
+}
+
 /**
  * MiniSearch configuration for full-text search
  * Searches: name, neighborhood, notes, type[], cuisine[], goodFor[]
@@ -198,6 +329,22 @@ function simpleFallbackSearch(places, query) {
   });
 }
 
+/**
+ * List sidebar items for places, { feature, id, distance }, with the
+ * distance in meters from `location` ([lat, lng]) or null while it's
+ * unknown. Sorted by name, or nearest first when `sort` is 'distance' and
+ * the location is known.
+ */
+export function listPlaces(places, sort = 'name', location = null) {
+  const items = location
+    ? sortByDistance(places, location).map(({ feature, distance }) => ({ feature, id: feature.id, distance }))
+    : places.map(feature => ({ feature, id: feature.id, distance: null }));
+  if (sort !== 'distance' || !location) {
+    items.sort((a, b) => a.feature.properties.name.localeCompare(b.feature.properties.name));
+  }
+  return items;
+}
+
 /**
  * Group places by category
  */
@@ -213,10 +360,203 @@ export function groupPlacesByCategory(places) {
   return byCategory;
 }
 
+/**
+ * Category names to show, in display order: the GeoJSON `categories` list
+ * (already sorted by the generator) minus empty ones, or the sorted
+ * categories of the features for data without that list
+ */
+export function getCategoryNames(data) {
+  if (Array.isArray(data.categories)) {
+    // A chunk index has no features, only each category's count
+    const used = data.features ? new Set(data.features.map(f => f.properties.category)) : null;
+    return data.categories
+      .filter(c => used ? used.has(c.name) : c.count > 0)
+      .map(c => c.name);
+  }
+  return [...new Set(data.features.map(f => f.properties.category))].sort();
+}
+
+/**
+ * Give features from older places.geojson files (generated before ids and
+ * slugs existed) an id and name-based slug, in place
+ */
+export function ensurePlaceIds(places) {
+  places.forEach((feature, index) => {
+    if (feature.id === undefined) feature.id = `place-${index}`;
+    if (!feature.properties.slug) feature.properties.slug = slugify(feature.properties.name);
+  });
+  return places;
+}
+
+/**
+ * Give features from older places.geojson files (generated before hours
+ * were parsed at build time) structured `openingHours`, in place
+ */
+export function ensureOpeningHours(places) {
+  places.forEach(feature => {
+    if (!feature.properties.openingHours) {
+      feature.properties.openingHours = hoursFromDisplay(feature.properties.hours);
+    }
+  });
+  return places;
+}
+
+/**
+ * Find the place a #place/<slug> link points to: the place with that slug,
+ * else a place that used to have it (renamed), else a place whose name
+ * slugifies to it (links made before slugs were generated)
+ */
+export function findPlaceBySlug(places, slug) {
+  return places.find(f => f.properties.slug === slug) ||
+    places.find(f => f.properties.previousSlugs?.includes(slug)) ||
+    places.find(f => slugify(f.properties.name) === slug) ||
+    null;
+}
+
+// ===== ITINERARY =====
+
+// Time spent at each trip stop, unless the trip says otherwise
+const DEFAULT_STAY_MINUTES = 30;
+
+// Steps the search for an order keeping every stop open may take before
+// settling for the best it has found (or none)
+const ITINERARY_SEARCH_LIMIT = 2000;
+
+// Why a stop won't work when reached with this open status: 'closed',
+// 'closing-soon' (within CLOSING_SOON_MINUTES of closing), or null. Stops
+// without known hours can't be checked, so aren't flagged.
+function itineraryProblem(openStatus) {
+  if (openStatus.status === 'closed') return 'closed';
+  if (openStatus.status === 'closing-soon') return 'closing-soon';
+  return null;
+}
+
+// When the next stop is reached, `meters` on from a stop reached at `time`
+function nextArrival(time, meters, { metersPerMinute, stayMinutes }) {
+  return time + (stayMinutes + Math.ceil(meters / metersPerMinute)) * 60000;
+}
+
+/**
+ * When a trip reaches each of its stops, in order, and whether they're open
+ * then. The trip is at the first stop at `start`, stays `stayMinutes` at
+ * each, and covers `legs` (meters between consecutive stops) at
+ * `metersPerMinute`. Returns [{ feature, arrival, open, problem }]: `open`
+ * is getOpenStatus() on arrival, and `problem` 'closed' or 'closing-soon'
+ * for a stop that won't work, else null.
+ */
+export function planItinerary(stops, legs, { start, metersPerMinute, stayMinutes = DEFAULT_STAY_MINUTES }) {
+  let time = start.getTime();
+  return stops.map((feature, i) => {
+    if (i > 0) time = nextArrival(time, legs[i - 1], { metersPerMinute, stayMinutes });
+    const arrival = new Date(time);
+    const open = getOpenStatus(feature.properties.openingHours, arrival);
+    return { feature, arrival, open, problem: itineraryProblem(open) };
+  });
+}
+
+/**
+ * A visiting order for `stops` (as indices) with every stop open on
+ * arrival, timed like planItinerary with the same options, or null when
+ * there's none. `matrix` is meters between every pair of stops. The
+ * shortest order found wins. Stops closing soonest are tried first, and the
+ * search stops after ITINERARY_SEARCH_LIMIT steps, so among many stops it
+ * can miss an order that exists.
+ */
+export function suggestOpenOrder(stops, matrix, { start, metersPerMinute, stayMinutes = DEFAULT_STAY_MINUTES }) {
+  const count = stops.length;
+  const order = [];
+  const visited = new Set();
+  let best = null;
+  let bestLength = Infinity;
+  let steps = 0;
+
+  // Open statuses by stop and arrival, which many orders share
+  const statuses = new Map();
+  const openStatus = (i, arrival) => {
+    const key = `${i}@${arrival}`;
+    if (!statuses.has(key)) statuses.set(key, getOpenStatus(stops[i].properties.openingHours, new Date(arrival)));
+    return statuses.get(key);
+  };
+
+  const visit = (time, length) => {
+    if (order.length === count) {
+      best = [...order];
+      bestLength = length;
+      return;
+    }
+    const last = order[order.length - 1];
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      if (visited.has(i)) continue;
+      const meters = order.length === 0 ? 0 : matrix[last][i];
+      const arrival = order.length === 0 ? time : nextArrival(time, meters, { metersPerMinute, stayMinutes });
+      const open = openStatus(i, arrival);
+      if (itineraryProblem(open)) continue;
+      candidates.push({ i, arrival, length: length + meters, closesIn: open.minutesUntilClose ?? Infinity });
+    }
+    candidates.sort((a, b) => a.closesIn - b.closesIn || a.length - b.length);
+    for (const candidate of candidates) {
+      if (candidate.length >= bestLength) continue;
+      if (++steps > ITINERARY_SEARCH_LIMIT) return;
+      order.push(candidate.i);
+      visited.add(candidate.i);
+      visit(candidate.arrival, candidate.length);
+      order.pop();
+      visited.delete(candidate.i);
+    }
+  };
+
+  visit(start.getTime(), 0);
+  return best;
+}
+
+// ===== LOCATION =====
+
+/**
+ * What to tell the user when finding them fails, by GeolocationPositionError
+ * code (Leaflet uses 0 when the browser has no geolocation)
+ */
+export function locationErrorMessage(code) {
+  switch (code) {
+    case 0: return 'This browser can\'t share your location.';
+    case 1: return 'Location access is blocked. Allow it in your browser\'s settings to see where you are.';
+    case 3: return 'Finding your location is taking a while. Still trying…';
+    default: return 'Your location isn\'t available right now. Still trying…';
+  }
+}
+
+/**
+ * Whether tracking should stop after a location error: the browser has no
+ * geolocation or the user refused it. Other errors pass, and the watch
+ * keeps going.
+ */
+export function isFatalLocationError(code) {
+  return code === 0 || code === 1;
+}
+
+/**
+ * Compass heading in degrees (0 north, clockwise) from a location fix, or
+ * null when the device doesn't report one, as while standing still.
+ */
+export function locationHeading(heading) {
+  if (typeof heading !== 'number' || !Number.isFinite(heading)) return null;
+  return ((heading % 360) + 360) % 360;
+}
+
 // ===== MAP LOGIC =====
 
 let map, markers;
 
+// Length of the glide from one location fix to the next
+const LOCATION_ANIMATION_MS = 600;
+
+// Zoom at least this far in when following the user
+const FOLLOW_ZOOM = 15;
+
+// How far the user moves before list distances and the radius filter are
+// worked out again; the marker itself follows every fix
+const LOCATION_UPDATE_METERS = 20;
+
 function createMarkerIcon(status, category, primary) {
   const statusClass = `marker-${status || 'unknown'}`;
   const iconClass = getPlaceIcon(category, primary);
@@ -230,29 +570,43 @@ function createMarkerIcon(status, category, primary) {
   });
 }
 
+async function fetchJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+  }
+  return res.json();
+}
+
 /**
  * Process hours array into display-ready format, including open status
  */
-function processHours(hours) {
-  if (!Array.isArray(hours) || hours.length === 0) return null;
-
-  const todayIndex = new Date().getDay();
+function processHours(hours, openingHours) {
+  const now = new Date();
+  const openStatus = getOpenStatus(openingHours, now);
+  const hasHours = Array.isArray(hours) && hours.length > 0;
+  if (!hasHours && !openStatus.notice) return null;
+
+  // "Today" is today where the places are
+  const zoned = getZonedTime(now);
+  const todayIndex = zoned.day;
   const today = DAY_NAMES[todayIndex];
+  const schedule = openingHours ? getDaySchedule(openingHours, zoned.dateKey) : null;
 
   // Reorder days starting from today
   const orderedDays = [...DAY_NAMES.slice(todayIndex), ...DAY_NAMES.slice(0, todayIndex)];
 
-  // Extract time for a given day from hours array
+  // Extract time for a given day, preferring the current season's lines
+  const lines = [...(schedule?.season?.hours || []), ...(hours || [])];
   const getTimeForDay = (day) => {
-    const entry = hours.find(h => h.startsWith(day));
+    const entry = lines.find(h => h.startsWith(day));
     return entry ? entry.replace(`${day}: `, '') : '';
   };
 
-  const openStatus = getOpenStatus(hours);
-
   return {
+    hoursNotice: openStatus.notice,
     todayName: today,
-    todayHours: getTimeForDay(today) || 'Hours not listed',
+    todayHours: schedule?.timeStr || getTimeForDay(today) || 'Hours not listed',
     orderedHours: orderedDays
       .map(day => ({ name: day, time: getTimeForDay(day), isToday: day === today }))
       .filter(d => d.time),
@@ -264,12 +618,27 @@ function processHours(hours) {
   };
 }
 
+/**
+ * Marker for a place, opening its popup on click
+ */
+function createPlaceMarker(feature) {
+  const props = feature.properties;
+  const coords = feature.geometry.coordinates;
+
+  const marker = L.marker([coords[1], coords[0]], {
+    icon: createMarkerIcon(props.status, props.category, props.primary)
+  });
+  marker.placeId = feature.id;
+  marker.bindPopup(() => createPopupElement(props, feature.id), { maxWidth: 280 });
+  return marker;
+}
+
 /**
  * Create popup element using Alpine template.
  * Clones #popup-template and injects place data into its local x-data scope.
  * Each popup has isolated data, preventing flicker when clicking between markers.
  */
-function createPopupElement(props) {
+function createPopupElement(props, id) {
   const template = document.getElementById('popup-template');
   if (!template) {
     console.error('Popup template not found');
@@ -279,9 +648,10 @@ function createPopupElement(props) {
   }
 
   // Pre-process data for Alpine template
-  const hoursData = processHours(props.hours);
+  const hoursData = processHours(props.hours, props.openingHours);
   const placeData = {
     ...props,
+    id,
     ...(hoursData || {}),
     websiteDisplay: props.website ? formatWebsiteDisplay(props.website) : null,
     tags: [...(props.type || []), ...(props.cuisine || []), ...(props.goodFor || [])].filter(Boolean),
@@ -312,6 +682,26 @@ class MapApp {
   constructor() {
     this.userMarker = null;
     this.userCircle = null;
+    // Watching the location, and keeping the map centered on it
+    this.tracking = false;
+    this.following = false;
+    this.locationAnimation = null;
+    this.lastLocationError = null;
+    // Collections from collections/index.json and the one shown, or null
+    // for a single places.geojson
+    this.collections = null;
+    this.collection = null;
+    // Chunk index when places load by viewport, and chunk loads by number
+    this.tileIndex = null;
+    this.chunkLoads = new Map();
+    // The trip's route and numbered stops, and the latest routing request
+    this.tripLayer = null;
+    this.tripUpdate = 0;
+    this.tripMatrix = null;
+    // Neighborhood boundaries (lib/neighborhoods.mjs) and their layer; null
+    // until first shown, false when the collection has none
+    this.boundaries = null;
+    this.boundaryLayer = null;
   }
 
   get store() {
@@ -319,7 +709,7 @@ class MapApp {
   }
 
   init() {
-    map = L.map('map').setView([45.52, -122.67], 12);
+    map = L.map('map').setView(DEFAULT_VIEW.center, DEFAULT_VIEW.zoom);
 
     L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
       attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/">CARTO</a>',
@@ -345,38 +735,110 @@ class MapApp {
       }
     }).addTo(map);
 
+    this.tripLayer = L.layerGroup().addTo(map);
+
     this.loadPlaces();
     this.setupMapEvents();
-    window.addEventListener('hashchange', () => this.handleHashChange());
+    window.addEventListener('hashchange', () => {
+      this.handleHashChange().catch(err => console.error('Failed to load places:', err));
+    });
   }
 
-  async loadPlaces() {
+  // Load the list of collections the generator writes with a
+  // collections.json (see lib/collections.mjs), or null without one
+  async fetchCollections() {
     try {
-      const res = await fetch('places.geojson');
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-      }
-      const data = await res.json();
+      const index = await fetchJSON('collections/index.json');
+      return index.version === COLLECTION_INDEX_VERSION && index.collections.length > 0 ? index.collections : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // URL of one of the current collection's data files
+  dataUrl(file) {
+    return this.collection ? `collections/${this.collection.id}/${file}` : file;
+  }
+
+  // Load the chunk index the generator writes to tiles/ (see
+  // lib/tiles.mjs), or null to fall back to the whole places.geojson
+  async fetchTileIndex() {
+    try {
+      const index = await fetchJSON(this.dataUrl('tiles/index.json'));
+      return index.version === TILE_INDEX_VERSION ? index : null;
+    } catch {
+      return null;
+    }
+  }
 
+  // The collection with this id, or the default (first) one
+  findCollection(id) {
+    return this.collections.find(collection => collection.id === id) || this.collections[0];
+  }
+
+  // Show a collection's places (by id) in place of the current ones
+  async loadCollection(id) {
+    this.collection = this.collections ? this.findCollection(id) : null;
+    this.tileIndex = await this.fetchTileIndex();
+    this.chunkLoads = new Map();
+    const data = this.tileIndex || await fetchJSON(this.dataUrl('places.geojson'));
+
+    registerCategories(data.categories);
+    setTimeZone(data.timezone);
+    if (this.store) {
+      this.store.collection = this.collection ? this.collection.id : null;
+      // With chunks, places arrive as the map shows their area
+      this.store.places = data.features ? ensureOpeningHours(ensurePlaceIds(data.features)) : [];
+      this.store.categories = getCategoryNames(data);
+    }
+    if (this.collection) {
+      document.title = `${this.collection.name} Places`;
+    }
+
+    // Each collection has its own boundaries, if any
+    if (this.boundaryLayer) map.removeLayer(this.boundaryLayer);
+    this.boundaries = null;
+    this.boundaryLayer = null;
+
+    this.renderMarkers();
+    if (this.store && this.store.ui.boundaries !== 'off') {
+      this.showBoundaries(this.store.ui.boundaries).catch(err => console.error('Failed to show neighborhoods:', err));
+    }
+  }
+
+  // The collection's own starting view, or else all of its places
+  showCollection() {
+    if (this.collection?.center) {
+      map.setView(this.collection.center, this.collection.zoom);
+      return;
+    }
+    const bbox = this.tileIndex ? this.tileIndex.bbox : boundingBox(this.store?.places || []);
+    if (bbox) {
+      const [west, south, east, north] = bbox;
+      map.fitBounds([[south, west], [north, east]], {
+        paddingTopLeft: [80, 70],
+        paddingBottomRight: [60, 80]
+      });
+    }
+  }
+
+  async loadPlaces() {
+    try {
+      this.collections = await this.fetchCollections();
       if (this.store) {
-        this.store.places = data.features;
-        this.store.categories = [...new Set(data.features.map(f => f.properties.category))].sort();
+        this.store.collections = (this.collections || []).map(({ id, name }) => ({ id, name }));
       }
 
-      this.renderMarkers();
+      const { collection, hash } = splitCollectionHash(window.location.hash);
+      await this.loadCollection(collection);
 
-      if (window.location.hash) {
-        this.handleInitialHash();
-      } else if (this.store?.places.length > 0) {
-        const bounds = L.latLngBounds(this.store.places.map(f => [
-          f.geometry.coordinates[1],
-          f.geometry.coordinates[0]
-        ]));
-        map.fitBounds(bounds, {
-          paddingTopLeft: [80, 70],
-          paddingBottomRight: [60, 80]
-        });
+      if (hash) {
+        await this.handleInitialHash();
+      } else {
+        this.showCollection();
       }
+
+      await this.loadPlacesInView();
     } catch (err) {
       console.error('Failed to load places:', err);
       if (this.store) {
@@ -385,44 +847,112 @@ class MapApp {
     }
   }
 
-  renderMarkers() {
-    if (!this.store) return;
+  // Fetch chunks (by number in the index) not loaded yet, and add their
+  // places and markers. Overlapping calls share fetches; a failed chunk is
+  // retried on the next call.
+  async loadChunks(numbers) {
+    if (!this.tileIndex || !this.store) return;
+
+    const { tileIndex, chunkLoads } = this;
+    const loads = numbers.map(i => {
+      if (!chunkLoads.has(i)) {
+        const load = fetchJSON(this.dataUrl(`tiles/${tileIndex.chunks[i].file}`))
+          .then(chunk => {
+            // Drop chunks that arrive after switching collections
+            if (this.tileIndex === tileIndex) this.addPlaces(ensureOpeningHours(chunk.features));
+          })
+          .catch(err => {
+            chunkLoads.delete(i);
+            throw err;
+          });
+        chunkLoads.set(i, load);
+      }
+      return chunkLoads.get(i);
+    });
+    await Promise.all(loads);
+  }
 
-    markers.clearLayers();
+  // Chunks covering the current view, with a margin for panning
+  loadPlacesInView() {
+    if (!this.tileIndex) return Promise.resolve();
+    const bounds = map.getBounds().pad(0.25);
+    return this.loadChunks(chunksInBounds(this.tileIndex, [
+      bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()
+    ]));
+  }
+
+  // Everything, for the list, search, export and filter links
+  loadAllPlaces() {
+    if (!this.tileIndex) return Promise.resolve();
+    return this.loadChunks(this.tileIndex.chunks.map((chunk, i) => i));
+  }
+
+  // Load the chunk a #place/<slug> link's place is in
+  loadPlaceForHash(hash) {
+    if (!this.tileIndex) return Promise.resolve();
+    const chunk = this.tileIndex.slugs[decodeURIComponent(hash.replace('#place/', ''))];
+    return chunk === undefined ? this.loadAllPlaces() : this.loadChunks([chunk]);
+  }
+
+  // Add newly loaded places, with markers for those the filters show.
+  // Existing markers stay, so an open popup isn't closed.
+  addPlaces(features) {
+    this.store.places = [...this.store.places, ...features];
+    this.getVisiblePlaces(features).forEach(feature => markers.addLayer(createPlaceMarker(feature)));
+    this.store.ui.placeCount = markers.getLayers().length;
+    this.drawBoundaries();
+  }
 
-    // Apply filters then search
-    let visiblePlaces = filterPlaces(this.store.places, this.store.filter);
-    if (this.store.filter.search) {
-      visiblePlaces = searchPlaces(visiblePlaces, this.store.filter.search);
+  // Places passing the filters, then the search
+  getVisiblePlaces(places = this.store.places) {
+    const visiblePlaces = filterPlaces(places, this.store.filter, new Date(), this.store.origin);
+    if (!this.store.filter.search) return visiblePlaces;
+    return searchPlaces(visiblePlaces, this.store.filter.search);
+  }
+
+  // Download the places currently shown as a GPX, KML, CSV or GeoJSON file
+  async exportVisiblePlaces(format) {
+    if (!this.store) return;
+
+    try {
+      await this.loadAllPlaces();
+    } catch (err) {
+      console.error('Failed to load places for export:', err);
+      return;
     }
 
-    visiblePlaces.forEach(feature => {
-      const props = feature.properties;
-      const index = this.store.places.indexOf(feature);
-      const coords = feature.geometry.coordinates;
+    const name = this.collection ? `${this.collection.name} Places` : undefined;
+    const content = exportPlaces(this.getVisiblePlaces(), format, { name });
+    const url = URL.createObjectURL(new Blob([content], { type: EXPORT_FORMATS[format].mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportFilename(this.store.filter, format, this.collection?.id);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-      const marker = L.marker([coords[1], coords[0]], {
-        icon: createMarkerIcon(props.status, props.category, props.primary)
-      });
-      marker.placeIndex = index;
-      marker.bindPopup(() => createPopupElement(props), { maxWidth: 280 });
-      markers.addLayer(marker);
-    });
+  renderMarkers() {
+    if (!this.store) return;
+
+    markers.clearLayers();
+
+    this.getVisiblePlaces().forEach(feature => markers.addLayer(createPlaceMarker(feature)));
 
     this.store.ui.placeCount = markers.getLayers().length;
+    this.drawBoundaries();
   }
 
-  jumpToPlace(placeIndex) {
+  jumpToPlace(placeId) {
     if (!this.store) return;
 
-    const feature = this.store.places[placeIndex];
+    const feature = this.store.places.find(f => f.id === placeId);
     if (!feature) return;
 
     this.renderMarkers();
 
     let targetMarker = null;
     markers.eachLayer(marker => {
-      if (marker.placeIndex === placeIndex) {
+      if (marker.placeId === placeId) {
         targetMarker = marker;
       }
     });
@@ -434,68 +964,439 @@ class MapApp {
     }
   }
 
-  locateUser() {
-    map.locate({ setView: true, maxZoom: 15, enableHighAccuracy: true });
+  // ===== NEIGHBORHOODS =====
+
+  // Show the neighborhood boundaries as 'outline's, shaded by 'haunts', or
+  // not at all ('off'). They load the first time they're shown.
+  async showBoundaries(mode) {
+    const ui = this.store.ui;
+    ui.boundaries = mode;
+    if (mode === 'off') {
+      if (this.boundaryLayer) map.removeLayer(this.boundaryLayer);
+      return;
+    }
+
+    if (this.boundaries === null) this.boundaries = await this.fetchBoundaries();
+    if (!this.boundaries) {
+      ui.boundaries = 'off';
+      this.store.showMessage('This map has no neighborhood boundaries.');
+      return;
+    }
+    // Haunt counts need every place
+    await this.loadAllPlaces();
+    if (ui.boundaries === mode) this.drawBoundaries();
+  }
+
+  // The collection's neighborhoods.geojson, or false without a usable one
+  async fetchBoundaries() {
+    try {
+      return parseBoundaries(await fetchJSON(this.dataUrl('neighborhoods.geojson')));
+    } catch (err) {
+      if (err instanceof BoundaryError) console.error('Unusable neighborhoods.geojson:', err.reason);
+      return false;
+    }
+  }
+
+  // Draw the boundaries, or restyle them for the chosen neighborhood and
+  // the places loaded so far
+  drawBoundaries() {
+    const mode = this.store?.ui.boundaries;
+    if (!this.boundaries || !mode || mode === 'off') return;
+
+    // Names as the places spell them, and haunts per neighborhood
+    const neighborhoods = new Map(countNeighborhoods(this.store.places).map(n => [n.slug, n]));
+    const haunts = new Map(countNeighborhoods(this.store.places.filter(f => f.properties.status === 'haunts')).map(n => [n.slug, n.count]));
+    const most = Math.max(1, ...haunts.values());
+    const selected = this.store.filter.neighborhood === 'all' ? null : slugify(this.store.filter.neighborhood);
+
+    if (!this.boundaryLayer) {
+      this.boundaryLayer = L.geoJSON({
+        type: 'FeatureCollection',
+        features: this.boundaries.map(({ name, key, geometry }) => ({ type: 'Feature', properties: { name, key }, geometry }))
+      }, {
+        onEachFeature: (feature, layer) => layer.on('click', () => this.selectBoundary(feature.properties.key))
+      });
+    }
+
+    this.boundaryLayer.eachLayer(layer => {
+      const { name, key } = layer.feature.properties;
+      const count = haunts.get(key) || 0;
+      const label = neighborhoods.get(key)?.name || name;
+      const tooltip = mode === 'haunts' ? `${label} · ${count} haunt${count === 1 ? '' : 's'}` : label;
+      if (layer.getTooltip()) layer.setTooltipContent(tooltip);
+      else layer.bindTooltip(tooltip, { sticky: true });
+      layer.setStyle({
+        color: key === selected ? '#a68b5b' : '#8a9696',
+        weight: key === selected ? 3 : 1,
+        opacity: key === selected ? 1 : 0.7,
+        fillColor: mode === 'haunts' ? '#4a7c59' : '#c4a574',
+        fillOpacity: mode === 'haunts' ? (count > 0 ? 0.1 + 0.45 * count / most : 0) : (key === selected ? 0.15 : 0)
+      });
+    });
+
+    if (!map.hasLayer(this.boundaryLayer)) this.boundaryLayer.addTo(map);
+    // Under the trip's route
+    this.boundaryLayer.bringToBack();
+  }
+
+  // Clicking a neighborhood filters to it, or back to every neighborhood
+  selectBoundary(key) {
+    const neighborhood = countNeighborhoods(this.store.places).find(n => n.slug === key);
+    if (!neighborhood) return;
+    const selected = this.store.filter.neighborhood !== 'all' && slugify(this.store.filter.neighborhood) === key;
+    this.store.setNeighborhood(selected ? 'all' : neighborhood.name);
+  }
+
+  // ===== TRIPS =====
+
+  // Add a place to the trip, or take it off
+  toggleTripStop(placeId) {
+    const trip = this.store.trip;
+    if (trip.stops.includes(placeId)) {
+      trip.stops = trip.stops.filter(id => id !== placeId);
+    } else if (trip.stops.length >= MAX_TRIP_STOPS) {
+      this.store.showMessage(`A trip can have up to ${MAX_TRIP_STOPS} stops.`);
+      return;
+    } else {
+      trip.stops = [...trip.stops, placeId];
+    }
+    this.updateTrip().catch(err => console.error('Failed to route trip:', err));
+  }
+
+  clearTrip() {
+    ++this.tripUpdate;
+    Object.assign(this.store.trip, { stops: [], legs: [], itinerary: [], suggestion: null, solving: false });
+    this.tripMatrix = null;
+    this.tripLayer.clearLayers();
   }
 
-  setupMapEvents() {
-    map.on('locationfound', (e) => {
-      const radius = e.accuracy / 2;
+  tripPlaces() {
+    return this.store.trip.stops.map(id => this.store.places.find(f => f.id === id)).filter(Boolean);
+  }
+
+  // Hash for the trip's stops, in visiting order
+  tripHash() {
+    return encodeTripHash(this.tripPlaces().map(f => f.properties.slug));
+  }
+
+  // Router for the trip's distance setting and travel mode
+  tripRouter() {
+    const { routing, mode } = this.store.trip;
+    if (routing === 'straight') return createRouter('straight');
+    const { router, ...config } = STREET_ROUTING[mode];
+    return createRouter(router, config);
+  }
+
+  // Route the trip again after its stops or settings change, first solving
+  // a visiting order unless `solve` is false (a shared link keeps its own)
+  async updateTrip({ solve = true } = {}) {
+    const trip = this.store.trip;
+    const update = ++this.tripUpdate;
+    const stops = this.tripPlaces();
+    const points = stops.map(f => [f.geometry.coordinates[1], f.geometry.coordinates[0]]);
+
+    let router = this.tripRouter();
+    let route = { order: [...points.keys()], matrix: null, legs: [], path: null };
+    if (stops.length > 1) {
+      trip.solving = true;
+      try {
+        route = await this.routeTrip(router, points, solve);
+      } catch (err) {
+        if (!(err instanceof RoutingError)) throw err;
+        this.store.showMessage(`Street routing isn't available (${err.reason}). Showing straight lines instead.`);
+        router = createRouter('straight');
+        route = await this.routeTrip(router, points, solve);
+      }
+    }
+    // Stops changed again while routing: that update draws the trip
+    if (update !== this.tripUpdate) return;
+
+    const ordered = route.order.map(i => stops[i]);
+    Object.assign(trip, { stops: ordered.map(f => f.id), legs: route.legs, estimated: router.estimated, solving: false });
+    // Distances between the stops as now ordered, for reordering suggestions
+    this.tripMatrix = route.matrix && route.order.map(i => route.order.map(j => route.matrix[i][j]));
+    this.drawTrip(ordered, route.path, router.estimated);
+    this.checkItinerary();
+    this.store.updateHash();
+  }
+
+  async routeTrip(router, points, solve) {
+    const matrix = await router.matrix(points);
+    const order = solve ? solveTripOrder(matrix) : [...points.keys()];
+    const { legs, path } = await router.route(order.map(i => points[i]));
+    return { order, matrix, legs, path };
+  }
+
+  // Start, speed and stay for the trip's itinerary. Without a chosen start
+  // day and time it starts now.
+  itineraryOptions() {
+    const { start, mode, pace, stayMinutes } = this.store.trip;
+    const now = new Date();
+    return {
+      start: start ? getNextOccurrence(start.day, start.minutes, now) : now,
+      metersPerMinute: travelSpeed(mode, pace),
+      stayMinutes
+    };
+  }
+
+  // Arrival times and open checks for the trip as ordered, and an order
+  // keeping every stop open when some won't be
+  checkItinerary() {
+    const trip = this.store.trip;
+    const stops = this.tripPlaces();
+    trip.itinerary = [];
+    trip.suggestion = null;
+    if (stops.length === 0 || trip.legs.length !== stops.length - 1) return;
+
+    const options = this.itineraryOptions();
+    const plan = planItinerary(stops, trip.legs, options);
+    trip.itinerary = plan.map(({ arrival, open, problem }) => ({
+      arrival: formatMinutesAsTime(getZonedTime(arrival).minutes),
+      problem,
+      note: problem === 'closed' ? `Closed when you arrive${open.opensAt ? ` · opens ${open.opensAt}` : ''}`
+        : problem === 'closing-soon' ? `Closes ${open.closesAt}, ${open.minutesUntilClose} min after you arrive`
+          : open.status === 'unknown' ? 'Hours unknown' : null
+    }));
+
+    if (plan.some(stop => stop.problem) && this.tripMatrix) {
+      const order = suggestOpenOrder(stops, this.tripMatrix, options);
+      trip.suggestion = order && order.map(i => stops[i].id);
+    }
+  }
+
+  // Take the suggested order that keeps every stop open
+  applyTripSuggestion() {
+    const { trip } = this.store;
+    if (!trip.suggestion) return;
+    trip.stops = trip.suggestion;
+    this.updateTrip({ solve: false }).catch(err => console.error('Failed to route trip:', err));
+  }
+
+  // The route as a line (dashed when only estimated), and each stop's
+  // number beside its marker
+  drawTrip(stops, path, estimated) {
+    this.tripLayer.clearLayers();
+    if (path) {
+      L.polyline(path, {
+        className: 'trip-route',
+        color: '#a68b5b',
+        weight: 4,
+        opacity: 0.85,
+        dashArray: estimated ? '8 8' : null,
+        interactive: false
+      }).addTo(this.tripLayer);
+    }
+    stops.forEach((feature, i) => {
+      const [lng, lat] = feature.geometry.coordinates;
+      L.marker([lat, lng], {
+        icon: L.divIcon({
+          className: 'trip-stop',
+          html: `<span>${i + 1}</span>`,
+          iconSize: [20, 20],
+          iconAnchor: [-6, 26]
+        }),
+        interactive: false,
+        keyboard: false,
+        zIndexOffset: 500
+      }).addTo(this.tripLayer);
+    });
+  }
+
+  fitBoundsToTrip() {
+    const stops = this.tripPlaces();
+    if (stops.length === 0) return;
+    map.fitBounds(L.latLngBounds(stops.map(f => [f.geometry.coordinates[1], f.geometry.coordinates[0]])), {
+      paddingTopLeft: [80, 70],
+      paddingBottomRight: [60, 80],
+      maxZoom: 16
+    });
+  }
+
+  // Show the trip a #trip/ link (without its collection prefix) lists, in
+  // the link's order. Unknown slugs are skipped.
+  async showTripFromHash(hash) {
+    await this.loadAllPlaces();
+    const stops = decodeTripHash(hash).map(slug => findPlaceBySlug(this.store.places, slug)).filter(Boolean);
+    this.store.trip.stops = [...new Set(stops.map(f => f.id))];
+    this.store.ui.tripPanelOpen = true;
+    await this.updateTrip({ solve: false });
+    this.fitBoundsToTrip();
+  }
+
+  // ===== LOCATION TRACKING =====
+
+  // Watch the user's location until stopTracking(). With `follow` the map
+  // stays centered on them until they pan it; without it (the radius filter
+  // and nearest-first list) the map stays put.
+  startTracking({ follow = true } = {}) {
+    if (follow) {
+      this.setFollowing(true);
+      if (this.userMarker) map.setView(this.userMarker.getLatLng(), Math.max(map.getZoom(), FOLLOW_ZOOM));
+    }
+    if (this.tracking) return;
+
+    this.tracking = true;
+    this.lastLocationError = null;
+    if (this.store) {
+      this.store.ui.tracking = true;
+      this.store.ui.locating = true;
+    }
+    map.locate({ watch: true, setView: false, enableHighAccuracy: true, maximumAge: 5000 });
+  }
+
+  stopTracking() {
+    if (!this.tracking) return;
+    map.stopLocate();
+    this.tracking = false;
+    this.setFollowing(false);
+    cancelAnimationFrame(this.locationAnimation);
+    if (this.userMarker) map.removeLayer(this.userMarker);
+    if (this.userCircle) map.removeLayer(this.userCircle);
+    this.userMarker = null;
+    this.userCircle = null;
+
+    if (this.store) {
+      this.store.ui.tracking = false;
+      this.store.ui.locating = false;
+      // A stale location would skew distances and the radius filter
+      this.store.location = null;
+      if (this.store.filter.radius > 0) this.renderMarkers();
+    }
+  }
 
-      if (this.userMarker) map.removeLayer(this.userMarker);
-      if (this.userCircle) map.removeLayer(this.userCircle);
+  // The locate button: start following, center again after a pan, or stop
+  toggleTracking() {
+    if (this.tracking && this.following) this.stopTracking();
+    else this.startTracking({ follow: true });
+  }
+
+  setFollowing(following) {
+    this.following = following;
+    if (this.store) this.store.ui.following = following;
+  }
 
+  showUserLocation(e) {
+    const heading = locationHeading(e.heading);
+
+    if (!this.userMarker) {
       this.userMarker = L.marker(e.latlng, {
         icon: L.divIcon({
           className: 'user-location',
-          html: '<div style="width:14px;height:14px;background:#6b8cae;border:3px solid #f7f5f0;border-radius:50%;box-shadow:0 2px 8px rgba(107,140,174,0.4);"></div>',
-          iconSize: [14, 14],
-          iconAnchor: [7, 7]
-        })
-      }).addTo(map).bindPopup("It's a me!").openPopup();
+          html: '<div class="user-location-heading"></div><div class="user-location-dot"></div>',
+          iconSize: [40, 40],
+          iconAnchor: [20, 20]
+        }),
+        keyboard: false,
+        zIndexOffset: 1000
+      }).addTo(map).bindPopup("It's a me!");
 
       this.userCircle = L.circle(e.latlng, {
-        radius,
+        radius: e.accuracy / 2,
         color: '#6b8cae',
         fillColor: '#6b8cae',
         fillOpacity: 0.1,
-        weight: 1.5
+        weight: 1.5,
+        interactive: false
       }).addTo(map);
 
+      if (this.following) map.setView(e.latlng, Math.max(map.getZoom(), FOLLOW_ZOOM));
+    } else {
+      this.userCircle.setRadius(e.accuracy / 2);
+      this.glideUserLocation(e.latlng);
+      if (this.following) map.panTo(e.latlng);
+    }
+
+    const element = this.userMarker.getElement();
+    if (element) {
+      element.classList.toggle('has-heading', heading !== null);
+      if (heading !== null) element.style.setProperty('--heading', `${heading}deg`);
+    }
+  }
+
+  // Move the marker and accuracy circle to `latlng` over a moment instead of
+  // jumping, picking up from wherever the last glide got to
+  glideUserLocation(latlng) {
+    cancelAnimationFrame(this.locationAnimation);
+    const from = this.userMarker.getLatLng();
+    const to = L.latLng(latlng);
+    let start = null;
+
+    const step = (time) => {
+      start ??= time;
+      const t = Math.min((time - start) / LOCATION_ANIMATION_MS, 1);
+      // Ease out
+      const eased = 1 - (1 - t) ** 3;
+      const point = L.latLng(from.lat + (to.lat - from.lat) * eased, from.lng + (to.lng - from.lng) * eased);
+      this.userMarker.setLatLng(point);
+      this.userCircle.setLatLng(point);
+      if (t < 1) this.locationAnimation = requestAnimationFrame(step);
+    };
+    this.locationAnimation = requestAnimationFrame(step);
+  }
+
+  setupMapEvents() {
+    map.on('moveend', () => {
+      this.loadPlacesInView().catch(err => console.error('Failed to load places:', err));
+    });
+
+    // Dragging the map is looking elsewhere: stop centering on the user
+    // until they tap the locate button again
+    map.on('dragstart', () => {
+      if (this.following) this.setFollowing(false);
+    });
+
+    map.on('locationfound', (e) => {
+      // A fix after stopTracking() can still be on its way
+      if (!this.tracking) return;
+      this.lastLocationError = null;
+      this.showUserLocation(e);
+
       if (this.store) {
         this.store.ui.locating = false;
+        // Kept for distances in the list and the radius filter
+        const previous = this.store.location;
+        if (previous && distanceMeters([previous.lng, previous.lat], [e.latlng.lng, e.latlng.lat]) < LOCATION_UPDATE_METERS) return;
+        this.store.location = { lat: e.latlng.lat, lng: e.latlng.lng, accuracy: e.accuracy };
+        if (this.store.filter.radius > 0) this.renderMarkers();
       }
     });
 
     map.on('locationerror', (e) => {
-      alert('Could not get location: ' + e.message);
-      if (this.store) {
-        this.store.ui.locating = false;
-      }
+      if (!this.tracking) return;
+      // The watch repeats timeouts; say so once until a fix comes in
+      if (e.code !== this.lastLocationError) this.store?.showMessage(locationErrorMessage(e.code));
+      this.lastLocationError = e.code;
+      if (isFatalLocationError(e.code)) this.stopTracking();
     });
 
     map.on('popupopen', (e) => {
       const marker = e.popup._source;
-      if (marker && typeof marker.placeIndex === 'number' && this.store) {
-        const feature = this.store.places[marker.placeIndex];
+      if (marker && marker.placeId !== undefined && this.store) {
+        const feature = this.store.places.find(f => f.id === marker.placeId);
         if (feature) {
-          const slug = slugify(feature.properties.name);
-          history.replaceState(null, '', `#place/${slug}`);
+          history.replaceState(null, '', collectionHash(`#place/${feature.properties.slug}`, this.store.hashCollection));
         }
       }
     });
 
+    // Back to the filters' hash, or none (keeping the collection's prefix)
     map.on('popupclose', () => {
-      if (this.store?.hasActiveFilters) {
-        this.store.updateHash();
-      } else {
-        history.replaceState(null, '', window.location.pathname + window.location.search);
-      }
+      this.store?.updateHash();
     });
   }
 
-  findPlaceIndexBySlug(slug) {
-    return this.store.places.findIndex(f => slugify(f.properties.name) === slug);
+  // Resolve a #place/<slug> hash (without its collection prefix),
+  // rewriting links to renamed places to their current slug. Returns the
+  // place's id, or null.
+  resolvePlaceHash(hash) {
+    const slug = decodeURIComponent(hash.replace('#place/', ''));
+    const feature = findPlaceBySlug(this.store.places, slug);
+    if (!feature) return null;
+
+    if (feature.properties.slug !== slug) {
+      history.replaceState(null, '', collectionHash(`#place/${feature.properties.slug}`, this.store.hashCollection));
+    }
+    return feature.id;
   }
 
   applyFilterFromHash(hash) {
@@ -504,11 +1405,17 @@ class MapApp {
     this.store.filter.category = decoded.category;
     this.store.filter.primary = decoded.primary;
     this.store.filter.openNow = decoded.openNow;
+    this.store.filter.openAt = decoded.openAt;
+    this.store.filter.openFor = decoded.openFor;
+    this.store.filter.radius = decoded.radius;
+    this.store.filter.neighborhood = decoded.neighborhood;
+    // A radius link needs the location to count from
+    if (decoded.radius > 0 && !this.store.location) this.store.locateUser();
     this.renderMarkers();
   }
 
   fitBoundsToVisiblePlaces() {
-    const visiblePlaces = filterPlaces(this.store.places, this.store.filter);
+    const visiblePlaces = filterPlaces(this.store.places, this.store.filter, new Date(), this.store.origin);
     if (visiblePlaces.length === 0) return;
 
     const bounds = L.latLngBounds(visiblePlaces.map(f => [
@@ -521,17 +1428,21 @@ class MapApp {
     });
   }
 
-  handleInitialHash() {
-    const hash = window.location.hash;
+  async handleInitialHash() {
+    const { hash } = splitCollectionHash(window.location.hash);
     if (!hash || hash === '#' || !this.store) return;
 
     if (hash.startsWith('#place/')) {
-      const slug = decodeURIComponent(hash.replace('#place/', ''));
-      const placeIndex = this.findPlaceIndexBySlug(slug);
-      if (placeIndex >= 0) {
-        this.jumpToPlace(placeIndex);
+      await this.loadPlaceForHash(hash);
+      const placeId = this.resolvePlaceHash(hash);
+      if (placeId !== null) {
+        this.jumpToPlace(placeId);
       }
+    } else if (decodeTripHash(hash)) {
+      await this.showTripFromHash(hash);
     } else {
+      // Fitting the map to a filter needs every place
+      await this.loadAllPlaces();
       this.applyFilterFromHash(hash);
       if (this.store.hasActiveFilters) {
         this.fitBoundsToVisiblePlaces();
@@ -539,20 +1450,40 @@ class MapApp {
     }
   }
 
-  handleHashChange() {
-    const hash = window.location.hash;
+  async handleHashChange() {
     if (!this.store) return;
 
+    // A link into another collection switches to it first
+    const { collection, hash } = splitCollectionHash(window.location.hash);
+    const switching = Boolean(this.collections) && this.findCollection(collection) !== this.collection;
+    if (switching) {
+      this.store.closeAllPanels();
+      this.store.resetFilters();
+      // Trips are between places in one collection
+      this.clearTrip();
+      this.store.ui.tripPanelOpen = false;
+      await this.loadCollection(collection);
+      this.showCollection();
+    }
+
     if (hash.startsWith('#place/')) {
-      const slug = decodeURIComponent(hash.replace('#place/', ''));
-      const placeIndex = this.findPlaceIndexBySlug(slug);
-      if (placeIndex >= 0) {
+      await this.loadPlaceForHash(hash);
+      const placeId = this.resolvePlaceHash(hash);
+      if (placeId !== null) {
         this.store.closeAllPanels();
         this.store.resetFilters();
-        this.jumpToPlace(placeIndex);
+        this.jumpToPlace(placeId);
       }
+    } else if (decodeTripHash(hash)) {
+      await this.showTripFromHash(hash);
     } else if (hash && hash !== '#') {
+      await this.loadAllPlaces();
       this.applyFilterFromHash(hash);
+      if (switching && this.store.hasActiveFilters) {
+        this.fitBoundsToVisiblePlaces();
+      }
+    } else if (switching) {
+      await this.loadPlacesInView();
     } else {
       this.store.resetFilters();
       this.renderMarkers();
@@ -571,6 +1502,9 @@ export function init() {
   // Expose pure functions for Alpine store to use
   window._filterPlaces = filterPlaces;
   window._searchPlaces = searchPlaces;
+  window._listPlaces = listPlaces;
+  window._travelMinutes = travelMinutes;
+  window._countNeighborhoods = countNeighborhoods;
 
   const mapApp = new MapApp();
   window._mapApp = mapApp;
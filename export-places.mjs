@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Exports places from places.geojson as GPX, KML, CSV or GeoJSON, with the
+ * same converters as the map's export menu (see lib/export.mjs).
+ *
+ *   node export-places.mjs --format gpx --status queue > queue.gpx
+ *   node export-places.mjs --format kml --category "Food & Drink" --output food.kml
+ *   node export-places.mjs --collection seattle --format csv > seattle.csv
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { parseArgs } from 'util';
+import { slugify } from './lib/slugify.mjs';
+import { EXPORT_FORMATS, exportPlaces } from './lib/export.mjs';
+
+const INPUT_FILE = process.env.OUTPUT_FILE || join(import.meta.dirname, 'places.geojson');
+// Where the generator writes collections (see lib/collections.mjs)
+const COLLECTIONS_DIR = process.env.COLLECTIONS_DIR || join(dirname(INPUT_FILE), 'collections');
+
+const STATUSES = ['haunts', 'queue'];
+
+const { values: options } = parseArgs({
+  options: {
+    // gpx, kml, csv or geojson
+    format: { type: 'string', default: 'gpx' },
+    // Only places with this status (haunts or queue)
+    status: { type: 'string' },
+    // Only places in this category (name or slug); may be repeated
+    category: { type: 'string', multiple: true, default: [] },
+    // Export this collection's places (an id from collections.json)
+    collection: { type: 'string' },
+    // Read places from this file instead of OUTPUT_FILE / places.geojson
+    input: { type: 'string' },
+    // Write here instead of stdout
+    output: { type: 'string' },
+    // Title of the GPX, KML and GeoJSON document ("<collection> Places" or
+    // "Places" by default)
+    name: { type: 'string' }
+  }
+});
+
+// The input file and document title for --collection
+async function collectionSource(id) {
+  const { collections } = JSON.parse(await readFile(join(COLLECTIONS_DIR, 'index.json'), 'utf-8'));
+  const collection = collections.find(c => c.id === id);
+  if (!collection) {
+    throw new Error(`--collection must be one of ${collections.map(c => c.id).join(', ')}, got "${id}"`);
+  }
+  return { input: join(COLLECTIONS_DIR, id, 'places.geojson'), name: `${collection.name} Places` };
+}
+
+async function main() {
+  if (!EXPORT_FORMATS[options.format]) {
+    throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}, got "${options.format}"`);
+  }
+  if (options.status && !STATUSES.includes(options.status)) {
+    throw new Error(`--status must be one of ${STATUSES.join(', ')}, got "${options.status}"`);
+  }
+
+  const source = options.collection ? await collectionSource(options.collection) : { input: INPUT_FILE };
+  const input = options.input || source.input;
+  const { features } = JSON.parse(await readFile(input, 'utf-8'));
+
+  const categories = new Set(options.category.map(slugify));
+  const places = features.filter(feature => {
+    const { status, category } = feature.properties;
+    if (options.status && status !== options.status) return false;
+    if (categories.size > 0 && !categories.has(slugify(category))) return false;
+    return true;
+  });
+
+  const content = exportPlaces(places, options.format, { name: options.name || source.name });
+  if (options.output) {
+    await writeFile(options.output, content);
+    console.log(`Wrote ${places.length} places to ${options.output}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -2,39 +2,110 @@
 
 /**
  * Generates GeoJSON from Portland Places markdown files.
- * Fetches coordinates from Google Places API using place_id.
- * Caches coordinates in a local file to avoid repeated API calls.
+ * Resolves coordinates through pluggable geocoders and caches them locally.
+ * Flags are described in ARGS, environment variables in the README.
  */
 
-import { readdir, readFile, writeFile } from 'fs/promises';
-import { join, basename } from 'path';
-import { execSync } from 'child_process';
-import { existsSync } from 'fs';
+import { readdir, readFile, writeFile, stat, mkdir, unlink } from 'fs/promises';
+import { join, basename, dirname, extname, sep } from 'path';
+import { existsSync, realpathSync, watch } from 'fs';
+import { parseArgs } from 'util';
+import { parseFrontmatter, FrontmatterError } from './lib/frontmatter.mjs';
+import { createGeocoders, geocode, DEFAULT_GEOCODERS } from './lib/geocoders.mjs';
+import { mapWithConcurrency } from './lib/concurrency.mjs';
+import { migrateCache, createCoordinateCache, matchRefreshTargets } from './lib/coord-cache.mjs';
+import { enrichPlace } from './lib/enrich.mjs';
+import { hashContent, migrateManifest, isUnchanged } from './lib/manifest.mjs';
+import { discoverCategories } from './lib/categories.mjs';
+import { featureId, readSlugHistory, assignSlugs } from './lib/slugs.mjs';
+import { diffPlaces, formatChangelog } from './lib/changelog.mjs';
+import { parseOpeningHours, HoursError } from './lib/hours.mjs';
+import { buildTiles, isChunkFile } from './lib/tiles.mjs';
+import { parseCollections, buildCollectionIndex, CollectionError } from './lib/collections.mjs';
+import { validatePlace, checkDuplicatePlaceIds, hasErrors, formatLintReport, formatHoursEntry } from './lib/schema.mjs';
+import { parseBoundaries, checkNeighborhoods, BoundaryError } from './lib/neighborhoods.mjs';
 
 const PLACES_DIR = process.env.PLACES_DIR || join(process.env.HOME, 'Brain/Portland Places');
 const OUTPUT_FILE = process.env.OUTPUT_FILE || join(import.meta.dirname, 'places.geojson');
+// Spatially chunked copy of OUTPUT_FILE the map loads by viewport (see lib/tiles.mjs)
+const TILES_DIR = process.env.TILES_DIR || join(dirname(OUTPUT_FILE), 'tiles');
+const TILE_MAX_PLACES = Number(process.env.TILE_MAX_PLACES) || 100;
 const CACHE_FILE = join(import.meta.dirname, '.coord-cache.json');
+const MANIFEST_FILE = join(import.meta.dirname, '.build-manifest.json');
+// Vaults to build as separate collections; without this file PLACES_DIR is
+// built to OUTPUT_FILE and TILES_DIR
+const COLLECTIONS_FILE = process.env.COLLECTIONS_FILE || join(import.meta.dirname, 'collections.json');
+// Where each collection's places.geojson and tiles/ go, in a folder per id
+const COLLECTIONS_DIR = process.env.COLLECTIONS_DIR || join(dirname(OUTPUT_FILE), 'collections');
+const LIB_DIR = join(import.meta.dirname, 'lib');
+// Optional neighborhood boundaries, beside OUTPUT_FILE so the map can draw
+// them; collections name theirs in collections.json
+const NEIGHBORHOODS_FILE = process.env.NEIGHBORHOODS_FILE || join(dirname(OUTPUT_FILE), 'neighborhoods.geojson');
 
-// Categories to scan (subdirectories)
-const CATEGORIES = [
-  'Food & Drink',
-  'Record Shops',
-  'Bookstores',
-  'Provisions',
-  'Clothing',
-  'Movie Theaters',
-  'Music Venues',
-  'Arts & Culture',
-  'Supplies'
-];
-
-// Load coordinate cache
+// Days before a cached coordinate is refetched (0 keeps entries forever)
+const CACHE_TTL_DAYS = process.env.COORD_CACHE_TTL_DAYS !== undefined ? Number(process.env.COORD_CACHE_TTL_DAYS) : 90;
+
+// Lookups in flight at once; each network geocoder also has its own
+// requests-per-second budget (GEOCODE_RATE overrides it) and retries
+// transient failures with exponential backoff
+const GEOCODE_CONCURRENCY = Number(process.env.GEOCODE_CONCURRENCY) || 4;
+
+const GEOCODERS = process.env.GEOCODERS || DEFAULT_GEOCODERS;
+const GEOCODE_TABLE = process.env.GEOCODE_TABLE || join(import.meta.dirname, 'geocode-table.json');
+
+// Quiet period after the last vault change before --watch rebuilds
+const WATCH_DEBOUNCE_MS = 200;
+
+// Distance a place must move to be listed as moved by --diff
+const DIFF_MOVE_METERS = Number(process.env.DIFF_MOVE_METERS) || 50;
+
+// IANA timezone the places' hours are in (the default for collections);
+// the front end computes open status in it wherever the viewer is
+const PLACES_TIMEZONE = process.env.PLACES_TIMEZONE || 'America/Los_Angeles';
+
+// --diff exit status when places changed (0 means no changes, 1 a failure)
+const EXIT_CHANGED = 2;
+
+// Command line options; generate() takes the same ones by name
+const ARGS = {
+  // Validate the vault and print the lint report without writing OUTPUT_FILE
+  'lint-only': { type: 'boolean', default: false },
+  // Refetch coordinates for a place (place_id or name); may be repeated
+  refresh: { type: 'string', multiple: true, default: [] },
+  // Fill missing address/website/hours from the geocoder's details response
+  enrich: { type: 'boolean', default: false },
+  // Ignore the build manifest and reprocess every note
+  full: { type: 'boolean', default: false },
+  // Keep running and regenerate whenever a note in PLACES_DIR (or a collection) changes
+  watch: { type: 'boolean', default: false },
+  // Print what would change in OUTPUT_FILE instead of writing it
+  diff: { type: 'boolean', default: false },
+  // With --diff, also write the changelog to this file (e.g. a commit message)
+  changelog: { type: 'string' }
+};
+
+// Coordinate providers, tried in order (see lib/geocoders.mjs). Created per
+// build so --watch picks up edits to the address table.
+function createGeocoderChain(logger) {
+  return createGeocoders(GEOCODERS, {
+    goplacesCommand: process.env.GOPLACES_BIN,
+    nominatimUrl: process.env.NOMINATIM_URL,
+    tablePath: GEOCODE_TABLE,
+    rate: Number(process.env.GEOCODE_RATE) || undefined,
+    retries: process.env.GEOCODE_RETRIES !== undefined ? Number(process.env.GEOCODE_RETRIES) : undefined,
+    onRetry: (err, attempt, wait, place, provider) => {
+      logger.log(`  Retrying ${place.name} via ${provider} in ${wait}ms (retry ${attempt}): ${err.message}`);
+    }
+  });
+}
+
+// Load coordinate cache, upgrading older formats (see lib/coord-cache.mjs)
 async function loadCache() {
   if (existsSync(CACHE_FILE)) {
     const data = await readFile(CACHE_FILE, 'utf-8');
-    return JSON.parse(data);
+    return migrateCache(JSON.parse(data));
   }
-  return {};
+  return migrateCache(null);
 }
 
 // Save coordinate cache
@@ -42,117 +113,215 @@ async function saveCache(cache) {
   await writeFile(CACHE_FILE, JSON.stringify(cache, null, 2));
 }
 
-// Parse YAML frontmatter from markdown
-function parseFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) return {};
-  
-  const yaml = match[1];
-  const data = {};
-  
-  // Simple YAML parser for our use case
-  let currentKey = null;
-  let inArray = false;
-  let arrayItems = [];
-  
-  for (const line of yaml.split('\n')) {
-    // Array item
-    if (line.match(/^\s+-\s+/)) {
-      const value = line.replace(/^\s+-\s+/, '').replace(/^["']|["']$/g, '');
-      arrayItems.push(value);
-      continue;
-    }
-    
-    // If we were building an array, save it
-    if (inArray && currentKey) {
-      data[currentKey] = arrayItems;
-      inArray = false;
-      arrayItems = [];
-    }
-    
-    // Key: value or Key: [inline array]
-    const kvMatch = line.match(/^(\w[\w-]*?):\s*(.*)/);
-    if (kvMatch) {
-      const [, key, value] = kvMatch;
-      currentKey = key;
-      
-      // Inline array like [foo, bar]
-      if (value.startsWith('[') && value.endsWith(']')) {
-        data[key] = value.slice(1, -1).split(',').map(s => s.trim().replace(/^["']|["']$/g, ''));
-      } else if (value === '' || value === null) {
-        // Could be start of multi-line array
-        inArray = true;
-        arrayItems = [];
-      } else {
-        data[key] = value.replace(/^["']|["']$/g, '');
-      }
-    }
+// The vaults to build: the collections in COLLECTIONS_FILE, or else just
+// PLACES_DIR (with a null id). Each is { id, name, dir, center, zoom,
+// timezone, neighborhoods, outputFile, tilesDir, boundariesFile,
+// manifestFile }, where `neighborhoods` is the boundaries to check against
+// (or null) and `boundariesFile` where the map reads them.
+async function loadCollections() {
+  if (!existsSync(COLLECTIONS_FILE)) {
+    return [{
+      id: null,
+      name: basename(PLACES_DIR),
+      dir: PLACES_DIR,
+      center: null,
+      zoom: null,
+      timezone: PLACES_TIMEZONE,
+      neighborhoods: existsSync(NEIGHBORHOODS_FILE) ? NEIGHBORHOODS_FILE : null,
+      outputFile: OUTPUT_FILE,
+      tilesDir: TILES_DIR,
+      boundariesFile: NEIGHBORHOODS_FILE,
+      manifestFile: MANIFEST_FILE
+    }];
   }
-  
-  // Handle trailing array
-  if (inArray && currentKey) {
-    data[currentKey] = arrayItems;
+
+  let config;
+  try {
+    config = JSON.parse(await readFile(COLLECTIONS_FILE, 'utf-8'));
+  } catch (e) {
+    throw new CollectionError(`${basename(COLLECTIONS_FILE)} is not valid JSON (${e.message})`);
   }
-  
-  return data;
+  const collections = parseCollections(config, {
+    baseDir: dirname(COLLECTIONS_FILE),
+    home: process.env.HOME,
+    timezone: PLACES_TIMEZONE
+  });
+  return collections.map(collection => ({
+    ...collection,
+    outputFile: join(COLLECTIONS_DIR, collection.id, 'places.geojson'),
+    tilesDir: join(COLLECTIONS_DIR, collection.id, 'tiles'),
+    boundariesFile: join(COLLECTIONS_DIR, collection.id, 'neighborhoods.geojson'),
+    manifestFile: join(import.meta.dirname, `.build-manifest-${collection.id}.json`)
+  }));
+}
+
+// Everything besides the notes themselves that shapes a feature: the
+// generator's own source, category metadata, the geocoder chain, --enrich
+// and the address table. Features in the manifest are only reused while
+// this stays the same.
+async function computeBuildKey(categories, options) {
+  const libFiles = (await readdir(LIB_DIR)).filter(f => f.endsWith('.mjs')).sort();
+  const sources = await Promise.all([import.meta.filename, ...libFiles.map(f => join(LIB_DIR, f))]
+    .map(file => readFile(file, 'utf-8')));
+  const tableMtime = existsSync(GEOCODE_TABLE) ? (await stat(GEOCODE_TABLE)).mtimeMs : null;
+
+  return hashContent(JSON.stringify({
+    sources,
+    categories: categories.map(({ issues, ...category }) => category),
+    geocoders: String(GEOCODERS),
+    enrich: options.enrich,
+    table: tableMtime
+  }));
 }
 
-// Get coordinates for a place_id using goplaces CLI
-function getCoordinates(placeId, cache) {
-  if (cache[placeId]) {
-    return cache[placeId];
+// Load the build manifest (see lib/manifest.mjs). A missing or unreadable
+// manifest just means a full build, as does --full.
+async function loadManifest({ manifestFile }, buildKey, options, logger) {
+  if (!options.full && existsSync(manifestFile)) {
+    try {
+      return migrateManifest(JSON.parse(await readFile(manifestFile, 'utf-8')), buildKey);
+    } catch (e) {
+      logger.warn(`  Ignoring unreadable ${basename(manifestFile)}: ${e.message}`);
+    }
   }
-  
+  return migrateManifest(null, buildKey);
+}
+
+// Save the build manifest
+async function saveManifest({ manifestFile }, manifest) {
+  await writeFile(manifestFile, JSON.stringify(manifest));
+}
+
+// Parse and validate one note. Returns { data, validation }.
+function parseNote(content, path, category) {
   try {
-    const output = execSync(`goplaces details "${placeId}" --json`, { 
-      encoding: 'utf-8',
-      timeout: 10000 
-    });
-    const data = JSON.parse(output);
-    if (data.location) {
-      const coords = {
-        lat: data.location.lat,
-        lng: data.location.lng
-      };
-      cache[placeId] = coords;
-      return coords;
-    }
+    const data = parseFrontmatter(content, path);
+    return { data, validation: validatePlace(data, { category }) };
   } catch (e) {
-    console.error(`Failed to get coords for ${placeId}:`, e.message);
+    if (!(e instanceof FrontmatterError)) throw e;
+    return {
+      data: null,
+      validation: [{ severity: 'error', field: null, message: e.reason, line: e.line }]
+    };
   }
-  return null;
 }
 
-// Read all places from a category directory
-async function readCategory(category) {
-  const dir = join(PLACES_DIR, category);
-  if (!existsSync(dir)) return [];
-  
+// Read and validate every note in a category folder, reusing the
+// manifest's parse for notes that haven't changed.
+// Returns one { file, category, filename, data, issues, changed, ... } record
+// per note, where `category` is the category's display name.
+async function readCategory(collection, category, manifest) {
+  const dir = join(collection.dir, category.folder);
   const files = await readdir(dir);
-  const places = [];
-  
+  const results = [];
+
   for (const file of files) {
     if (!file.endsWith('.md') || file.startsWith('_') || file.startsWith('-')) continue;
-    
-    const content = await readFile(join(dir, file), 'utf-8');
-    const data = parseFrontmatter(content);
-    
-    if (data.name && data.place_id) {
-      places.push({
-        ...data,
-        category,
-        filename: file
-      });
+
+    const path = join(category.folder, file);
+    const fullPath = join(dir, file);
+    const stats = await stat(fullPath);
+    const previous = manifest.notes[path];
+    const record = { file: path, category: category.name, filename: file, mtimeMs: stats.mtimeMs, size: stats.size };
+
+    // Validation depends on the category, so a renamed category re-validates
+    const sameCategory = previous?.category === category.name;
+
+    // Touched but not edited (e.g. a git checkout) counts as unchanged too
+    let content = null;
+    if (!sameCategory || !isUnchanged(previous, stats)) {
+      content = await readFile(fullPath, 'utf-8');
+    }
+    const hash = content === null ? previous.hash : hashContent(content);
+
+    if (sameCategory && previous.hash === hash) {
+      Object.assign(record, { hash, data: previous.data, validation: previous.issues, changed: false });
+    } else {
+      Object.assign(record, { hash, ...parseNote(content, path, category.name), changed: true });
     }
+    // Cross-note checks add to `issues`; `validation` is what the manifest keeps
+    record.issues = [...record.validation];
+    results.push(record);
+  }
+
+  return results;
+}
+
+// Manifest entry for a note, optionally with the feature it produced
+function manifestEntry(record, feature = null, differences = []) {
+  const entry = {
+    mtimeMs: record.mtimeMs,
+    size: record.size,
+    hash: record.hash,
+    category: record.category,
+    data: record.data,
+    issues: record.validation
+  };
+  if (feature) Object.assign(entry, { feature, differences });
+  return entry;
+}
+
+// The last places.geojson, for slug history and --diff; null if missing
+// or unreadable
+async function loadPreviousOutput({ outputFile }, logger) {
+  if (!existsSync(outputFile)) return null;
+  try {
+    return JSON.parse(await readFile(outputFile, 'utf-8'));
+  } catch (e) {
+    logger.warn(`  Ignoring unreadable ${basename(outputFile)}: ${e.message}`);
+    return null;
   }
-  
-  return places;
 }
 
-// Create GeoJSON feature from place data
+// Display name of a geocoder for reports ("google" -> "Google")
+function providerLabel(provider) {
+  return provider.charAt(0).toUpperCase() + provider.slice(1);
+}
+
+// Render rows as a fixed-width text table
+function formatTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+// A collection's neighborhood boundaries as { geojson, boundaries }, or
+// null without any. A file that can't be used is reported and skipped.
+async function loadBoundaries({ neighborhoods }, logger) {
+  if (!neighborhoods) return null;
+  try {
+    const geojson = JSON.parse(await readFile(neighborhoods, 'utf-8'));
+    return { geojson, boundaries: parseBoundaries(geojson) };
+  } catch (e) {
+    if (!(e instanceof BoundaryError || e instanceof SyntaxError || e.code === 'ENOENT')) throw e;
+    logger.warn(`  Ignoring unreadable ${basename(neighborhoods)}: ${e instanceof BoundaryError ? e.reason : e.message}`);
+    return null;
+  }
+}
+
+// List places whose neighborhood isn't the boundary their point falls in.
+// Only a warning: the vault may know better than the boundaries.
+function reportNeighborhoods(features, { boundaries }, logger) {
+  const mismatches = checkNeighborhoods(features, boundaries);
+  logger.log(`  Neighborhoods: ${features.length - mismatches.length} of ${features.length} places match their boundaries`);
+  if (mismatches.length > 0) {
+    logger.log(`\n${mismatches.length} place${mismatches.length === 1 ? '' : 's'} outside the neighborhood in the vault:\n`);
+    logger.log(formatTable(['Place', 'Neighborhood', 'Falls in'], mismatches.map(({ feature, stated, actual }) => [
+      feature.properties.name,
+      stated ?? '(none)',
+      actual ?? '(no boundary)'
+    ])));
+  }
+}
+
+// Create GeoJSON feature from place data. Hours and their exceptions are
+// parsed into periods here (see lib/hours.mjs); throws HoursError if they
+// can't be.
 function createFeature(place, coords) {
+  const hours = [].concat(place.hours || []).map(formatHoursEntry);
   return {
     type: 'Feature',
+    id: featureId(place.place_id),
     geometry: {
       type: 'Point',
       coordinates: [coords.lng, coords.lat]
@@ -168,59 +337,422 @@ function createFeature(place, coords) {
       status: place.status || 'unknown',
       goodFor: place['good-for'] || [],
       cuisine: place.cuisine || [],
-      hours: place.hours || [],
-      notes: place.notes || null
+      hours,
+      openingHours: parseOpeningHours({
+        hours,
+        special: place['special-hours'],
+        seasons: place['seasonal-hours'],
+        closedUntil: place['closed-until'],
+        closedReason: place['closed-reason']
+      }),
+      notes: typeof place.notes === 'string' ? place.notes.trim() || null : place.notes || null,
+      geocoder: coords.provider
     }
   };
 }
 
-// Main
-async function main() {
-  console.log('Loading coordinate cache...');
-  const cache = await loadCache();
+// Build one collection: read its vault, lint, geocode and write its output.
+// Coordinates go in `cacheData`, which build() prunes and saves. Returns
+// { count, failed, written, changes, changelog, placeIds, unmatched } for
+// build()'s summary, where `changes` (see lib/changelog.mjs) compares the
+// features with the last output, placeIds is null when the cache shouldn't
+// be pruned and unmatched (the --refresh targets no place matched) is null
+// when nothing was geocoded. `options` are the run's command line options
+// and `logger` ({ log, warn, error }) gets its progress and reports.
+async function buildCollection(collection, cacheData, options, logger) {
+  const summary = { count: 0, failed: false, written: false, changes: null, changelog: '', placeIds: null, unmatched: null };
+  const categories = await discoverCategories(collection.dir);
+  const manifest = await loadManifest(collection, await computeBuildKey(categories, options), options, logger);
 
-  console.log('Reading places...');
-  const categoryResults = await Promise.all(CATEGORIES.map(readCategory));
-  const allPlaces = categoryResults.flat();
+  logger.log('Reading places...');
+  const categoryResults = await Promise.all(categories.map(category => readCategory(collection, category, manifest)));
+  const results = categoryResults.flat();
+  checkDuplicatePlaceIds(results);
 
-  CATEGORIES.forEach((category, i) => {
-    console.log(`  ${category}: ${categoryResults[i].length} places`);
+  // Notes with errors are reported and left out; warnings don't block a place
+  const valid = results.filter(r => !hasErrors(r.issues));
+
+  categories.forEach((category, i) => {
+    const count = categoryResults[i].filter(r => !hasErrors(r.issues)).length;
+    logger.log(`  ${category.name}: ${count} places`);
   });
 
-  console.log(`\nTotal: ${allPlaces.length} places`);
-  console.log('Fetching coordinates...');
+  const changedNotes = results.filter(r => r.changed).length;
+  const seen = new Set(results.map(r => r.file));
+  const removedNotes = Object.keys(manifest.notes).filter(file => !seen.has(file)).length;
+  if (changedNotes < results.length) {
+    logger.log(`  ${changedNotes} changed, ${removedNotes} removed since the last build`);
+  }
+
+  // `_category.md` problems are reported alongside the notes
+  const report = formatLintReport([...categories, ...results]);
+  const lintFailed = [...categories, ...results].some(r => hasErrors(r.issues));
+  if (report) {
+    logger.log(`\n${report}`);
+  }
+
+  const notes = {};
+
+  if (options['lint-only']) {
+    // Keep features of unchanged notes for the next full run
+    for (const r of results) {
+      const previous = manifest.notes[r.file];
+      notes[r.file] = r.changed ? manifestEntry(r) : manifestEntry(r, previous?.feature, previous?.differences);
+    }
+    await saveManifest(collection, { ...manifest, notes });
+
+    logger.log(`\nChecked ${results.length} notes${report ? '' : ', no problems found'}`);
+    summary.failed = lintFailed;
+    return summary;
+  }
+
+  for (const r of results) {
+    notes[r.file] = manifestEntry(r);
+  }
+
+  const allPlaces = valid.map(r => ({ ...r.data, category: r.category, filename: r.filename }));
+  logger.log(`\nTotal: ${allPlaces.length} places`);
+
+  logger.log('Loading coordinate cache...');
+  const refresh = matchRefreshTargets(options.refresh, allPlaces);
+  summary.unmatched = refresh.unmatched;
+  const cache = createCoordinateCache(cacheData, { ttlDays: CACHE_TTL_DAYS, refresh: refresh.ids });
+  const geocoders = createGeocoderChain(logger);
+  const cacheable = new Set(geocoders.filter(p => p.cacheable).map(p => p.name));
+
+  // An unchanged note keeps its feature unless its cached coordinates
+  // expired or were asked to be refreshed
+  function reusableEntry(record, place) {
+    const previous = manifest.notes[record.file];
+    if (record.changed || !previous?.feature) return null;
+    if (cacheable.has(previous.feature.properties.geocoder) && !cache.isFresh(place)) return null;
+    return previous;
+  }
+
+  logger.log(`Fetching coordinates (${GEOCODE_CONCURRENCY} at a time)...`);
+
+  const outcomes = await mapWithConcurrency(allPlaces, GEOCODE_CONCURRENCY, async (place, i) => {
+    const previous = reusableEntry(valid[i], place);
+    if (previous) return { previous };
+    return { coords: await geocode(place, geocoders, { cache }) };
+  });
 
   const features = [];
+  const failures = [];
+  const differences = [];
+  let unreadableHours = 0;
+  let unchanged = 0;
   let fetched = 0;
   let cached = 0;
+  let filled = 0;
 
-  for (const place of allPlaces) {
-    const wasCached = !!cache[place.place_id];
-    const coords = getCoordinates(place.place_id, cache);
+  // Outcomes come back in input order, so the output stays stable
+  outcomes.forEach((outcome, i) => {
+    const place = allPlaces[i];
+    const record = valid[i];
+    if (outcome.status === 'rejected') {
+      failures.push([place.name, record.file, outcome.reason.message]);
+      return;
+    }
 
-    if (!coords) {
-      console.log(`  Warning: No coords for: ${place.name}`);
-      continue;
+    const { previous, coords } = outcome.value;
+    if (previous) {
+      unchanged++;
+      features.push(previous.feature);
+      differences.push(...previous.differences);
+      notes[record.file] = manifestEntry(record, previous.feature, previous.differences);
+      return;
     }
 
-    if (wasCached) cached++;
+    if (coords.cached) cached++;
     else fetched++;
 
-    features.push(createFeature(place, coords));
+    let feature;
+    const placeDifferences = [];
+    let enriched = null;
+    if (options.enrich && coords.details) {
+      enriched = enrichPlace(place, coords.details);
+      for (const field of enriched.differences) {
+        placeDifferences.push(`vault ${field} differ${field === 'hours' ? '' : 's'} from ${providerLabel(coords.provider)} ${field} for ${place.name} (${record.file})`);
+      }
+    }
+
+    // Vault hours were validated with the same parser, so only hours filled
+    // in from place details can fail here
+    try {
+      feature = createFeature(enriched ? enriched.place : place, coords);
+    } catch (e) {
+      if (!(e instanceof HoursError)) throw e;
+      failures.push([place.name, record.file, `${providerLabel(coords.provider)} ${e.message}`]);
+      unreadableHours++;
+      return;
+    }
+    if (enriched) filled += enriched.filled.length;
+
+    features.push(feature);
+    differences.push(...placeDifferences);
+    notes[record.file] = manifestEntry(record, feature, placeDifferences);
+  });
+
+  logger.log(`  Unchanged: ${unchanged}, Cached: ${cached}, Fetched: ${fetched}, Failed: ${failures.length}`);
+  if (cache.stats.expired || cache.stats.refreshed) {
+    logger.log(`  Refetched ${cache.stats.expired} expired and ${cache.stats.refreshed} requested entries`);
+  }
+
+  if (options.enrich) {
+    logger.log(`  Enriched: ${filled} field${filled === 1 ? '' : 's'} filled, ${differences.length} difference${differences.length === 1 ? '' : 's'}`);
+    if (differences.length > 0) {
+      logger.log(`\n${differences.join('\n')}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    logger.log(`\nLeft out ${failures.length} place${failures.length === 1 ? '' : 's'}:\n`);
+    logger.log(formatTable(['Place', 'Note', 'Reason'], failures));
+  }
+
+  const boundaries = await loadBoundaries(collection, logger);
+  if (boundaries) reportNeighborhoods(features, boundaries, logger);
+
+  // Place_ids the cache keeps. Notes with errors still count, so fixing a
+  // typo doesn't cost a refetch. None when the vault came back empty (e.g.
+  // its folder is wrong), which keeps the whole cache.
+  if (results.length > 0) {
+    summary.placeIds = results.map(r => r.data?.place_id).filter(Boolean);
+  }
+  summary.count = features.length;
+
+  // Unique link slugs, keeping each place's slug history (see lib/slugs.mjs)
+  const previousOutput = await loadPreviousOutput(collection, logger);
+  assignSlugs(features, readSlugHistory(previousOutput));
+
+  // Category metadata for the front end, in display order
+  const categoryList = categories.map(category => ({
+    name: category.name,
+    icon: category.icon,
+    color: category.color,
+    order: category.order,
+    count: features.filter(f => f.properties.category === category.name).length
+  }));
+
+  summary.changes = diffPlaces(previousOutput, { categories: categoryList, features }, { moveThreshold: DIFF_MOVE_METERS });
+  summary.changelog = formatChangelog(summary.changes);
+
+  if (options.diff) {
+    // Dry run: keep the manifest's record of what the output holds
+    await saveManifest(collection, { ...manifest, notes });
+
+    logger.log(`\n${summary.changelog || `No changes to ${collection.outputFile}`}`);
+    return summary;
+  }
+
+  // Leave the output (and its "generated" time) alone when nothing changed
+  const { outputFile, tilesDir, timezone } = collection;
+  const outputHash = hashContent(JSON.stringify({ timezone, tileMaxPlaces: TILE_MAX_PLACES, categories: categoryList, features }));
+  const upToDate = outputHash === manifest.outputHash && manifest.output === outputFile &&
+    existsSync(outputFile) && existsSync(join(tilesDir, 'index.json'));
+  if (upToDate) {
+    logger.log(`\n${outputFile} is up to date (${features.length} places)`);
+  } else {
+    const geojson = {
+      type: 'FeatureCollection',
+      generated: new Date().toISOString(),
+      timezone,
+      categories: categoryList,
+      features
+    };
+
+    await mkdir(dirname(outputFile), { recursive: true });
+    await writeFile(outputFile, JSON.stringify(geojson, null, 2));
+    logger.log(`\nWrote ${features.length} places to ${outputFile}`);
+
+    const chunkCount = await writeTiles(collection, geojson);
+    logger.log(`Wrote ${chunkCount} chunk${chunkCount === 1 ? '' : 's'} to ${tilesDir}`);
+    summary.written = true;
   }
 
-  console.log(`  Cached: ${cached}, Fetched: ${fetched}`);
+  await saveManifest(collection, { ...manifest, output: outputFile, outputHash, notes });
 
-  await saveCache(cache);
+  // A collection's boundaries go in its folder for the map
+  if (boundaries && collection.neighborhoods !== collection.boundariesFile) {
+    const content = JSON.stringify(boundaries.geojson);
+    const current = await readFile(collection.boundariesFile, 'utf-8').catch(() => null);
+    if (content !== current) {
+      await writeFile(collection.boundariesFile, content);
+      const count = boundaries.boundaries.length;
+      logger.log(`Wrote ${count} neighborhood${count === 1 ? '' : 's'} to ${collection.boundariesFile}`);
+    }
+  }
+
+  if (lintFailed) {
+    logger.error('Some vault files have errors; notes with errors were skipped (see report above)');
+    summary.failed = true;
+  }
+  if (unreadableHours > 0) {
+    logger.error('Some places have hours that could not be parsed; they were left out (see above)');
+    summary.failed = true;
+  }
+  return summary;
+}
+
+// One generator run: build every collection, then prune and save the
+// coordinate cache they share and write the map's list of collections.
+// Returns { failed, written, changelog, collections }: whether notes were
+// left out, whether any output was (re)written, the changelog against the
+// last output, and per collection { id, name, count, written, changes }.
+// Takes the run's options and logger, as buildCollection() does.
+async function build(options, logger) {
+  const collections = await loadCollections();
+  const configured = collections[0].id !== null;
+  const cacheData = await loadCache();
+
+  const summaries = [];
+  for (const collection of collections) {
+    if (configured) logger.log(`\n=== ${collection.name} (${collection.dir}) ===`);
+    summaries.push(await buildCollection(collection, cacheData, options, logger));
+  }
+
+  // A --refresh target only has to match a place in one collection
+  const geocoded = summaries.filter(s => s.unmatched !== null);
+  if (geocoded.length > 0) {
+    for (const target of options.refresh.filter(t => geocoded.every(s => s.unmatched.includes(t)))) {
+      logger.warn(`  No place matches --refresh ${target}`);
+    }
+
+    // Drop entries for place_ids no note in any collection uses any more
+    if (geocoded.every(s => s.placeIds !== null)) {
+      const removed = createCoordinateCache(cacheData).prune(geocoded.flatMap(s => s.placeIds));
+      if (removed.length > 0) {
+        logger.log(`  Pruned ${removed.length} unused cache entr${removed.length === 1 ? 'y' : 'ies'}`);
+      }
+    }
+    await saveCache(cacheData);
+  }
 
-  const geojson = {
-    type: 'FeatureCollection',
-    generated: new Date().toISOString(),
-    features
+  const result = {
+    failed: summaries.some(s => s.failed),
+    written: summaries.some(s => s.written),
+    changelog: summaries
+      .map((s, i) => s.changelog && configured ? `${collections[i].name}: ${s.changelog}` : s.changelog)
+      .filter(Boolean)
+      .join('\n\n'),
+    collections: collections.map(({ id, name }, i) => {
+      const { count, written, changes } = summaries[i];
+      return { id, name, count, written, changes };
+    })
   };
 
-  await writeFile(OUTPUT_FILE, JSON.stringify(geojson, null, 2));
-  console.log(`\nWrote ${features.length} places to ${OUTPUT_FILE}`);
+  if (options.diff) {
+    if (options.changelog) {
+      await writeFile(options.changelog, result.changelog ? `${result.changelog}\n` : '');
+    }
+    return result;
+  }
+
+  if (configured && !options['lint-only']) {
+    const index = buildCollectionIndex(collections.map((collection, i) => ({ ...collection, count: summaries[i].count })));
+    await mkdir(COLLECTIONS_DIR, { recursive: true });
+    await writeFile(join(COLLECTIONS_DIR, 'index.json'), `${JSON.stringify(index, null, 2)}\n`);
+  }
+  return result;
+}
+
+// Write the chunked copy of the output and its index, removing chunks the
+// places no longer fall in. Returns the number of chunks.
+async function writeTiles({ tilesDir }, { generated, timezone, categories, features }) {
+  const { index, files } = buildTiles(features, { maxPlaces: TILE_MAX_PLACES, generated, timezone, categories });
+
+  await mkdir(tilesDir, { recursive: true });
+  await Promise.all(files.map(({ file, geojson }) => writeFile(join(tilesDir, file), JSON.stringify(geojson))));
+  await writeFile(join(tilesDir, 'index.json'), JSON.stringify(index));
+
+  const current = new Set(files.map(f => f.file));
+  const stale = (await readdir(tilesDir)).filter(name => isChunkFile(name) && !current.has(name));
+  await Promise.all(stale.map(name => unlink(join(tilesDir, name))));
+
+  return files.length;
+}
+
+// Rebuild whenever a note in one of the vaults changes. Builds never
+// overlap: edits made during a build trigger one more build once it finishes.
+function watchVaults(collections, options, logger) {
+  let timer = null;
+  let running = false;
+  let queued = false;
+
+  async function rebuild() {
+    if (running) {
+      queued = true;
+      return;
+    }
+    running = true;
+    logger.log(`\n${new Date().toLocaleTimeString()}: vault changed, regenerating...`);
+    try {
+      await build(options, logger);
+    } catch (err) {
+      logger.error(err);
+    } finally {
+      running = false;
+      if (queued) {
+        queued = false;
+        rebuild();
+      }
+    }
+  }
+
+  for (const { dir } of collections) {
+    watch(dir, { recursive: true }, (event, filename) => {
+      // Ignore editor state (.obsidian/, swap files) and attachments
+      if (filename) {
+        if (filename.split(sep).some(part => part.startsWith('.'))) return;
+        if (extname(filename) && extname(filename) !== '.md') return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+    });
+  }
+
+  logger.log(`\nWatching ${collections.map(c => c.dir).join(', ')} for changes (Ctrl-C to stop)...`);
+}
+
+function checkTimeZone() {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: PLACES_TIMEZONE });
+  } catch {
+    throw new Error(`PLACES_TIMEZONE "${PLACES_TIMEZONE}" is not a known timezone (e.g. "America/Los_Angeles")`);
+  }
 }
 
-main().catch(console.error);
+/**
+ * Run the generator in process (see sync.mjs). `runOptions` are the command
+ * line options by name (e.g. { diff: true }, without watch), and `log`
+ * ({ log, warn, error }) gets what would be printed. Resolves to build()'s
+ * { failed, written, changelog, collections }.
+ */
+export async function generate(runOptions = {}, log = console) {
+  checkTimeZone();
+  return build({ ...parseArgs({ args: [], options: ARGS }).values, ...runOptions, watch: false }, log);
+}
+
+// Main
+async function main() {
+  const options = parseArgs({ options: ARGS }).values;
+  checkTimeZone();
+  const result = await build(options, console);
+  if (options.diff) {
+    // Lint errors are in the report above; the exit status says whether
+    // there is anything to publish
+    if (result.changelog) process.exitCode = EXIT_CHANGED;
+  } else if (result.failed) {
+    process.exitCode = 1;
+  }
+  if (options.watch) watchVaults(await loadCollections(), options, console);
+}
+
+// Only when run as a script, not when sync.mjs imports generate()
+if (process.argv[1] && realpathSync(process.argv[1]) === import.meta.filename) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
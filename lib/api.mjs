@@ -0,0 +1,310 @@
+/**
+ * Read-only places API for the dev server (serve.mjs):
+ *
+ *   GET /api/places?status=haunts&category=food-drink&open=now&q=pizza&near=45.51,-122.65
+ *   GET /api/places/<slug>
+ *   GET /api/categories
+ *
+ * Answers come from the map's own functions (filterPlaces, searchPlaces,
+ * decodeFilterHash, getOpenStatus...), so a query and the same filters in
+ * the UI always agree. shared.js runs in a vm context and app.js is
+ * imported, as in tests/app.test.js; search uses MiniSearch when it is
+ * installed and app.js's substring fallback otherwise.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { join } from 'path';
+import vm from 'vm';
+import { slugify } from './slugify.mjs';
+import { isCollectionId } from './collections.mjs';
+
+export const API_PREFIX = '/api/';
+
+// Compact list format fields, besides lat/lng, open and distance
+const LIST_FIELDS = ['slug', 'name', 'category', 'primary', 'status', 'neighborhood', 'address'];
+
+const STATUSES = ['all', 'haunts', 'queue'];
+const PRIMARIES = ['all', 'coffee', 'bar', 'restaurant'];
+const FORMATS = ['geojson', 'list'];
+
+/**
+ * A request the API can't answer: a bad parameter (400) or something that
+ * doesn't exist (404).
+ */
+export class ApiError extends Error {
+  constructor(reason, { status = 400, param = null } = {}) {
+    super(param === null ? reason : `${param}: ${reason}`);
+    this.name = 'ApiError';
+    this.reason = reason;
+    this.status = status;
+    this.param = param;
+  }
+}
+
+/**
+ * The functions shared.js and app.js give the map, loaded into this process.
+ * shared.js sets globalThis.PlacesConfig, which app.js reads on import; it
+ * takes slugify() from lib/slugify.mjs, as in index.html.
+ */
+export async function loadMapFunctions() {
+  if (!globalThis.PlacesConfig) {
+    const window = {};
+    vm.runInNewContext(await readFile(new URL('../shared.js', import.meta.url), 'utf-8'), { window });
+    globalThis.PlacesConfig = window.PlacesConfig;
+    globalThis.PlacesConfig.slugify = slugify;
+  }
+  if (!globalThis.MiniSearch) {
+    try {
+      globalThis.MiniSearch = (await import('minisearch')).default;
+    } catch {
+      // Not installed: app.js searches by substring instead
+    }
+  }
+  return { ...globalThis.PlacesConfig, ...await import('../app.js') };
+}
+
+// "45.51,-122.65" as [lat, lng]
+function parseLatLng(value) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value);
+  const point = match && [Number(match[1]), Number(match[2])];
+  if (!point || Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+    throw new ApiError('expected "lat,lng", e.g. "45.5122,-122.6587"', { param: 'near' });
+  }
+  return point;
+}
+
+function parsePositive(params, param, { integer = false } = {}) {
+  const value = params.get(param);
+  if (value === null) return null;
+  const number = Number(value);
+  if (!value.trim() || !(number > 0) || (integer && !Number.isInteger(number))) {
+    throw new ApiError(`expected a positive ${integer ? 'whole ' : ''}number`, { param });
+  }
+  return number;
+}
+
+function parseChoice(params, param, choices) {
+  const value = params.get(param);
+  if (value !== null && !choices.includes(value)) {
+    throw new ApiError(`expected one of ${choices.join(', ')}`, { param });
+  }
+  return value;
+}
+
+/**
+ * Create the API over the generated places in `root`. Resolves to
+ * `handle(req, res)`, which answers requests under /api/ and resolves to
+ * false for any other path. `now` is the clock open=now reads.
+ */
+export async function createPlacesApi({ root, now = () => new Date() } = {}) {
+  const {
+    decodeFilterHash,
+    encodeFilterHash,
+    splitCollectionHash,
+    collectionHash,
+    findCategoryBySlug,
+    findNeighborhoodBySlug,
+    findPlaceBySlug,
+    filterPlaces,
+    getOpenFilterTime,
+    searchPlaces,
+    sortByDistance,
+    ensurePlaceIds,
+    ensureOpeningHours,
+    getCategoryNames,
+    getOpenStatus,
+    setTimeZone,
+    METERS_PER_MILE
+  } = await loadMapFunctions();
+
+  // Parsed places files by path, read again when they change
+  const loaded = new Map();
+
+  async function readPlaces(path) {
+    const info = await stat(path).catch(() => null);
+    if (!info) return null;
+    const cached = loaded.get(path);
+    if (cached && cached.mtimeMs === info.mtimeMs) return cached.data;
+
+    const data = JSON.parse(await readFile(path, 'utf-8'));
+    ensureOpeningHours(ensurePlaceIds(data.features));
+    loaded.set(path, { mtimeMs: info.mtimeMs, data });
+    return data;
+  }
+
+  // A collection's places (by id), or like the map without one: the first
+  // collection when there are collections, else places.geojson
+  async function loadData(collection) {
+    if (collection === null) {
+      const index = await readFile(join(root, 'collections', 'index.json'), 'utf-8').then(JSON.parse, () => null);
+      if (!index) {
+        const data = await readPlaces(join(root, 'places.geojson'));
+        if (!data) throw new ApiError('no places.geojson yet; run npm run generate', { status: 404 });
+        return data;
+      }
+      collection = index.collections[0].id;
+    }
+    const data = isCollectionId(collection) && await readPlaces(join(root, 'collections', collection, 'places.geojson'));
+    if (!data) throw new ApiError(`unknown collection "${collection}"`, { status: 404, param: 'collection' });
+    return data;
+  }
+
+  // Filter state from a map hash (`hash`) and the parameters that override it
+  function parseFilters(params, hash, places) {
+    const filters = decodeFilterHash(hash, places);
+
+    filters.status = parseChoice(params, 'status', STATUSES) ?? filters.status;
+    filters.primary = parseChoice(params, 'primary', PRIMARIES) ?? filters.primary;
+
+    const category = params.get('category');
+    if (category !== null) {
+      filters.category = findCategoryBySlug(slugify(category), places);
+      if (!filters.category) throw new ApiError(`unknown category "${category}"`, { param: 'category' });
+    }
+
+    const neighborhood = params.get('neighborhood');
+    if (neighborhood !== null) {
+      filters.neighborhood = findNeighborhoodBySlug(slugify(neighborhood), places);
+      if (!filters.neighborhood) throw new ApiError(`unknown neighborhood "${neighborhood}"`, { param: 'neighborhood' });
+    }
+
+    const open = params.get('open');
+    const openFor = parsePositive(params, 'for', { integer: true });
+    if (openFor !== null && open === null) throw new ApiError('needs open', { param: 'for' });
+    if (open !== null) {
+      // Read the way the map reads "#open-at-fri-2300-for-60"
+      const when = open === 'now' ? 'now' : `at-${open.toLowerCase()}`;
+      const decoded = decodeFilterHash(`#open-${when}${openFor ? `-for-${openFor}` : ''}`);
+      if (!decoded.openNow && !decoded.openAt) {
+        throw new ApiError('expected "now" or a day and time, e.g. "fri-2300"', { param: 'open' });
+      }
+      Object.assign(filters, { openNow: decoded.openNow, openAt: decoded.openAt, openFor: decoded.openFor });
+    }
+    return filters;
+  }
+
+  async function listPlaces(params) {
+    const format = parseChoice(params, 'format', FORMATS) || 'geojson';
+    const near = params.get('near') !== null ? parseLatLng(params.get('near')) : null;
+    const radius = parsePositive(params, 'radius');
+    if (radius !== null && !near) throw new ApiError('needs near', { param: 'radius' });
+    const limit = parsePositive(params, 'limit', { integer: true });
+
+    const { collection: hashCollection, hash } = splitCollectionHash(`#${(params.get('hash') || '').replace(/^#/, '')}`);
+    const collection = params.get('collection') ?? hashCollection;
+    const data = await loadData(collection);
+    const filters = parseFilters(params, hash, data.features);
+    // Miles, like the map's radius filter and "within-1mi" hashes
+    if (radius !== null) filters.radius = radius;
+
+    setTimeZone(data.timezone);
+    const time = now();
+    // The radius counts from near
+    let places = filterPlaces(data.features, filters, time, near);
+    const query = params.get('q');
+    if (query) places = searchPlaces(places, query);
+
+    // Nearest first, replacing search relevance as the order
+    let distances = null;
+    if (near) {
+      const sorted = sortByDistance(places, near);
+      places = sorted.map(({ feature }) => feature);
+      // In miles, like radius, to the hundredth
+      distances = new Map(sorted.map(({ feature, distance }) => [feature, Math.round(distance / METERS_PER_MILE * 100) / 100]));
+    }
+
+    const count = places.length;
+    if (limit !== null) places = places.slice(0, limit);
+
+    const result = {
+      count,
+      // The same filters in the map
+      hash: collectionHash(encodeFilterHash(filters), collection)
+    };
+    if (format === 'list') {
+      // Open status at the time asked about, else now
+      const openTime = getOpenFilterTime(filters, time) || time;
+      const item = feature => {
+        const [lng, lat] = feature.geometry.coordinates;
+        const fields = Object.fromEntries(LIST_FIELDS.map(field => [field, feature.properties[field] ?? null]));
+        return {
+          id: feature.id,
+          ...fields,
+          lat,
+          lng,
+          open: getOpenStatus(feature.properties.openingHours, openTime).status,
+          ...(distances && { distance: distances.get(feature) })
+        };
+      };
+      return { type: 'application/json', body: { ...result, places: places.map(item) } };
+    }
+
+    const features = distances
+      ? places.map(feature => ({ ...feature, properties: { ...feature.properties, distance: distances.get(feature) } }))
+      : places;
+    return { type: 'application/geo+json', body: { type: 'FeatureCollection', timezone: data.timezone, ...result, features } };
+  }
+
+  async function getPlace(slug, params) {
+    const data = await loadData(params.get('collection'));
+    const feature = findPlaceBySlug(data.features, slug);
+    if (!feature) throw new ApiError(`no place "${slug}"`, { status: 404 });
+    setTimeZone(data.timezone);
+    const open = getOpenStatus(feature.properties.openingHours, now());
+    return { type: 'application/geo+json', body: { ...feature, properties: { ...feature.properties, open: open.status } } };
+  }
+
+  async function listCategories(params) {
+    const data = await loadData(params.get('collection'));
+    const categories = getCategoryNames(data).map(name => ({
+      name,
+      slug: slugify(name),
+      count: data.features.filter(f => f.properties.category === name).length
+    }));
+    return { type: 'application/json', body: { categories } };
+  }
+
+  async function route(pathname, params) {
+    if (pathname === '/api/places') return listPlaces(params);
+    if (pathname === '/api/categories') return listCategories(params);
+    const place = /^\/api\/places\/([^/]+)$/.exec(pathname);
+    if (place) {
+      let slug;
+      try {
+        slug = decodeURIComponent(place[1]);
+      } catch {
+        throw new ApiError('malformed place slug');
+      }
+      return getPlace(slug, params);
+    }
+    throw new ApiError(`no endpoint ${pathname}`, { status: 404 });
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(API_PREFIX)) return false;
+
+    let status = 200;
+    let type;
+    let body;
+    try {
+      ({ type, body } = await route(url.pathname, url.searchParams));
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      ({ status } = err);
+      type = 'application/json';
+      body = { error: err.message };
+    }
+
+    const json = JSON.stringify(body, null, url.searchParams.has('pretty') ? 2 : 0);
+    res.writeHead(status, {
+      'Content-Type': `${type}; charset=utf-8`,
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-cache',
+      // Readable from pages and tools served elsewhere
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(req.method === 'HEAD' ? undefined : json);
+    return true;
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Category discovery for generate-geojson.mjs.
+ *
+ * Every subdirectory of the vault is a category. An optional `_category.md`
+ * in the folder sets its display name, icon, color and sort order:
+ *
+ *   ---
+ *   name: Record Shops
+ *   icon: fa-record-vinyl
+ *   color: "#8a5a44"
+ *   order: 2
+ *   ---
+ *
+ * Folders starting with "." or "_" (e.g. .obsidian, _templates) are skipped.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { existsSync } from 'fs';
+import { parseFrontmatter, FrontmatterError } from './frontmatter.mjs';
+import { validateCategory, hasErrors } from './schema.mjs';
+
+export const CATEGORY_FILE = '_category.md';
+
+/**
+ * Sort categories by `order` (unset last), then by name.
+ */
+export function compareCategories(a, b) {
+  const orderA = a.order ?? Infinity;
+  const orderB = b.order ?? Infinity;
+  if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Build a category from its folder name and `_category.md` frontmatter.
+ * Metadata with errors is ignored, so the folder still works with defaults.
+ */
+export function createCategory(folder, data = {}, issues = []) {
+  const meta = hasErrors(issues) ? {} : data;
+  return {
+    folder,
+    name: meta.name || folder,
+    icon: meta.icon || null,
+    color: meta.color || null,
+    order: typeof meta.order === 'number' ? meta.order : null,
+    file: join(folder, CATEGORY_FILE),
+    issues
+  };
+}
+
+/**
+ * List the vault's categories, sorted. Each is
+ * { folder, name, icon, color, order, file, issues } where `issues` are
+ * lint issues from its `_category.md`.
+ */
+export async function discoverCategories(placesDir) {
+  if (!existsSync(placesDir)) return [];
+
+  const entries = await readdir(placesDir, { withFileTypes: true });
+  const categories = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+
+    const folder = entry.name;
+    const metaPath = join(placesDir, folder, CATEGORY_FILE);
+    if (!existsSync(metaPath)) {
+      categories.push(createCategory(folder));
+      continue;
+    }
+
+    const file = join(folder, CATEGORY_FILE);
+    try {
+      const data = parseFrontmatter(await readFile(metaPath, 'utf-8'), file);
+      categories.push(createCategory(folder, data, validateCategory(data)));
+    } catch (e) {
+      if (!(e instanceof FrontmatterError)) throw e;
+      categories.push(createCategory(folder, {}, [{ severity: 'error', field: null, message: e.reason, line: e.line }]));
+    }
+  }
+
+  return categories.sort(compareCategories);
+}
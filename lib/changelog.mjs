@@ -0,0 +1,142 @@
+/**
+ * Changelog between two versions of places.geojson, for `--diff`.
+ *
+ * Places are matched by feature id (derived from place_id, see
+ * lib/slugs.mjs); features from files generated before ids existed are
+ * matched by name instead. Reports places added, removed, moved more than a
+ * threshold, whose status changed, and whose other fields were edited.
+ */
+
+import { distanceMeters } from './geo.mjs';
+
+// Properties that change without the place changing, or that have their own section
+const IGNORED_FIELDS = new Set(['slug', 'previousSlugs', 'geocoder', 'status']);
+
+// Values compared through a projection: openingHours repeats `hours` as
+// periods, so only its exceptions (special dates, seasons, closures) count
+const COMPARED_AS = {
+  openingHours: ({ days, periods, ...exceptions }) => exceptions
+};
+
+// Properties whose values differ, in the new feature's key order
+function editedFields(before, after) {
+  const keys = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  const value = (properties, key) => {
+    const project = COMPARED_AS[key];
+    return JSON.stringify(project ? project(properties[key] || {}) : properties[key] ?? null);
+  };
+  return keys.filter(key => !IGNORED_FIELDS.has(key) && value(before, key) !== value(after, key));
+}
+
+/**
+ * Compare the features of two GeoJSON collections. Returns
+ * { added, removed, moved, status, edited, categories }, each a list sorted
+ * by place name:
+ *
+ * - added/removed: features
+ * - moved: { feature, meters } for places moved more than `moveThreshold`
+ * - status: { feature, from, to }
+ * - edited: { feature, fields }
+ * - categories: names of categories whose icon, color or order changed
+ */
+export function diffPlaces(before, after, { moveThreshold = 50 } = {}) {
+  const oldFeatures = before?.features || [];
+  const newFeatures = after?.features || [];
+  const byId = new Map(oldFeatures.filter(f => f.id !== undefined).map(f => [f.id, f]));
+  const byName = new Map(oldFeatures.filter(f => f.id === undefined).map(f => [f.properties.name, f]));
+
+  const changes = { added: [], removed: [], moved: [], status: [], edited: [], categories: [] };
+  const matched = new Set();
+
+  for (const feature of newFeatures) {
+    const previous = byId.get(feature.id) || byName.get(feature.properties.name);
+    if (!previous || matched.has(previous)) {
+      changes.added.push(feature);
+      continue;
+    }
+    matched.add(previous);
+
+    const meters = distanceMeters(previous.geometry.coordinates, feature.geometry.coordinates);
+    if (meters > moveThreshold) changes.moved.push({ feature, meters });
+
+    const from = previous.properties.status;
+    const to = feature.properties.status;
+    if (from !== to) changes.status.push({ feature, from, to });
+
+    const fields = editedFields(previous.properties, feature.properties);
+    if (fields.length > 0) changes.edited.push({ feature, fields });
+  }
+
+  changes.removed = oldFeatures.filter(f => !matched.has(f));
+
+  const oldCategories = new Map((before?.categories || []).map(c => [c.name, c]));
+  for (const category of after?.categories || []) {
+    const previous = oldCategories.get(category.name);
+    if (!previous) continue;
+    if (['icon', 'color', 'order'].some(key => (previous[key] ?? null) !== (category[key] ?? null))) {
+      changes.categories.push(category.name);
+    }
+  }
+
+  const nameOf = item => (item.feature || item).properties.name;
+  for (const key of ['added', 'removed', 'moved', 'status', 'edited']) {
+    changes[key].sort((a, b) => nameOf(a).localeCompare(nameOf(b)));
+  }
+  changes.categories.sort((a, b) => a.localeCompare(b));
+
+  return changes;
+}
+
+/**
+ * Number of places that changed in any way (a place can appear in several
+ * sections), plus changed categories.
+ */
+export function countChanges(changes) {
+  const places = new Set();
+  for (const key of ['added', 'removed', 'moved', 'status', 'edited']) {
+    for (const item of changes[key]) places.add(item.feature || item);
+  }
+  return places.size + changes.categories.length;
+}
+
+/**
+ * Render a changelog as plain text: a summary line, then one section per
+ * kind of change. Returns '' when nothing changed.
+ */
+export function formatChangelog(changes) {
+  const total = countChanges(changes);
+  if (total === 0) return '';
+
+  const place = feature => `${feature.properties.name} (${feature.properties.category})`;
+  const sections = [
+    ['Added', changes.added.map(f => `+ ${place(f)}`)],
+    ['Removed', changes.removed.map(f => `- ${place(f)}`)],
+    ['Moved', changes.moved.map(({ feature, meters }) => `~ ${place(feature)}: ${Math.round(meters)} m`)],
+    ['Status', changes.status.map(({ feature, from, to }) => `* ${place(feature)}: ${from} -> ${to}`)],
+    ['Edited', changes.edited.map(({ feature, fields }) => `* ${place(feature)}: ${fields.join(', ')}`)],
+    ['Categories', changes.categories.map(name => `* ${name}`)]
+  ];
+
+  const lines = [`${total} change${total === 1 ? '' : 's'}`];
+  for (const [title, items] of sections) {
+    if (items.length === 0) continue;
+    lines.push('', `${title} (${items.length}):`, ...items.map(item => `  ${item}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One line counting each kind of change ("1 added, 2 edited"), for a
+ * commit subject. Returns '' when nothing changed.
+ */
+export function summarizeChanges(changes) {
+  const parts = [
+    [changes.added.length, 'added'],
+    [changes.removed.length, 'removed'],
+    [changes.moved.length, 'moved'],
+    [changes.status.length, 'changed status'],
+    [changes.edited.length, 'edited'],
+    [changes.categories.length, changes.categories.length === 1 ? 'category changed' : 'categories changed']
+  ];
+  return parts.filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+}
@@ -0,0 +1,7 @@
+/**
+ * What the map shares with lib/collections.mjs about collections/index.json.
+ * No imports, so app.js can load it in the browser.
+ */
+
+// Bumped when the index's format changes; the map ignores other versions
+export const COLLECTION_INDEX_VERSION = 1;
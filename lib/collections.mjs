@@ -0,0 +1,159 @@
+/**
+ * Collections for generate-geojson.mjs: separate vaults (one per city, say)
+ * built into separate datasets the map can switch between.
+ *
+ * An optional collections.json lists them, the first being the default:
+ *
+ *   [
+ *     {
+ *       "id": "portland",
+ *       "name": "Portland",
+ *       "dir": "~/Brain/Portland Places",
+ *       "center": [45.52, -122.67],
+ *       "zoom": 12,
+ *       "timezone": "America/Los_Angeles"
+ *     },
+ *     { "id": "seattle", "name": "Seattle", "dir": "~/Brain/Seattle Places" }
+ *   ]
+ *
+ * `dir` is relative to collections.json unless absolute, and "~/" is the
+ * home directory. `center` ([lat, lng]) and `zoom` set the map's starting
+ * view (without a center it fits the places); `timezone` is the one the
+ * places' hours are in. `neighborhoods` is an optional GeoJSON file of
+ * neighborhood boundaries (see lib/neighborhoods.mjs), found like `dir`.
+ *
+ * Each collection is written to its own folder (places.geojson, tiles/ and
+ * any neighborhoods.geojson), next to an index.json of every collection for
+ * the map.
+ */
+
+import { isAbsolute, join, resolve } from 'path';
+import { COLLECTION_INDEX_VERSION } from './collection-index.mjs';
+
+export { COLLECTION_INDEX_VERSION };
+
+// Ids appear in URLs (#/<id>/...) and folder names
+const COLLECTION_ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Whether `id` is a valid collection id, and so safe as a folder name
+ * under collections/.
+ */
+export function isCollectionId(id) {
+  return typeof id === 'string' && COLLECTION_ID.test(id);
+}
+
+const COLLECTION_FIELDS = ['id', 'name', 'dir', 'center', 'zoom', 'timezone', 'neighborhoods'];
+
+const DEFAULT_ZOOM = 12;
+
+/**
+ * A collections.json that can't be used. `collection` is the id (or
+ * position) of the entry at fault, if any.
+ */
+export class CollectionError extends Error {
+  constructor(reason, collection = null) {
+    super(collection === null ? reason : `collection ${collection}: ${reason}`);
+    this.name = 'CollectionError';
+    this.reason = reason;
+    this.collection = collection;
+  }
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validate one entry; `label` names it in errors
+function parseCollection(entry, label, { baseDir, home, timezone }) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new CollectionError('must be an object', label);
+  }
+
+  const unknown = Object.keys(entry).filter(key => !COLLECTION_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new CollectionError(`unknown field${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (expected ${COLLECTION_FIELDS.join(', ')})`, label);
+  }
+
+  const { id, name, dir, center = null, zoom = DEFAULT_ZOOM, neighborhoods = null } = entry;
+  if (!isCollectionId(id)) {
+    throw new CollectionError('id must be lowercase letters, digits and dashes (e.g. "seattle")', label);
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new CollectionError('name is required', id);
+  }
+  if (typeof dir !== 'string' || !dir.trim()) {
+    throw new CollectionError('dir is required', id);
+  }
+  if (center !== null) {
+    const [lat, lng] = Array.isArray(center) ? center : [];
+    if (center.length !== 2 || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new CollectionError('center must be [latitude, longitude]', id);
+    }
+  }
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 19) {
+    throw new CollectionError('zoom must be a whole number from 0 to 19', id);
+  }
+  if (neighborhoods !== null && (typeof neighborhoods !== 'string' || !neighborhoods.trim())) {
+    throw new CollectionError('neighborhoods must be the path of a GeoJSON file', id);
+  }
+  const zone = entry.timezone ?? timezone;
+  if (typeof zone !== 'string' || !isTimeZone(zone)) {
+    throw new CollectionError(`timezone "${zone}" is not a known timezone (e.g. "America/Los_Angeles")`, id);
+  }
+
+  // "~/" is home; other relative paths are against collections.json
+  const locate = value => {
+    const path = value.startsWith('~/') ? join(home, value.slice(2)) : value;
+    return isAbsolute(path) ? path : resolve(baseDir, path);
+  };
+  return {
+    id,
+    name: name.trim(),
+    dir: locate(dir),
+    center,
+    zoom,
+    timezone: zone,
+    neighborhoods: neighborhoods === null ? null : locate(neighborhoods)
+  };
+}
+
+/**
+ * Validate parsed collections.json content. Returns
+ * [{ id, name, dir, center, zoom, timezone, neighborhoods }] with `dir` and
+ * `neighborhoods` made absolute against `baseDir`; `timezone` is the
+ * default for entries without one.
+ * Throws CollectionError.
+ */
+export function parseCollections(config, { baseDir = '.', home = '', timezone = 'America/Los_Angeles' } = {}) {
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new CollectionError('expected a list of collections');
+  }
+
+  const collections = config.map((entry, i) => parseCollection(entry, `#${i + 1}`, { baseDir, home, timezone }));
+
+  const seen = new Set();
+  for (const { id } of collections) {
+    if (seen.has(id)) throw new CollectionError('id is used more than once', id);
+    seen.add(id);
+  }
+  return collections;
+}
+
+/**
+ * The map's list of collections: each one's metadata and place count, in
+ * collections.json order (the first is the default).
+ */
+export function buildCollectionIndex(collections) {
+  return {
+    version: COLLECTION_INDEX_VERSION,
+    collections: collections.map(({ id, name, center, zoom, timezone, count }) => ({
+      id, name, center, zoom, timezone, count
+    }))
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Small async helpers for network-bound work in the data pipeline:
+ * bounded concurrency, a per-second rate limiter, and exponential-backoff
+ * retries for transient failures.
+ */
+
+import { setTimeout as delay } from 'timers/promises';
+
+// Error codes from sockets/DNS/child processes that are worth retrying
+const TRANSIENT_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Whether an error is likely to go away on retry: timeouts, dropped
+ * connections, HTTP 429/5xx, or anything flagged `transient` by a provider.
+ */
+export function isTransientError(err) {
+  if (!err) return false;
+  if (typeof err.transient === 'boolean') return err.transient;
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') return true;
+  if (TRANSIENT_CODES.has(err.code) || TRANSIENT_CODES.has(err.cause?.code)) return true;
+  if (typeof err.status === 'number') return err.status === 429 || err.status >= 500;
+  return false;
+}
+
+/**
+ * Run `fn(item, index)` over `items` with at most `limit` calls in flight.
+ * Never rejects; resolves to Promise.allSettled-style results in input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Returns an async `acquire()` that resolves no more often than
+ * `perSecond` times per second, spacing callers evenly.
+ */
+export function createRateLimiter(perSecond, { now = Date.now, sleep = delay } = {}) {
+  if (!(perSecond > 0) || perSecond === Infinity) {
+    return async () => {};
+  }
+
+  const interval = 1000 / perSecond;
+  let nextSlot = 0;
+
+  return async function acquire() {
+    const current = now();
+    const wait = Math.max(0, nextSlot - current);
+    nextSlot = Math.max(current, nextSlot) + interval;
+    if (wait > 0) await sleep(wait);
+  };
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds, retrying errors that `isRetryable`
+ * accepts up to `retries` times with jittered exponential backoff.
+ * The final error gets an `attempts` property.
+ */
+export async function withRetries(fn, {
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  isRetryable = isTransientError,
+  onRetry = null,
+  sleep = delay,
+  random = Math.random
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) {
+        if (err && typeof err === 'object') err.attempts = attempt + 1;
+        throw err;
+      }
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const wait = Math.round(backoff / 2 + random() * backoff / 2);
+      if (onRetry) onRetry(err, attempt + 1, wait);
+      await sleep(wait);
+    }
+  }
+}
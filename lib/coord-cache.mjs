@@ -0,0 +1,143 @@
+/**
+ * Coordinate cache stored in .coord-cache.json.
+ *
+ * File format (version 2):
+ *   {
+ *     "version": 2,
+ *     "entries": {
+ *       "<place_id>": { "lat", "lng", "provider", "fetchedAt", "details"? }
+ *     }
+ *   }
+ *
+ * `fetchedAt` is an ISO timestamp used for expiry; `details` is the raw
+ * provider response when there was one. Older files are upgraded by
+ * migrateCache() when they are loaded.
+ */
+
+export const CACHE_VERSION = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upgrade cache file contents of any known version to the current format.
+ * Entries without a fetch time are stamped with `now`, so upgrading doesn't
+ * expire (and refetch) the whole cache at once. Throws for unknown versions.
+ */
+export function migrateCache(data, { now = Date.now() } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { version: CACHE_VERSION, entries: {} };
+  }
+
+  // Version 1: a flat { place_id: { lat, lng, provider? } } map
+  if (!('version' in data)) {
+    const stamp = new Date(now).toISOString();
+    const entries = {};
+    for (const [placeId, entry] of Object.entries(data)) {
+      entries[placeId] = {
+        lat: entry.lat,
+        lng: entry.lng,
+        // Entries written before providers existed all came from Google
+        provider: entry.provider || 'google',
+        fetchedAt: stamp
+      };
+    }
+    return { version: CACHE_VERSION, entries };
+  }
+
+  if (data.version === CACHE_VERSION) {
+    return { version: CACHE_VERSION, entries: data.entries || {} };
+  }
+
+  throw new Error(`Unsupported coordinate cache version ${data.version} (expected ${CACHE_VERSION} or older)`);
+}
+
+/**
+ * Wrap migrated cache data in the { get, set } store used by geocode().
+ *
+ * - ttlDays: entries older than this are treated as missing and refetched
+ *   (0 or Infinity keeps them forever)
+ * - refresh: place_ids to refetch regardless of age
+ *
+ * `stats` counts expired and refreshed lookups for the run summary.
+ */
+export function createCoordinateCache(data, { ttlDays = 0, refresh = [], now = Date.now } = {}) {
+  const { entries } = data;
+  const refreshIds = new Set(refresh);
+  const maxAge = ttlDays > 0 ? ttlDays * DAY_MS : Infinity;
+  const stats = { expired: 0, refreshed: 0 };
+
+  function isExpired(entry) {
+    const fetchedAt = Date.parse(entry.fetchedAt);
+    return Number.isNaN(fetchedAt) || now() - fetchedAt > maxAge;
+  }
+
+  return {
+    stats,
+
+    get(place) {
+      const entry = entries[place.place_id];
+      if (!entry) return null;
+      if (refreshIds.has(place.place_id)) {
+        stats.refreshed++;
+        return null;
+      }
+      if (isExpired(entry)) {
+        stats.expired++;
+        return null;
+      }
+      return { lat: entry.lat, lng: entry.lng, provider: entry.provider, details: entry.details || null };
+    },
+
+    /**
+     * Whether get() would return an entry for this place, without counting it.
+     */
+    isFresh(place) {
+      const entry = entries[place.place_id];
+      return Boolean(entry) && !refreshIds.has(place.place_id) && !isExpired(entry);
+    },
+
+    set(place, result) {
+      const entry = {
+        lat: result.lat,
+        lng: result.lng,
+        provider: result.provider,
+        fetchedAt: new Date(now()).toISOString()
+      };
+      if (result.details) entry.details = result.details;
+      entries[place.place_id] = entry;
+    },
+
+    /**
+     * Drop entries whose place_id is not in `placeIds`. Returns the removed ids.
+     */
+    prune(placeIds) {
+      const keep = new Set(placeIds);
+      const removed = Object.keys(entries).filter(id => !keep.has(id));
+      for (const id of removed) delete entries[id];
+      return removed;
+    },
+
+    toJSON() {
+      return { version: CACHE_VERSION, entries };
+    }
+  };
+}
+
+/**
+ * Resolve `--refresh` arguments (place_ids or place names, case-insensitive)
+ * against the vault. Returns { ids, unmatched }.
+ */
+export function matchRefreshTargets(targets, places) {
+  const ids = new Set();
+  const unmatched = [];
+
+  for (const target of targets) {
+    const wanted = target.trim().toLowerCase();
+    const matches = places.filter(p =>
+      p.place_id === target.trim() || (typeof p.name === 'string' && p.name.toLowerCase() === wanted));
+    if (matches.length === 0) unmatched.push(target);
+    for (const place of matches) ids.add(place.place_id);
+  }
+
+  return { ids: [...ids], unmatched };
+}
@@ -0,0 +1,122 @@
+/**
+ * Fills missing address, website and hours on a place from the geocoder's
+ * details payload (e.g. `goplaces details --json`), and reports where the
+ * vault and the provider disagree. Used by generate-geojson.mjs --enrich.
+ *
+ * The vault always wins when both have a value; differences are only reported.
+ */
+
+import { normalizeAddress } from './geocoders.mjs';
+import { formatHoursEntry, HOURS_DAYS } from './schema.mjs';
+
+export const ENRICHED_FIELDS = ['address', 'website', 'hours'];
+
+// Key names vary between goplaces versions and the raw Places API responses
+const DETAIL_KEYS = {
+  address: ['address', 'formatted_address', 'formattedAddress'],
+  website: ['website', 'website_uri', 'websiteUri'],
+  hours: ['hours', 'weekday_descriptions', 'weekdayDescriptions']
+};
+
+const NESTED_HOURS = ['regularOpeningHours', 'regular_opening_hours', 'opening_hours'];
+
+function firstValue(details, keys) {
+  for (const key of keys) {
+    if (details[key] !== undefined && details[key] !== null) return details[key];
+  }
+  return undefined;
+}
+
+/**
+ * Normalize an hours line: Google uses thin and narrow no-break spaces
+ * around times ("7:00 AM – 5:00 PM"); the vault uses plain spaces.
+ */
+export function normalizeHoursLine(line) {
+  return formatHoursEntry(line)
+    .replace(/[\u00A0\u2009\u202F]/g, ' ')
+    .replace(/\s*[–—-]\s*/g, ' – ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hoursKey(hours) {
+  const day = line => HOURS_DAYS.indexOf(line.split(':')[0]);
+  return hours.map(normalizeHoursLine).sort((a, b) => day(a) - day(b)).join('\n');
+}
+
+// Google appends the country to every formatted address
+function stripCountry(address) {
+  return address.replace(/,\s*(?:USA|United States)$/, '').trim();
+}
+
+function websiteKey(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return hostname.toLowerCase().replace(/^www\./, '') + pathname.replace(/\/+$/, '');
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+/**
+ * Pull { address, website, hours } out of a provider details payload.
+ * Fields that are missing or have the wrong shape are left out.
+ */
+export function extractDetails(details) {
+  if (!details || typeof details !== 'object') return {};
+  const found = {};
+
+  const address = firstValue(details, DETAIL_KEYS.address);
+  if (typeof address === 'string' && address.trim()) found.address = stripCountry(address.trim());
+
+  const website = firstValue(details, DETAIL_KEYS.website);
+  if (typeof website === 'string' && /^https?:\/\//i.test(website)) found.website = website.trim();
+
+  let hours = firstValue(details, DETAIL_KEYS.hours);
+  if (hours === undefined) {
+    const nested = firstValue(details, NESTED_HOURS);
+    hours = nested && (nested.weekdayDescriptions || nested.weekday_descriptions || nested.weekday_text);
+  }
+  if (Array.isArray(hours) && hours.length > 0 && hours.every(h => typeof h === 'string')) {
+    found.hours = hours.map(normalizeHoursLine);
+  }
+
+  return found;
+}
+
+const SAME = {
+  address: (a, b) => normalizeAddress(stripCountry(a)) === normalizeAddress(b),
+  website: (a, b) => websiteKey(a) === websiteKey(b),
+  hours: (a, b) => hoursKey(a) === hoursKey(b)
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Merge provider details into a place.
+ * Returns { place, filled, differences } where `filled` lists the fields
+ * taken from the provider and `differences` lists fields where the vault
+ * value was kept but the provider disagrees.
+ */
+export function enrichPlace(place, details) {
+  const found = extractDetails(details);
+  const enriched = { ...place };
+  const filled = [];
+  const differences = [];
+
+  for (const field of ENRICHED_FIELDS) {
+    if (found[field] === undefined) continue;
+
+    const vault = field === 'hours' && typeof place.hours === 'string' ? [place.hours] : place[field];
+    if (isEmpty(vault)) {
+      enriched[field] = found[field];
+      filled.push(field);
+    } else if (!SAME[field](vault, found[field])) {
+      differences.push(field);
+    }
+  }
+
+  return { place: enriched, filled, differences };
+}
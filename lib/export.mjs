@@ -0,0 +1,142 @@
+/**
+ * Converters from places.geojson features to formats other apps import:
+ * GPX waypoints (navigation apps), KML (Google My Maps, Google Earth), CSV
+ * and GeoJSON. Each place carries its status, category and notes as fields.
+ *
+ * Used by the map's export menu (app.js) and by export-places.mjs, so this
+ * module must not use Node APIs.
+ */
+
+// Place properties written as fields, in column order
+export const EXPORT_FIELDS = ['name', 'category', 'status', 'primary', 'neighborhood', 'address', 'website', 'notes'];
+
+// Document title when the caller gives none, e.g. without collections
+const DEFAULT_NAME = 'Places';
+
+const GPX_EXTENSIONS_NS = 'https://hansef.github.io/portland-places-map/gpx/1';
+
+// Escape text for XML element content and attribute values
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Field values of a feature, skipping empty ones, as [field, value] pairs
+function fieldsOf(feature) {
+  return EXPORT_FIELDS
+    .map(field => [field, feature.properties[field]])
+    .filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * GPX 1.1 with one waypoint per place. Notes go in the description,
+ * the category in the type, and every field in the extensions.
+ */
+export function toGPX(features, { name = DEFAULT_NAME } = {}) {
+  const waypoints = features.map(feature => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const { properties } = feature;
+    const lines = [`  <wpt lat="${lat}" lon="${lng}">`, `    <name>${escapeXml(properties.name)}</name>`];
+    if (properties.notes) lines.push(`    <desc>${escapeXml(properties.notes)}</desc>`);
+    if (properties.website) lines.push(`    <link href="${escapeXml(properties.website)}"/>`);
+    if (properties.category) lines.push(`    <type>${escapeXml(properties.category)}</type>`);
+    lines.push('    <extensions>');
+    for (const [field, value] of fieldsOf(feature)) {
+      if (field !== 'name') lines.push(`      <places:${field}>${escapeXml(value)}</places:${field}>`);
+    }
+    lines.push('    </extensions>', '  </wpt>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="portland-places-map" xmlns="http://www.topografix.com/GPX/1/1" xmlns:places="${GPX_EXTENSIONS_NS}">`,
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * KML with one placemark per place. Fields go in ExtendedData, which Google
+ * My Maps imports as table columns.
+ */
+export function toKML(features, { name = DEFAULT_NAME } = {}) {
+  const placemarks = features.map(feature => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const { properties } = feature;
+    const lines = ['    <Placemark>', `      <name>${escapeXml(properties.name)}</name>`];
+    if (properties.notes) lines.push(`      <description>${escapeXml(properties.notes)}</description>`);
+    lines.push('      <ExtendedData>');
+    for (const [field, value] of fieldsOf(feature)) {
+      if (field !== 'name') lines.push(`        <Data name="${field}"><value>${escapeXml(value)}</value></Data>`);
+    }
+    lines.push(
+      '      </ExtendedData>',
+      `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+      '    </Placemark>'
+    );
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// Quote a CSV value when it contains a delimiter, quote or line break
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV (RFC 4180) with a header row: the export fields, then latitude and
+ * longitude.
+ */
+export function toCSV(features) {
+  const columns = [...EXPORT_FIELDS, 'latitude', 'longitude'];
+  const rows = features.map(feature => {
+    const [lng, lat] = feature.geometry.coordinates;
+    return [...EXPORT_FIELDS.map(field => feature.properties[field]), lat, lng].map(csvValue).join(',');
+  });
+  return [columns.join(','), ...rows].map(row => `${row}\r\n`).join('');
+}
+
+/**
+ * A GeoJSON FeatureCollection of the features as they are.
+ */
+export function toGeoJSON(features, { name = DEFAULT_NAME } = {}) {
+  return `${JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2)}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', convert: toGPX },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', convert: toKML },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', convert: toCSV },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', convert: toGeoJSON }
+};
+
+/**
+ * Convert features to an export format (a key of EXPORT_FORMATS). `name`
+ * titles the GPX, KML and GeoJSON documents.
+ */
+export function exportPlaces(features, format, options = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  return exporter.convert(features, options);
+}
@@ -0,0 +1,579 @@
+/**
+ * YAML frontmatter reader for vault notes.
+ *
+ * Implements the block-style YAML subset that Obsidian notes actually use:
+ * nested mappings, block sequences (including sequences of mappings), flow
+ * collections ([a, b] / {a: 1}), literal and folded block scalars (| and >),
+ * single- and double-quoted strings, comments, CRLF line endings and the
+ * YAML 1.2 core schema (null, booleans, integers, floats).
+ *
+ * Anything outside that subset (anchors, aliases, tags, complex keys) or
+ * anything malformed is rejected with a FrontmatterError that carries the
+ * file and line number, rather than being guessed at.
+ */
+
+/**
+ * Raised for frontmatter that cannot be parsed.
+ * `line` is the 1-based line number in the source file.
+ */
+export class FrontmatterError extends Error {
+  constructor(reason, { file = null, line = null } = {}) {
+    const location = [file, line].filter(v => v !== null).join(':');
+    super(location ? `${location}: ${reason}` : reason);
+    this.name = 'FrontmatterError';
+    this.reason = reason;
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// Source line of each mapping key, so later stages (validation) can point at it
+const keyLines = new WeakMap();
+
+/**
+ * Line number where `key` was defined in a mapping returned by this module,
+ * or null if unknown.
+ */
+export function getKeyLine(mapping, key) {
+  return keyLines.get(mapping)?.[key] ?? null;
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f',
+  r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+  N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+/**
+ * Extract and parse the frontmatter block at the top of a markdown note.
+ * Returns {} for notes without frontmatter.
+ */
+export function parseFrontmatter(content, file = null) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  if (!/^---\s*$/.test(lines[0])) return {};
+
+  const end = lines.findIndex((line, i) => i > 0 && /^(?:---|\.\.\.)\s*$/.test(line));
+  if (end === -1) {
+    throw new FrontmatterError('frontmatter is missing its closing "---"', { file, line: 1 });
+  }
+
+  const data = parseYaml(lines.slice(1, end).join('\n'), { file, firstLine: 2 });
+  if (data === null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new FrontmatterError('frontmatter must be a mapping of keys to values', { file, line: 2 });
+  }
+  return data;
+}
+
+/**
+ * Parse a YAML document. `firstLine` is the file line number of the
+ * document's first line, so errors point at the right place in the note.
+ */
+export function parseYaml(text, { file = null, firstLine = 1 } = {}) {
+  const state = { lines: splitLines(text, firstLine), pos: 0, file };
+
+  if (!peek(state)) return null;
+  const value = parseBlockNode(state, -1);
+
+  const extra = peek(state);
+  if (extra) fail(state, extra, 'unexpected content (check the indentation)');
+
+  return value;
+}
+
+// ===== LINES =====
+
+function splitLines(text, firstLine) {
+  const rawLines = text.split(/\r\n|\r|\n/);
+  // A final line break terminates the last line rather than starting a new one
+  if (rawLines.length > 1 && rawLines[rawLines.length - 1] === '') rawLines.pop();
+
+  return rawLines.map((raw, i) => {
+    const indent = raw.match(/^ */)[0].length;
+    const body = raw.slice(indent);
+    const trimmed = body.trim();
+    return {
+      no: firstLine + i,
+      raw,
+      indent,
+      text: body.trimEnd(),
+      skip: trimmed === '' || trimmed.startsWith('#'),
+      tabIndent: body.startsWith('\t') && trimmed !== ''
+    };
+  });
+}
+
+function fail(state, line, reason) {
+  throw new FrontmatterError(reason, { file: state.file, line: line ? line.no : null });
+}
+
+/**
+ * Return the next line with content, skipping blank and comment lines.
+ */
+function peek(state) {
+  while (state.pos < state.lines.length && state.lines[state.pos].skip) {
+    state.pos++;
+  }
+  const line = state.lines[state.pos] || null;
+  if (line && line.tabIndent) fail(state, line, 'tabs are not allowed in indentation');
+  return line;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Index of the ":" that makes this line a mapping entry, or -1.
+ */
+function findMappingColon(text) {
+  if (text[0] === '"' || text[0] === "'") {
+    let i = findClosingQuote(text, 0);
+    if (i === -1) return -1;
+    i++;
+    while (text[i] === ' ') i++;
+    return text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1])) ? i : -1;
+  }
+  if ('[{|>&*!%@`#'.includes(text[0])) return -1;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '#' && /\s/.test(text[i - 1])) return -1;
+    if (text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) return i;
+  }
+  return -1;
+}
+
+// ===== BLOCK STRUCTURE =====
+
+/**
+ * Parse the block node starting at the next content line.
+ * `parentIndent` is the indentation of the enclosing node.
+ */
+function parseBlockNode(state, parentIndent) {
+  const line = peek(state);
+
+  if (isSequenceItem(line.text)) return parseSequence(state, line.indent);
+  if (line.text.startsWith('? ')) fail(state, line, 'complex mapping keys are not supported');
+  if (findMappingColon(line.text) !== -1) return parseMapping(state, line.indent);
+
+  state.pos++;
+  return parseValue(state, line.text, line, parentIndent, false);
+}
+
+function parseMapping(state, indent) {
+  const result = {};
+  const lines = {};
+  keyLines.set(result, lines);
+
+  for (let line = peek(state); line && line.indent >= indent; line = peek(state)) {
+    if (line.indent > indent) fail(state, line, 'unexpected indentation');
+    if (isSequenceItem(line.text)) fail(state, line, 'list item where a "key: value" pair was expected');
+
+    const colon = findMappingColon(line.text);
+    if (colon === -1) fail(state, line, `expected a "key: value" pair, got "${line.text}"`);
+
+    const rawKey = line.text.slice(0, colon).trim();
+    const key = rawKey[0] === '"' || rawKey[0] === "'"
+      ? unquote(state, rawKey, line)
+      : rawKey;
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      fail(state, line, `duplicate key "${key}"`);
+    }
+
+    lines[key] = line.no;
+    state.pos++;
+    const value = parseValue(state, line.text.slice(colon + 1), line, indent, true);
+    Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+
+  return result;
+}
+
+function parseSequence(state, indent) {
+  const items = [];
+
+  for (let line = peek(state); line && line.indent >= indent; line = peek(state)) {
+    if (line.indent > indent) fail(state, line, 'unexpected indentation');
+    if (!isSequenceItem(line.text)) break;
+
+    const afterDash = line.text.slice(1);
+    const content = afterDash.trimStart();
+
+    if (content === '' || content.startsWith('#')) {
+      state.pos++;
+      items.push(parseValue(state, '', line, indent, false));
+      continue;
+    }
+
+    // Re-anchor the item's content at its own column so that "- key: value"
+    // and "- - nested" parse as ordinary block nodes.
+    state.lines[state.pos] = {
+      ...line,
+      indent: indent + 1 + (afterDash.length - content.length),
+      text: content
+    };
+    items.push(parseBlockNode(state, indent));
+  }
+
+  return items;
+}
+
+/**
+ * Parse the value that follows "key:" or "- " on `line`.
+ * Empty values take the following, more indented block (or, for a mapping
+ * value, a sequence at the same indentation as the key).
+ */
+function parseValue(state, text, line, parentIndent, inMapping) {
+  const value = text.trim();
+
+  if (value === '' || value.startsWith('#')) {
+    const next = peek(state);
+    if (next && (next.indent > parentIndent ||
+        (inMapping && next.indent === parentIndent && isSequenceItem(next.text)))) {
+      return parseBlockNode(state, parentIndent);
+    }
+    return null;
+  }
+
+  const first = value[0];
+  if (first === '|' || first === '>') return parseBlockScalar(state, value, line, parentIndent);
+  if (first === '[' || first === '{') return parseFlowValue(state, value, line);
+  if (first === '"' || first === "'") return parseQuotedValue(state, value, line);
+  if (first === '&' || first === '*') fail(state, line, 'anchors and aliases are not supported');
+  if (first === '!') fail(state, line, 'tags are not supported');
+  if (first === '@' || first === '`') fail(state, line, `"${first}" is reserved and cannot start a plain value; quote it`);
+  if (findMappingColon(value) !== -1) {
+    fail(state, line, 'a nested mapping must start on its own line; quote the value if it contains ": "');
+  }
+
+  return parsePlainValue(state, value, line, parentIndent);
+}
+
+// ===== SCALARS =====
+
+function parsePlainValue(state, value, line, parentIndent) {
+  const parts = [stripComment(value)];
+  let breaks = 0;
+
+  // Continuation lines of a multi-line plain scalar are folded into one string
+  while (state.pos < state.lines.length) {
+    const next = state.lines[state.pos];
+    if (next.raw.trim() === '') {
+      breaks++;
+      state.pos++;
+      continue;
+    }
+    if (next.skip || next.indent <= parentIndent) break;
+    if (findMappingColon(next.text) !== -1 || isSequenceItem(next.text)) {
+      fail(state, next, 'unexpected indentation');
+    }
+    parts.push(breaks ? '\n'.repeat(breaks) : ' ', stripComment(next.text));
+    breaks = 0;
+    state.pos++;
+  }
+
+  return parts.length === 1 ? resolvePlain(parts[0]) : parts.join('');
+}
+
+function stripComment(text) {
+  const match = text.match(/\s#/);
+  return (match ? text.slice(0, match.index) : text).trim();
+}
+
+/**
+ * Resolve a plain scalar using the YAML 1.2 core schema.
+ */
+function resolvePlain(value) {
+  if (/^(?:~|null|Null|NULL)?$/.test(value)) return null;
+  if (/^(?:true|True|TRUE)$/.test(value)) return true;
+  if (/^(?:false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?[0-9]+$/.test(value)) {
+    // Keep long digit strings (IDs, phone numbers) intact rather than lose precision
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+  if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value.slice(2), 16);
+  if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(value)) return Number(value);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(value)) return value[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(value)) return NaN;
+  return value;
+}
+
+/**
+ * Index of the quote closing the string that opens at `start`, or -1.
+ */
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function parseQuotedValue(state, value, line) {
+  let buffer = value;
+  let end = findClosingQuote(buffer, 0);
+  let lastLine = line;
+
+  // Quoted strings may continue over several lines
+  while (end === -1) {
+    if (state.pos >= state.lines.length) {
+      fail(state, line, `unterminated ${value[0] === '"' ? 'double' : 'single'}-quoted string`);
+    }
+    lastLine = state.lines[state.pos++];
+    buffer += '\n' + lastLine.raw.trim();
+    end = findClosingQuote(buffer, 0);
+  }
+
+  const rest = buffer.slice(end + 1).trim();
+  if (rest && !rest.startsWith('#')) {
+    fail(state, lastLine, `unexpected text after quoted string: "${rest}"`);
+  }
+
+  return unquote(state, buffer.slice(0, end + 1), line);
+}
+
+/**
+ * Turn a complete quoted token (including its quotes) into a string.
+ */
+function unquote(state, token, line) {
+  const quote = token[0];
+  const folded = foldQuotedLines(token.slice(1, -1).split('\n').map(s => s.trim()));
+
+  if (quote === "'") return folded.replace(/''/g, "'");
+
+  return folded.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (match, escape) => {
+    if (escape.length > 1) return String.fromCodePoint(parseInt(escape.slice(1), 16));
+    if (escape in DOUBLE_QUOTE_ESCAPES) return DOUBLE_QUOTE_ESCAPES[escape];
+    fail(state, line, `unknown escape sequence "\\${escape}" in double-quoted string`);
+  });
+}
+
+/**
+ * Line folding for quoted scalars: single breaks become spaces,
+ * each blank line becomes a newline.
+ */
+function foldQuotedLines(lines) {
+  let out = lines[0];
+  for (const line of lines.slice(1)) {
+    if (line === '') {
+      out += '\n';
+    } else {
+      out += (out.endsWith('\n') ? '' : ' ') + line;
+    }
+  }
+  return out;
+}
+
+function parseBlockScalar(state, header, line, parentIndent) {
+  const match = header.match(/^([|>])(?:([1-9])([-+]?)|([-+])([1-9]?))?\s*(?:#.*)?$/);
+  if (!match) fail(state, line, `invalid block scalar header "${header}"`);
+
+  const style = match[1];
+  const chomping = match[3] || match[4] || '';
+  const explicitIndent = Number(match[2] || match[5]) || 0;
+
+  let indent = explicitIndent ? Math.max(parentIndent, 0) + explicitIndent : null;
+  const raw = [];
+
+  while (state.pos < state.lines.length) {
+    const next = state.lines[state.pos];
+    if (next.raw.trim() === '') {
+      raw.push('');
+      state.pos++;
+      continue;
+    }
+    if (indent === null) {
+      if (next.indent <= parentIndent) break;
+      indent = next.indent;
+    }
+    if (next.indent < indent) break;
+    raw.push(next.raw.slice(indent).trimEnd());
+    state.pos++;
+  }
+
+  let end = raw.length;
+  while (end > 0 && raw[end - 1] === '') end--;
+  const body = raw.slice(0, end);
+  const trailingBreaks = raw.length - end;
+
+  if (body.length === 0) {
+    return chomping === '+' ? '\n'.repeat(trailingBreaks) : '';
+  }
+
+  const text = style === '|' ? body.join('\n') : foldBlockLines(body);
+  if (chomping === '-') return text;
+  if (chomping === '+') return text + '\n'.repeat(trailingBreaks + 1);
+  return text + '\n';
+}
+
+/**
+ * Line folding for ">" block scalars. Adjacent lines join with a space;
+ * blank lines and more-indented lines keep their line breaks.
+ */
+function foldBlockLines(lines) {
+  let out = '';
+  let previous = null;
+  let blanks = 0;
+
+  for (const line of lines) {
+    if (line === '') {
+      blanks++;
+      continue;
+    }
+    if (previous === null) {
+      out += '\n'.repeat(blanks);
+    } else if (!/^\s/.test(previous) && !/^\s/.test(line)) {
+      out += blanks ? '\n'.repeat(blanks) : ' ';
+    } else {
+      out += '\n'.repeat(blanks + 1);
+    }
+    out += line;
+    previous = line;
+    blanks = 0;
+  }
+
+  return out;
+}
+
+// ===== FLOW COLLECTIONS =====
+
+function parseFlowValue(state, value, line) {
+  let buffer = value;
+
+  // Flow collections may span lines; keep reading until the brackets balance
+  while (!isFlowBalanced(buffer)) {
+    if (state.pos >= state.lines.length) {
+      fail(state, line, `unterminated flow collection starting with "${value[0]}"`);
+    }
+    buffer += ' ' + state.lines[state.pos++].raw.trim();
+  }
+
+  return parseFlow(state, buffer, line);
+}
+
+function isFlowBalanced(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if ((c === '"' || c === "'") && (i === 0 || /[\s,[{:]/.test(text[i - 1]))) {
+      const end = findClosingQuote(text, i);
+      if (end === -1) return false;
+      i = end;
+    } else if (c === '[' || c === '{') {
+      depth++;
+    } else if (c === ']' || c === '}') {
+      depth--;
+      if (depth === 0) return true;
+    }
+  }
+  return depth <= 0;
+}
+
+function parseFlow(state, source, line) {
+  let i = 0;
+  const error = reason => fail(state, line, reason);
+  const skipSpace = () => {
+    while (i < source.length && /\s/.test(source[i])) i++;
+  };
+
+  function parseNode() {
+    skipSpace();
+    const c = source[i];
+    if (c === '[') return parseFlowSequence();
+    if (c === '{') return parseFlowMapping();
+    if (c === '"' || c === "'") {
+      const end = findClosingQuote(source, i);
+      if (end === -1) error('unterminated quoted string in flow collection');
+      const token = source.slice(i, end + 1);
+      i = end + 1;
+      return unquote(state, token, line);
+    }
+    if (c === '&' || c === '*') error('anchors and aliases are not supported');
+    if (c === '!') error('tags are not supported');
+
+    const start = i;
+    while (i < source.length && !',[]{}'.includes(source[i]) &&
+        !(source[i] === ':' && (i + 1 === source.length || /[\s,\]}]/.test(source[i + 1])))) {
+      i++;
+    }
+    const token = source.slice(start, i).trim();
+    if (token === '') error(`unexpected "${source[i] || 'end of line'}" in flow collection`);
+    return resolvePlain(token);
+  }
+
+  function parseFlowSequence() {
+    const items = [];
+    i++;
+    skipSpace();
+    if (source[i] === ']') {
+      i++;
+      return items;
+    }
+    for (;;) {
+      items.push(parseNode());
+      skipSpace();
+      if (source[i] === ':') error('mappings inside flow sequences are not supported');
+      if (source[i] === ']') {
+        i++;
+        return items;
+      }
+      if (source[i] !== ',') error('expected "," or "]" in flow sequence');
+      i++;
+      skipSpace();
+      if (source[i] === ']') {
+        i++;
+        return items;
+      }
+    }
+  }
+
+  function parseFlowMapping() {
+    const result = {};
+    i++;
+    skipSpace();
+    if (source[i] === '}') {
+      i++;
+      return result;
+    }
+    for (;;) {
+      const key = String(parseNode());
+      skipSpace();
+      let value = null;
+      if (source[i] === ':') {
+        i++;
+        skipSpace();
+        if (source[i] !== ',' && source[i] !== '}') value = parseNode();
+      }
+      Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true });
+      skipSpace();
+      if (source[i] === '}') {
+        i++;
+        return result;
+      }
+      if (source[i] !== ',') error('expected "," or "}" in flow mapping');
+      i++;
+      skipSpace();
+      if (source[i] === '}') {
+        i++;
+        return result;
+      }
+    }
+  }
+
+  const value = parseNode();
+  skipSpace();
+  if (i < source.length && source[i] !== '#') {
+    error(`unexpected text after flow collection: "${source.slice(i)}"`);
+  }
+  return value;
+}
@@ -0,0 +1,31 @@
+/**
+ * Distances between places, shared by the generator and the map (no Node
+ * imports, so app.js can load it in the browser).
+ *
+ * GeoJSON positions are [lng, lat]; points people type or a map reports
+ * (collections.json centers, ?near=) are [lat, lng].
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance in meters between two GeoJSON [lng, lat] positions.
+ */
+export function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Places paired with their distance in meters from `origin` ([lat, lng]),
+ * nearest first: [{ feature, distance }]. Ties keep their order.
+ */
+export function sortByDistance(places, [lat, lng]) {
+  return places
+    .map(feature => ({ feature, distance: distanceMeters([lng, lat], feature.geometry.coordinates) }))
+    .sort((a, b) => a.distance - b.distance);
+}
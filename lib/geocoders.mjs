@@ -0,0 +1,285 @@
+/**
+ * Geocoder providers used by generate-geojson.mjs to turn a place note into
+ * coordinates.
+ *
+ * A provider is an object with:
+ * - name:        identifier recorded on each feature (properties.geocoder)
+ * - cacheable:   whether results should be stored in the coordinate cache
+ * - canResolve(place): true if the note has what this provider needs
+ * - resolve(place):    async, returns { lat, lng, details? } or null when
+ *                      the provider found nothing; throws on failure
+ *                      (errors flagged `transient` are retried)
+ * - ratePerSecond:     request budget for network providers (optional)
+ *
+ * Providers are tried in the configured order (GEOCODERS env var, e.g.
+ * "manual,table,nominatim") and the first match wins.
+ */
+
+import { execFile } from 'child_process';
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { promisify } from 'util';
+import { createRateLimiter, withRetries } from './concurrency.mjs';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_GEOCODERS = ['manual', 'google'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// goplaces output that means "try again later" rather than "bad place_id"
+const TRANSIENT_GOOGLE_OUTPUT = /\b(?:429|500|502|503|504|UNAVAILABLE|RESOURCE_EXHAUSTED|DEADLINE_EXCEEDED)\b/;
+const USER_AGENT = 'portland-places-map (https://github.com/hansef/portland-places-map)';
+
+/**
+ * Raised when no provider could resolve a place.
+ * `failures` lists { provider, message } for every provider that was tried.
+ */
+export class GeocodeError extends Error {
+  constructor(failures) {
+    super(failures.length > 0
+      ? failures.map(f => `${f.provider}: ${f.message}`).join('; ')
+      : 'no geocoder can handle this place (needs lat/lng, place_id or address)');
+    this.name = 'GeocodeError';
+    this.failures = failures;
+  }
+}
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+function toCoordinates(lat, lng) {
+  const coords = { lat: Number(lat), lng: Number(lng) };
+  if (!isCoordinate(coords.lat, 90) || !isCoordinate(coords.lng, 180)) {
+    throw new Error(`invalid coordinates ${lat}, ${lng}`);
+  }
+  return coords;
+}
+
+/**
+ * Normalize an address for table lookups (case, whitespace and punctuation).
+ */
+export function normalizeAddress(address) {
+  return String(address)
+    .toLowerCase()
+    .replace(/[.,#]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ===== PROVIDERS =====
+
+/**
+ * Explicit `lat` / `lng` frontmatter. Never cached: the note is the source.
+ */
+export function createManualGeocoder() {
+  return {
+    name: 'manual',
+    cacheable: false,
+    canResolve: place => isCoordinate(place.lat, 90) && isCoordinate(place.lng, 180),
+    resolve: async place => ({ lat: place.lat, lng: place.lng })
+  };
+}
+
+/**
+ * Google Places details via the `goplaces` CLI, keyed by place_id.
+ */
+export function createGoogleGeocoder({ command = 'goplaces' } = {}) {
+  return {
+    name: 'google',
+    cacheable: true,
+    ratePerSecond: 10,
+    canResolve: place => typeof place.place_id === 'string' && place.place_id !== '',
+    async resolve(place) {
+      let stdout;
+      try {
+        ({ stdout } = await execFileAsync(command, ['details', place.place_id, '--json'], {
+          encoding: 'utf-8',
+          timeout: REQUEST_TIMEOUT_MS
+        }));
+      } catch (err) {
+        const output = err.stderr?.trim() || '';
+        const message = err.killed
+          ? `goplaces timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+          : (output || err.message).split('\n')[0];
+        throw Object.assign(new Error(message), {
+          code: err.code,
+          transient: Boolean(err.killed) || TRANSIENT_GOOGLE_OUTPUT.test(output)
+        });
+      }
+      const data = JSON.parse(stdout);
+      if (!data.location) return null;
+      return { ...toCoordinates(data.location.lat, data.location.lng), details: data };
+    }
+  };
+}
+
+/**
+ * Any Nominatim-compatible /search endpoint, queried by address.
+ */
+export function createNominatimGeocoder({ url = 'https://nominatim.openstreetmap.org/', fetchImpl = globalThis.fetch } = {}) {
+  const baseUrl = url.endsWith('/') ? url : url + '/';
+
+  return {
+    name: 'nominatim',
+    cacheable: true,
+    // The public OpenStreetMap instance allows one request per second
+    ratePerSecond: 1,
+    canResolve: place => typeof place.address === 'string' && place.address.trim() !== '',
+    async resolve(place) {
+      const searchUrl = new URL('search', baseUrl);
+      searchUrl.searchParams.set('q', place.address);
+      searchUrl.searchParams.set('format', 'jsonv2');
+      searchUrl.searchParams.set('limit', '1');
+
+      const res = await fetchImpl(searchUrl, {
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      if (!res.ok) {
+        throw Object.assign(new Error(`HTTP ${res.status}: ${res.statusText}`), { status: res.status });
+      }
+
+      const results = await res.json();
+      if (!Array.isArray(results) || results.length === 0) return null;
+      return { ...toCoordinates(results[0].lat, results[0].lon), details: results[0] };
+    }
+  };
+}
+
+/**
+ * Offline lookup table: a JSON object keyed by place_id or address, e.g.
+ * { "1000 SE 12th Ave, Portland, OR 97214": { "lat": 45.51, "lng": -122.65 } }
+ */
+export function createTableGeocoder({ path }) {
+  let loading = null;
+
+  // Load once; concurrent lookups share the same pending read
+  function load() {
+    loading ??= (async () => {
+      const table = new Map();
+      if (!path || !existsSync(path)) return table;
+
+      const entries = JSON.parse(await readFile(path, 'utf-8'));
+      for (const [key, value] of Object.entries(entries)) {
+        table.set(key, value);
+        table.set(normalizeAddress(key), value);
+      }
+      return table;
+    })();
+    return loading;
+  }
+
+  return {
+    name: 'table',
+    cacheable: false,
+    canResolve: place => Boolean(place.place_id || place.address),
+    async resolve(place) {
+      const entries = await load();
+      const entry = entries.get(place.place_id) ||
+        (place.address ? entries.get(normalizeAddress(place.address)) : null);
+      return entry ? toCoordinates(entry.lat, entry.lng) : null;
+    }
+  };
+}
+
+const PROVIDERS = {
+  manual: createManualGeocoder,
+  google: config => createGoogleGeocoder({ command: config.goplacesCommand }),
+  nominatim: config => createNominatimGeocoder({ url: config.nominatimUrl, fetchImpl: config.fetchImpl }),
+  table: config => createTableGeocoder({ path: config.tablePath })
+};
+
+/**
+ * Wrap a network provider so its lookups share a rate limit and retry
+ * transient failures with exponential backoff.
+ * `onRetry(err, attempt, waitMs, place, provider)` is called before each retry.
+ */
+export function withRequestPolicy(provider, { ratePerSecond = provider.ratePerSecond, retries = 3, baseDelayMs, onRetry, sleep } = {}) {
+  const acquire = createRateLimiter(ratePerSecond, { sleep });
+
+  return {
+    ...provider,
+    ratePerSecond,
+    resolve: place => withRetries(async () => {
+      await acquire();
+      return provider.resolve(place);
+    }, {
+      retries,
+      baseDelayMs,
+      sleep,
+      onRetry: onRetry && ((err, attempt, wait) => onRetry(err, attempt, wait, place, provider.name))
+    })
+  };
+}
+
+/**
+ * Build the provider chain from a list (or comma-separated string) of names.
+ * Network providers get a request policy: `rate` overrides their default
+ * requests per second, `retries` caps retries of transient failures.
+ */
+export function createGeocoders(names = DEFAULT_GEOCODERS, config = {}) {
+  const list = typeof names === 'string' ? names.split(',') : names;
+  return list.map(name => name.trim()).filter(Boolean).map(name => {
+    const create = PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown geocoder "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    const provider = create(config);
+    if (!provider.ratePerSecond) return provider;
+
+    return withRequestPolicy(provider, {
+      ratePerSecond: config.rate || provider.ratePerSecond,
+      retries: config.retries,
+      baseDelayMs: config.retryDelayMs,
+      onRetry: config.onRetry,
+      sleep: config.sleep
+    });
+  });
+}
+
+/**
+ * Resolve a place with the first provider that can handle it and finds a match.
+ * Returns { lat, lng, provider, cacheable, cached, details }; throws GeocodeError.
+ *
+ * `cache` is an optional { get(place), set(place, result) } store. It is
+ * consulted just before the first cacheable provider, so offline providers
+ * listed ahead of it (note lat/lng, the address table) always take precedence.
+ */
+export async function geocode(place, providers, { cache = null } = {}) {
+  const failures = [];
+  let cacheChecked = false;
+
+  for (const provider of providers) {
+    if (!provider.canResolve(place)) continue;
+
+    if (provider.cacheable && cache && !cacheChecked) {
+      cacheChecked = true;
+      const hit = cache.get(place);
+      if (hit) return { ...hit, cacheable: true, cached: true };
+    }
+
+    try {
+      const result = await provider.resolve(place);
+      if (result) {
+        const resolved = {
+          lat: result.lat,
+          lng: result.lng,
+          provider: provider.name,
+          cacheable: provider.cacheable,
+          cached: false,
+          details: result.details || null
+        };
+        if (provider.cacheable && cache) cache.set(place, resolved);
+        return resolved;
+      }
+      failures.push({ provider: provider.name, message: 'no match' });
+    } catch (err) {
+      const attempts = err.attempts > 1 ? ` (after ${err.attempts} attempts)` : '';
+      failures.push({ provider: provider.name, message: err.message + attempts });
+    }
+  }
+
+  throw new GeocodeError(failures);
+}
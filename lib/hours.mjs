@@ -0,0 +1,267 @@
+/**
+ * Opening hours parsing for generate-geojson.mjs.
+ *
+ * Hours are written the way Google Places displays them, one line per day:
+ *
+ *   Monday: 9:00 AM – 5:00 PM
+ *   Tuesday: 11:00 AM – 3:00 PM, 5:00 – 10:00 PM   (a start without AM/PM takes the end's)
+ *   Friday: 3:00 PM – 1:00 AM                       (closes after midnight)
+ *   Saturday: Open 24 hours
+ *   Sunday: Closed
+ *
+ * Exceptions to the regular week go in their own fields:
+ *
+ *   special-hours:            # single dates (holidays, events)
+ *     - date: 2026-11-26
+ *       hours: Closed
+ *       label: Thanksgiving
+ *   seasonal-hours:           # date ranges; MM-DD ranges repeat every year
+ *     - from: 05-15
+ *       to: 09-30
+ *       label: Patio season
+ *       hours:
+ *         - "Friday: 11:00 AM – 11:00 PM"
+ *   closed-until: 2026-12-01  # temporarily closed; reopens on this date
+ *   closed-reason: renovation
+ *
+ * parseOpeningHours() turns all of this into periods once, at build time, so
+ * the front end never has to guess. Anything that can't be read
+ * unambiguously is an error rather than a best guess.
+ */
+
+// Index matches Date#getDay()
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 1440;
+
+const LINE = /^(\w+): (.+)$/;
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_DAY = /^(\d{2})-(\d{2})$/;
+const TIME = /^(\d{1,2}):(\d{2})(?:\s*([AP]M))?$/i;
+const FORMAT_HINT = 'should look like "Monday: 9:00 AM – 5:00 PM", "Monday: Closed" or "Monday: Open 24 hours"';
+const DAY_FORMAT_HINT = 'should look like "9:00 AM – 2:00 PM", "Closed" or "Open 24 hours"';
+
+/**
+ * Hours that can't be turned into periods. `subject` names what was being
+ * read, for messages like 'hours line "Monday: 4:00 – 9:00" is ambiguous'.
+ */
+export class HoursError extends Error {
+  constructor(reason, entry, subject = `hours line "${entry}"`) {
+    super(`${subject} ${reason}`);
+    this.name = 'HoursError';
+    this.reason = reason;
+    this.entry = entry;
+  }
+}
+
+// Split "9:00 AM" into its parts, or null
+function readTime(text) {
+  const match = text.trim().match(TIME);
+  if (!match) return null;
+  return { hour: Number(match[1]), minute: Number(match[2]), period: match[3]?.toUpperCase() || null, text: match[0] };
+}
+
+// Minutes from midnight for a time on the 12-hour clock
+function twelveHour({ hour, minute }, period) {
+  if (hour < 1 || hour > 12 || minute > 59) return null;
+  return (hour % 12 + (period === 'PM' ? 12 : 0)) * 60 + minute;
+}
+
+// Minutes from midnight for a time on the 24-hour clock ("24:00" is allowed)
+function twentyFourHour({ hour, minute }) {
+  if (minute > 59 || hour > 24 || (hour === 24 && minute > 0)) return null;
+  return hour * 60 + minute;
+}
+
+// Read "5:00 – 10:00 PM" as { open, close } minutes from midnight
+function parseRange(range, entry) {
+  const parts = range.split(/\s*[–—-]\s*/);
+  const [start, end] = parts.map(readTime);
+  if (parts.length !== 2 || !start || !end) throw new HoursError(FORMAT_HINT, entry);
+
+  let open;
+  let close;
+  if (end.period) {
+    // Google leaves out the start's AM/PM when it's the same as the end's
+    open = twelveHour(start, start.period || end.period);
+    close = twelveHour(end, end.period);
+  } else if (start.period) {
+    throw new HoursError(`is missing AM/PM after "${end.text}"`, entry);
+  } else if (/^\d\d:/.test(start.text) && /^\d\d:/.test(end.text)) {
+    // Both without AM/PM is only unambiguous as a 24-hour clock ("09:00 – 17:00")
+    open = twentyFourHour(start);
+    close = twentyFourHour(end);
+  } else {
+    throw new HoursError(`is ambiguous: add AM/PM to "${range.trim()}", or use 24-hour times like "09:00 – 17:00"`, entry);
+  }
+
+  if (open === null || close === null) throw new HoursError(`has an invalid time in "${range.trim()}"`, entry);
+  if (open === close) throw new HoursError(`opens and closes at the same time in "${range.trim()}"`, entry);
+  return { open, close };
+}
+
+/**
+ * Parse one display line into { day, periods }, where `day` is 0 (Sunday)
+ * to 6 and each period is { day, open, close, overnight }. `open` and `close`
+ * are minutes from midnight; closing at midnight is 1440, and a period that
+ * runs past midnight has `overnight` set and `close` on the next day's clock.
+ * Throws HoursError for anything else.
+ */
+export function parseHoursLine(entry) {
+  const match = String(entry).match(LINE);
+  const day = match ? WEEKDAYS.indexOf(match[1]) : -1;
+  if (day === -1) throw new HoursError(FORMAT_HINT, entry);
+
+  const body = match[2].trim();
+  if (body === 'Closed') return { day, periods: [] };
+  if (body === 'Open 24 hours') {
+    return { day, periods: [{ day, open: 0, close: MINUTES_PER_DAY, overnight: false }] };
+  }
+
+  const periods = body.split(',').map(range => {
+    const { open, close } = parseRange(range, entry);
+    if (close === 0) return { day, open, close: MINUTES_PER_DAY, overnight: false };
+    return { day, open, close, overnight: close < open };
+  });
+  periods.sort((a, b) => a.open - b.open);
+
+  for (let i = 1; i < periods.length; i++) {
+    const previous = periods[i - 1];
+    if (previous.overnight || previous.close > periods[i].open) {
+      throw new HoursError('has overlapping time ranges', entry);
+    }
+  }
+
+  return { day, periods };
+}
+
+/**
+ * Parse a place's hours lines into { days, periods }: the days the lines
+ * cover (days without a line are unknown rather than closed) and every open
+ * period, ordered by day and opening time. Throws HoursError on the first
+ * line it can't read or a day listed twice.
+ */
+export function parseHours(entries) {
+  const days = [];
+  const periods = [];
+
+  for (const entry of entries || []) {
+    const line = parseHoursLine(entry);
+    if (days.includes(line.day)) {
+      throw new HoursError(`lists ${WEEKDAYS[line.day]} more than once`, entry);
+    }
+    days.push(line.day);
+    periods.push(...line.periods);
+  }
+
+  return {
+    days: days.sort((a, b) => a - b),
+    periods: periods.sort((a, b) => a.day - b.day || a.open - b.open)
+  };
+}
+
+/**
+ * Whether `text` is a real calendar date written as YYYY-MM-DD.
+ */
+export function isCalendarDate(text) {
+  const match = String(text).match(DATE);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === text;
+}
+
+// Whether `text` is a real MM-DD day of the year (Feb 29 included)
+function isMonthDay(text) {
+  return MONTH_DAY.test(String(text)) && isCalendarDate(`2024-${text}`);
+}
+
+/**
+ * Parse `special-hours` entries ({ date, hours, label? }) into
+ * { date, label, hours, periods }, sorted by date. `hours` is a day's hours
+ * as on an hours line ("Closed", "9:00 AM – 2:00 PM"); periods carry the
+ * date's weekday. Throws HoursError.
+ */
+export function parseSpecialHours(entries) {
+  const special = [];
+
+  for (const entry of entries || []) {
+    const date = String(entry?.date ?? '');
+    if (!isCalendarDate(date)) {
+      throw new HoursError(`needs a "date" like "2026-11-26", got "${date}"`, null, 'special hours entry');
+    }
+    const subject = `special hours for ${date}`;
+    if (special.some(s => s.date === date)) throw new HoursError('are listed more than once', null, subject);
+    if (typeof entry.hours !== 'string' || entry.hours.trim() === '') {
+      throw new HoursError('need "hours", e.g. "Closed" or "9:00 AM – 2:00 PM"', null, subject);
+    }
+
+    const hours = entry.hours.trim();
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    let periods;
+    try {
+      ({ periods } = parseHoursLine(`${weekday}: ${hours}`));
+    } catch (e) {
+      if (!(e instanceof HoursError)) throw e;
+      throw new HoursError(e.reason === FORMAT_HINT ? DAY_FORMAT_HINT : e.reason, hours, subject);
+    }
+    special.push({ date, label: entry.label ? String(entry.label) : null, hours, periods });
+  }
+
+  return special.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Parse `seasonal-hours` entries ({ from, to, label?, hours }) into
+ * { from, to, label, hours, days, periods }. `from` and `to` are both
+ * YYYY-MM-DD, or both MM-DD for a range that repeats every year (and may
+ * wrap past New Year). Days a season's hours don't list keep the regular
+ * hours. Throws HoursError.
+ */
+export function parseSeasons(entries) {
+  return (entries || []).map((entry, i) => {
+    const from = String(entry?.from ?? '');
+    const to = String(entry?.to ?? '');
+    const subject = `seasonal hours ${entry?.label ? `"${entry.label}"` : `#${i + 1}`}`;
+
+    const fullDates = isCalendarDate(from) && isCalendarDate(to);
+    if (!fullDates && !(isMonthDay(from) && isMonthDay(to))) {
+      throw new HoursError(`need "from" and "to" dates like "05-15" (every year) or "2026-05-15", got "${from}" and "${to}"`, null, subject);
+    }
+    if (fullDates && from > to) throw new HoursError(`end (${to}) before they start (${from})`, null, subject);
+
+    const hours = [].concat(entry.hours || []).map(line => String(line));
+    if (hours.length === 0) throw new HoursError('need a list of "hours" lines', null, subject);
+    try {
+      return { from, to, label: entry.label ? String(entry.label) : null, hours, ...parseHours(hours) };
+    } catch (e) {
+      if (!(e instanceof HoursError)) throw e;
+      throw new HoursError(e.message, null, `${subject}:`);
+    }
+  });
+}
+
+/**
+ * Everything the front end needs to tell whether a place is open:
+ * { days, periods } for the regular week (see parseHours), plus
+ * `special`, `seasons`, `closedUntil` and `closedReason` when the note sets
+ * them. Throws HoursError.
+ */
+export function parseOpeningHours({ hours, special, seasons, closedUntil, closedReason }) {
+  const openingHours = parseHours(hours);
+
+  const specialHours = parseSpecialHours(special);
+  if (specialHours.length > 0) openingHours.special = specialHours;
+
+  const seasonalHours = parseSeasons(seasons);
+  if (seasonalHours.length > 0) openingHours.seasons = seasonalHours;
+
+  if (closedUntil) {
+    if (!isCalendarDate(closedUntil)) {
+      throw new HoursError(`should be a date like "2026-12-01", got "${closedUntil}"`, null, 'closed-until');
+    }
+    openingHours.closedUntil = closedUntil;
+    openingHours.closedReason = closedReason || null;
+  }
+
+  return openingHours;
+}
@@ -0,0 +1,55 @@
+/**
+ * Incremental build manifest stored in .build-manifest.json.
+ *
+ * Records, for every vault note, the mtime/size/hash it had when it was last
+ * processed along with its parsed frontmatter, validation issues and the
+ * feature it produced. generate-geojson.mjs re-reads only notes whose
+ * mtime/size changed, re-parses only those whose content hash changed, and
+ * reuses features for unchanged notes.
+ *
+ * {
+ *   "version": 1,
+ *   "buildKey": "...",     // settings that affect features (geocoders, --enrich, ...)
+ *   "outputHash": "...",   // hash of the last features written
+ *   "notes": {
+ *     "<Category>/<file>.md": { mtimeMs, size, hash, data, issues, feature?, differences? }
+ *   }
+ * }
+ */
+
+import { createHash } from 'crypto';
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Content hash used to detect real edits when only the mtime changed.
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Normalize loaded manifest data. Anything from another version is
+ * discarded; a different `buildKey` keeps parsed notes but drops features,
+ * since they were produced with other settings.
+ */
+export function migrateManifest(data, buildKey) {
+  if (!data || data.version !== MANIFEST_VERSION || typeof data.notes !== 'object') {
+    return { version: MANIFEST_VERSION, buildKey, outputHash: null, notes: {} };
+  }
+  if (data.buildKey === buildKey) return data;
+
+  const notes = {};
+  for (const [file, { feature, differences, ...entry }] of Object.entries(data.notes)) {
+    notes[file] = entry;
+  }
+  return { version: MANIFEST_VERSION, buildKey, outputHash: null, notes };
+}
+
+/**
+ * Whether a note's file stats match its manifest entry, so it can be skipped
+ * without reading it.
+ */
+export function isUnchanged(entry, stats) {
+  return Boolean(entry) && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size;
+}
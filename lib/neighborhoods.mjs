@@ -0,0 +1,109 @@
+/**
+ * Neighborhood boundaries: polygons from a local GeoJSON file (e.g.
+ * Portland's "Neighborhood Boundaries" open data) that the generator checks
+ * places' `neighborhood` against and the map can draw. No Node imports, so
+ * app.js can load it in the browser.
+ *
+ * Each feature is a Polygon or MultiPolygon named by its `name` property
+ * (or `NAME`, as in the city's export). Names match places' neighborhoods
+ * by slug, as in the map's "#in-buckman" hashes, so "HOSFORD-ABERNETHY" is
+ * "Hosford-Abernethy".
+ */
+
+import { slugify } from './slugify.mjs';
+
+/**
+ * A boundaries file that can't be used.
+ */
+export class BoundaryError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'BoundaryError';
+    this.reason = reason;
+  }
+}
+
+// Rings of each polygon in a Polygon or MultiPolygon
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+const isPosition = p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+
+/**
+ * Validate a parsed boundaries GeoJSON. Returns [{ name, key, geometry,
+ * bbox }] in file order, `key` being the name's slug and `bbox`
+ * [west, south, east, north]. Throws
+ * BoundaryError.
+ */
+export function parseBoundaries(geojson) {
+  if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new BoundaryError('expected a GeoJSON FeatureCollection');
+  }
+
+  return geojson.features.map((feature, i) => {
+    const name = feature?.properties?.name ?? feature?.properties?.NAME;
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new BoundaryError(`feature #${i + 1} has no name property`);
+    }
+    const { geometry } = feature;
+    if (!['Polygon', 'MultiPolygon'].includes(geometry?.type) || !Array.isArray(geometry.coordinates) ||
+      !polygonsOf(geometry).every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing))) {
+      throw new BoundaryError(`${name.trim()} is not a Polygon or MultiPolygon`);
+    }
+
+    const positions = polygonsOf(geometry).flatMap(rings => rings[0]);
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    return {
+      name: name.trim(),
+      key: slugify(name),
+      geometry,
+      bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+    };
+  });
+}
+
+// Ray casting across every ring, so holes count as outside
+function insidePolygon([lng, lat], rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[j];
+      if ((y1 > lat) !== (y2 > lat) && lng < x1 + (lat - y1) * (x2 - x1) / (y2 - y1)) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * The boundary (from parseBoundaries) a GeoJSON [lng, lat] position falls
+ * in, or null. Where boundaries overlap, the first in the file wins.
+ */
+export function findBoundary(position, boundaries) {
+  const [lng, lat] = position;
+  return boundaries.find(({ geometry, bbox: [west, south, east, north] }) =>
+    lng >= west && lng <= east && lat >= south && lat <= north &&
+    polygonsOf(geometry).some(rings => insidePolygon(position, rings))
+  ) || null;
+}
+
+/**
+ * Places whose `neighborhood` isn't the boundary their point falls in:
+ * [{ feature, stated, actual }], with `stated` the place's neighborhood and
+ * `actual` the boundary's name (either may be null). Places with neither
+ * are fine.
+ */
+export function checkNeighborhoods(features, boundaries) {
+  const mismatches = [];
+  for (const feature of features) {
+    const stated = feature.properties.neighborhood || null;
+    const actual = findBoundary(feature.geometry.coordinates, boundaries)?.name ?? null;
+    if (stated === null && actual === null) continue;
+    if (stated !== null && actual !== null && slugify(stated) === slugify(actual)) continue;
+    mismatches.push({ feature, stated, actual });
+  }
+  return mismatches;
+}
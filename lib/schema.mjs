@@ -0,0 +1,355 @@
+/**
+ * Declared schemas for place note and `_category.md` frontmatter, plus the
+ * validators and lint report used by generate-geojson.mjs.
+ *
+ * Issues are { severity: 'error' | 'warning', field, message, line }.
+ * Notes with errors are left out of places.geojson; warnings are reported
+ * but the place is still emitted.
+ */
+
+import { getKeyLine } from './frontmatter.mjs';
+import { parseHoursLine, parseSpecialHours, parseSeasons, isCalendarDate, HoursError, WEEKDAYS } from './hours.mjs';
+
+export const STATUSES = ['haunts', 'queue'];
+
+// Allowed `primary` values per category (categories not listed take none)
+export const PRIMARIES_BY_CATEGORY = {
+  'Food & Drink': ['coffee', 'bar', 'restaurant']
+};
+
+// Neighborhood vocabulary. Unknown names are warnings, so add new ones here.
+export const NEIGHBORHOODS = [
+  'Alberta Arts District',
+  'Arbor Lodge',
+  'Arlington Heights',
+  'Beaumont-Wilshire',
+  'Belmont',
+  'Boise',
+  'Brentwood-Darlington',
+  'Brooklyn',
+  'Buckman',
+  'Burnside',
+  'Central Eastside',
+  'Clinton',
+  'Concordia',
+  'Creston-Kenilworth',
+  'Division',
+  'Downtown',
+  'Eastmoreland',
+  'Eliot',
+  'Foster-Powell',
+  'Goose Hollow',
+  'Grant Park',
+  'Hawthorne',
+  'Hillsdale',
+  'Hollywood',
+  'Hosford-Abernethy',
+  'Humboldt',
+  'Irvington',
+  'Kenton',
+  'Kerns',
+  'King',
+  'Laurelhurst',
+  'Lloyd',
+  'Montavilla',
+  'Mississippi',
+  'Mt. Tabor',
+  'Multnomah Village',
+  'Northwest District',
+  'Northwest Industrial',
+  'Old Town',
+  'Pearl District',
+  'Piedmont',
+  'Richmond',
+  'Sabin',
+  'Sellwood',
+  'South Waterfront',
+  'St. Johns',
+  "Sullivan's Gulch",
+  'Sunnyside',
+  'Woodlawn',
+  'Woodstock'
+];
+
+export const HOURS_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Frontmatter fields we understand. Keys not listed here are ignored.
+ * - type: 'string' | 'number' | 'list' (a string or list of strings)
+ * - required: missing value is an error
+ * - recommended: missing value is a warning
+ * - values / valuesByCategory: allowed values (error when outside)
+ * - vocabulary: known values (warning when outside)
+ * - min / max: numeric range
+ * - pairedWith: field that must be given together with this one
+ * - format: 'url' | 'date' | 'hours' | 'special-hours' | 'seasonal-hours'
+ * - pattern / example: regex a string must match, and a valid value to suggest
+ */
+export const PLACE_SCHEMA = {
+  name: { type: 'string', required: true },
+  place_id: { type: 'string', required: true },
+  status: { type: 'string', recommended: true, values: STATUSES },
+  primary: { type: 'string', valuesByCategory: PRIMARIES_BY_CATEGORY },
+  type: { type: 'list' },
+  'good-for': { type: 'list' },
+  cuisine: { type: 'list' },
+  neighborhood: { type: 'string', vocabulary: NEIGHBORHOODS },
+  address: { type: 'string' },
+  website: { type: 'string', format: 'url' },
+  hours: { type: 'list', format: 'hours' },
+  // Exceptions to the regular hours (see lib/hours.mjs)
+  'special-hours': { type: 'list', format: 'special-hours' },
+  'seasonal-hours': { type: 'list', format: 'seasonal-hours' },
+  'closed-until': { type: 'string', format: 'date' },
+  'closed-reason': { type: 'string' },
+  notes: { type: 'string' },
+  // Explicit coordinates, used by the "manual" geocoder
+  lat: { type: 'number', min: -90, max: 90, pairedWith: 'lng' },
+  lng: { type: 'number', min: -180, max: 180, pairedWith: 'lat' }
+};
+
+/**
+ * Optional `_category.md` frontmatter describing a vault folder.
+ * The folder name is used for anything left out.
+ */
+export const CATEGORY_SCHEMA = {
+  name: { type: 'string' },
+  // Font Awesome solid icon class
+  icon: { type: 'string', pattern: /^fa-[a-z0-9-]+$/, example: 'fa-book' },
+  color: { type: 'string', pattern: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i, example: '#4a7c59' },
+  order: { type: 'number' }
+};
+
+/**
+ * Under YAML rules an unquoted "- Monday: 9:00 AM – 5:00 PM" list item is a
+ * one-key mapping; fold it back into the display string the front end expects.
+ */
+export function formatHoursEntry(entry) {
+  if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+    return Object.entries(entry).map(([day, time]) => `${day}: ${time}`).join(', ');
+  }
+  return String(entry);
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function checkUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return `must be an http(s) URL, got "${value}"`;
+    }
+    if (!url.hostname.includes('.')) return `has no valid host: "${value}"`;
+  } catch {
+    return `is not a valid URL: "${value}"`;
+  }
+  return null;
+}
+
+function checkHours(entries) {
+  const problems = [];
+  const seen = new Set();
+
+  // The same parser the generator uses, so anything that validates builds
+  for (const entry of entries.map(formatHoursEntry)) {
+    let day;
+    try {
+      ({ day } = parseHoursLine(entry));
+    } catch (e) {
+      if (!(e instanceof HoursError)) throw e;
+      problems.push(`line "${entry}" ${e.reason}`);
+      continue;
+    }
+    if (seen.has(day)) problems.push(`lists ${WEEKDAYS[day]} more than once`);
+    seen.add(day);
+  }
+
+  return problems;
+}
+
+// Run one of lib/hours.mjs's parsers; returns its problem, or null
+function checkWith(parse, value) {
+  try {
+    parse(value);
+  } catch (e) {
+    if (!(e instanceof HoursError)) throw e;
+    return e.message;
+  }
+  return null;
+}
+
+// Parsers for list formats whose items are mappings
+const MAPPING_FORMATS = {
+  'special-hours': parseSpecialHours,
+  'seasonal-hours': parseSeasons
+};
+
+// Check frontmatter against a schema; returns the list of issues
+function validateFields(data, schema, { category } = {}) {
+  const issues = [];
+  const report = (severity, field, message) => {
+    issues.push({ severity, field, message, line: field ? getKeyLine(data, field) : null });
+  };
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+
+    if (isBlank(value)) {
+      if (rule.required) report('error', field, `missing required field "${field}"`);
+      else if (rule.recommended) report('warning', field, `missing "${field}"`);
+      else if (rule.pairedWith && !isBlank(data[rule.pairedWith])) {
+        report('error', rule.pairedWith, `${rule.pairedWith} is set but ${field} is missing`);
+      }
+      continue;
+    }
+
+    if (rule.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        report('error', field, `${field} must be a number, got ${JSON.stringify(value)}`);
+      } else if (value < rule.min || value > rule.max) {
+        report('error', field, `${field} ${value} is outside ${rule.min}..${rule.max}`);
+      }
+      continue;
+    }
+
+    if (rule.type === 'string' && typeof value !== 'string') {
+      report('error', field, `${field} must be text, got ${JSON.stringify(value)} (quote it)`);
+      continue;
+    }
+
+    if (rule.type === 'list' && MAPPING_FORMATS[rule.format]) {
+      const items = Array.isArray(value) ? value : [value];
+      if (!items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+        report('error', field, `${field} must be a list of mappings (see the example in lib/hours.mjs)`);
+        continue;
+      }
+      const problem = checkWith(MAPPING_FORMATS[rule.format], items);
+      if (problem) report('error', field, problem);
+      continue;
+    }
+
+    if (rule.type === 'list') {
+      const items = Array.isArray(value) ? value : [value];
+      const validItem = rule.format === 'hours'
+        ? item => typeof item === 'string' || (item !== null && typeof item === 'object' && !Array.isArray(item))
+        : item => typeof item === 'string' || item === null;
+      if (!items.every(validItem)) {
+        report('error', field, `${field} must be text or a list of text`);
+        continue;
+      }
+      if (rule.format === 'hours') {
+        checkHours(items).forEach(problem => report('error', field, `hours ${problem}`));
+      }
+      continue;
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      report('error', field, `${field} "${value}" is not one of: ${rule.values.join(', ')}`);
+    }
+
+    if (rule.valuesByCategory) {
+      const allowed = rule.valuesByCategory[category] || [];
+      if (allowed.length === 0) {
+        report('warning', field, `${field} is not used for ${category || 'this category'}, got "${value}"`);
+      } else if (!allowed.includes(value)) {
+        report('error', field, `${field} "${value}" is not valid for ${category}; expected one of: ${allowed.join(', ')}`);
+      }
+    }
+
+    if (rule.vocabulary && !rule.vocabulary.includes(value)) {
+      report('warning', field, `${field} "${value}" is not in the known vocabulary`);
+    }
+
+    if (rule.format === 'url') {
+      const problem = checkUrl(value);
+      if (problem) report('error', field, `${field} ${problem}`);
+    }
+
+    if (rule.format === 'date' && !isCalendarDate(value)) {
+      report('error', field, `${field} "${value}" should be a date like "2026-12-01"`);
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      report('error', field, `${field} "${value}" should look like "${rule.example}"`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a note's frontmatter against PLACE_SCHEMA.
+ * Returns a list of issues (empty when the note is clean).
+ */
+export function validatePlace(data, { category } = {}) {
+  return validateFields(data, PLACE_SCHEMA, { category });
+}
+
+/**
+ * Validate `_category.md` frontmatter against CATEGORY_SCHEMA.
+ */
+export function validateCategory(data) {
+  return validateFields(data, CATEGORY_SCHEMA);
+}
+
+/**
+ * Flag place_ids shared by more than one note.
+ * `results` are { file, data, issues } records; issues are appended in place.
+ */
+export function checkDuplicatePlaceIds(results) {
+  const byId = new Map();
+  for (const result of results) {
+    const id = result.data?.place_id;
+    if (typeof id !== 'string') continue;
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(result);
+  }
+
+  for (const group of byId.values()) {
+    if (group.length < 2) continue;
+    for (const result of group) {
+      const others = group.filter(r => r !== result).map(r => r.file).join(', ');
+      result.issues.push({
+        severity: 'error',
+        field: 'place_id',
+        message: `place_id is also used by ${others}`,
+        line: getKeyLine(result.data, 'place_id')
+      });
+    }
+  }
+}
+
+export function hasErrors(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+/**
+ * Render a per-file lint report. Returns '' when there is nothing to report.
+ */
+export function formatLintReport(results) {
+  const withIssues = results.filter(r => r.issues.length > 0);
+  if (withIssues.length === 0) return '';
+
+  let errors = 0;
+  let warnings = 0;
+  const lines = [];
+
+  for (const { file, issues } of withIssues) {
+    lines.push(file);
+    const sorted = [...issues].sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    for (const issue of sorted) {
+      if (issue.severity === 'error') errors++;
+      else warnings++;
+      const line = String(issue.line ?? '').padStart(4);
+      lines.push(`  ${line}  ${issue.severity.padEnd(7)}  ${issue.message}`);
+    }
+    lines.push('');
+  }
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  lines.push(`${plural(errors, 'error')}, ${plural(warnings, 'warning')} in ${plural(withIssues.length, 'file')}`);
+  return lines.join('\n');
+}
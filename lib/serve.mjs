@@ -0,0 +1,260 @@
+/**
+ * The local dev server behind serve.mjs.
+ *
+ * Serves the project root as static files, refusing paths outside it and
+ * hidden files (.git, caches), with ETag/Last-Modified revalidation, HEAD and
+ * byte ranges. Pages it serves get a small script that listens on an SSE
+ * stream and reloads when the map's files or the generated places change.
+ * Requests can go to a handler first, such as the places API (lib/api.mjs).
+ */
+
+import { createServer } from 'http';
+import { createReadStream, existsSync, watch } from 'fs';
+import { readFile, stat } from 'fs/promises';
+import { extname, isAbsolute, join, relative, sep } from 'path';
+
+export const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Event stream pages listen on for reloads
+export const RELOAD_PATH = '/__reload';
+
+// Files in the root whose changes reload open pages
+export const WATCHED_FILES = ['app.js', 'shared.js', 'styles.css', 'index.html', 'places.geojson'];
+
+// Generated data folders, reloaded on any change inside them. Watched from
+// when they appear, since the first build creates them.
+const WATCHED_DIRS = ['tiles', 'collections'];
+
+// Quiet period after the last change before pages reload, so a build that
+// writes places.geojson and then its tiles reloads once
+const RELOAD_DEBOUNCE_MS = 150;
+
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').addEventListener('reload', () => location.reload());</script>`;
+
+/**
+ * The file under `root` a request URL names, or null when it is outside the
+ * root or hidden. Drops the query string and decodes escapes, so
+ * `/app.js?v=2` is app.js and `/%2e%2e/secret` is refused.
+ */
+export function resolveRequestPath(root, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch {
+    return null;
+  }
+  if (pathname.includes('\0')) return null;
+
+  const path = join(root, pathname);
+  const rel = relative(root, path);
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) return null;
+  if (rel.split(sep).some(part => part.startsWith('.'))) return null;
+  return path;
+}
+
+/**
+ * Validator for a file's current version, from its size and mtime.
+ */
+export function etagFor({ size, mtimeMs }) {
+  return `"${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Whether the client's cached copy (If-None-Match, or If-Modified-Since
+ * without it) is still current, so a 304 can be sent instead.
+ */
+export function isFresh(headers, etag, mtimeMs) {
+  const noneMatch = headers['if-none-match'];
+  if (noneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    const tags = noneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+  }
+  const modifiedSince = Date.parse(headers['if-modified-since'] || '');
+  // HTTP dates have whole seconds
+  return !Number.isNaN(modifiedSince) && Math.floor(mtimeMs / 1000) * 1000 <= modifiedSince;
+}
+
+/**
+ * Parse a Range header against a body of `size` bytes. Returns null to send
+ * the whole body (no header, or one this server doesn't handle, such as
+ * several ranges), { start, end } (inclusive) for a single range, or
+ * 'unsatisfiable' when it starts past the end.
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  if (match[1] === '') {
+    // Suffix: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0 || size === 0) return 'unsatisfiable';
+    return { start: Math.max(size - length, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  if (match[2] !== '' && Number(match[2]) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { start, end: match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1) };
+}
+
+/**
+ * Add the live-reload script to an HTML page, before </body> when present.
+ */
+export function injectReloadScript(html) {
+  const at = html.lastIndexOf('</body>');
+  return at === -1 ? html + RELOAD_SCRIPT : html.slice(0, at) + RELOAD_SCRIPT + html.slice(at);
+}
+
+/**
+ * Create the dev server for `root`. Returns { server, reload(file), close() }:
+ * `server` is an unstarted http.Server, `reload` tells open pages to reload
+ * (called by the file watchers when `liveReload` is on) and `close` stops
+ * the watchers, event streams and server. `handler(req, res)` sees GET and
+ * HEAD requests before the files and resolves to whether it answered.
+ */
+export function createDevServer({ root, liveReload = true, handler = null, log = console } = {}) {
+  const clients = new Set();
+  const watchers = [];
+  // Watchers of WATCHED_DIRS by folder name
+  const dirWatchers = new Map();
+  let timer = null;
+
+  function reload(file) {
+    for (const res of clients) res.write(`event: reload\ndata: ${JSON.stringify({ file })}\n\n`);
+  }
+
+  function scheduleReload(file) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      log.log(`${new Date().toLocaleTimeString()}: ${file} changed, reloading ${clients.size} page${clients.size === 1 ? '' : 's'}`);
+      reload(file);
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  // Start or stop watching a data folder as it appears or goes away.
+  // Returns whether it started.
+  function updateDirWatcher(dir) {
+    const exists = existsSync(join(root, dir));
+    if (exists === dirWatchers.has(dir)) return false;
+    if (!exists) {
+      dirWatchers.get(dir).close();
+      dirWatchers.delete(dir);
+      return false;
+    }
+    dirWatchers.set(dir, watch(join(root, dir), { recursive: true }, (event, filename) => {
+      scheduleReload(filename ? join(dir, filename) : dir);
+    }));
+    return true;
+  }
+
+  if (liveReload) {
+    watchers.push(watch(root, (event, filename) => {
+      if (WATCHED_FILES.includes(filename)) scheduleReload(filename);
+      // A new folder may already hold files, so it reloads too
+      if (WATCHED_DIRS.includes(filename) && updateDirWatcher(filename)) scheduleReload(filename);
+    }));
+    for (const dir of WATCHED_DIRS) updateDirWatcher(dir);
+  }
+
+  function openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  async function serveFile(req, res) {
+    let path = resolveRequestPath(root, req.url);
+    if (!path) return sendError(res, 404, 'Not found');
+
+    let info;
+    try {
+      info = await stat(path);
+      if (info.isDirectory()) {
+        path = join(path, 'index.html');
+        info = await stat(path);
+      }
+    } catch {
+      return sendError(res, 404, 'Not found');
+    }
+
+    const etag = etagFor(info);
+    const headers = {
+      'Content-Type': MIME_TYPES[extname(path)] || 'application/octet-stream',
+      ETag: etag,
+      'Last-Modified': new Date(info.mtimeMs).toUTCString(),
+      // Always revalidate, so edits show up on the next load
+      'Cache-Control': 'no-cache'
+    };
+    if (isFresh(req.headers, etag, info.mtimeMs)) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    if (liveReload && extname(path) === '.html') {
+      const body = Buffer.from(injectReloadScript(await readFile(path, 'utf-8')));
+      res.writeHead(200, { ...headers, 'Content-Length': body.length });
+      return res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    headers['Accept-Ranges'] = 'bytes';
+    // If-Range: only send part of the version the client already has
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, info.size);
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { 'Content-Range': `bytes */${info.size}` });
+      return res.end();
+    }
+
+    const { start, end } = range || { start: 0, end: info.size - 1 };
+    if (range) headers['Content-Range'] = `bytes ${start}-${end}/${info.size}`;
+    res.writeHead(range ? 206 : 200, { ...headers, 'Content-Length': Math.max(end - start + 1, 0) });
+    if (req.method === 'HEAD' || info.size === 0) return res.end();
+    createReadStream(path, { start, end }).on('error', () => res.destroy()).pipe(res);
+  }
+
+  const server = createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return sendError(res, 405, 'Method not allowed');
+    }
+    if (liveReload && req.url === RELOAD_PATH) return openEventStream(req, res);
+    const answered = handler ? handler(req, res) : Promise.resolve(false);
+    answered.then(handled => handled || serveFile(req, res)).catch(err => {
+      log.error(err);
+      if (!res.headersSent) sendError(res, 500, 'Server error');
+      else res.destroy();
+    });
+  });
+
+  function close() {
+    clearTimeout(timer);
+    for (const watcher of [...watchers, ...dirWatchers.values()]) watcher.close();
+    dirWatchers.clear();
+    for (const res of clients) res.end();
+    clients.clear();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { server, reload, close };
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
@@ -0,0 +1,17 @@
+/**
+ * URL slugs for place, category and neighborhood names. The one rule behind
+ * generated slugs, the map's hashes and the places API, so #place/<slug>
+ * links and /api/places/<slug> always agree. No imports, so the browser can
+ * load it; shared.js gets it through PlacesConfig.slugify.
+ */
+
+/**
+ * Convert a name to URL-safe slug (e.g., "Powell's Books" -> "powells-books")
+ */
+export function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/['']/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
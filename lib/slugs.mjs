@@ -0,0 +1,97 @@
+/**
+ * Stable identifiers for generated features.
+ *
+ * - id:    derived from the note's place_id, so it survives renames
+ * - slug:  readable and unique, used in #place/<slug> links
+ * - previousSlugs: slugs the place had before, so old links still resolve
+ *
+ * Slug history is carried forward from the previous places.geojson, which
+ * is committed, so links keep working across machines and rebuilds.
+ */
+
+import { createHash } from 'crypto';
+import { slugify } from './slugify.mjs';
+
+/**
+ * Feature id for a place_id: short, URL-safe and stable.
+ */
+export function featureId(placeId) {
+  return createHash('sha256').update(String(placeId)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Read { slug, previousSlugs } per feature id from previously generated GeoJSON.
+ */
+export function readSlugHistory(geojson) {
+  const history = new Map();
+  for (const feature of geojson?.features || []) {
+    const slug = feature.properties?.slug;
+    if (!feature.id || !slug) continue;
+    history.set(feature.id, { slug, previousSlugs: feature.properties.previousSlugs || [] });
+  }
+  return history;
+}
+
+// The slug a feature's name produces
+function baseSlug(feature) {
+  return slugify(feature.properties.name) || 'place';
+}
+
+// Whether `slug` is one assignSlugs() could give this feature today: the
+// name's slug, with the neighborhood appended, or with a number appended
+function fitsName(slug, feature) {
+  const base = baseSlug(feature);
+  const neighborhood = slugify(feature.properties.neighborhood || '');
+  return slug === base ||
+    (neighborhood !== '' && slug === `${base}-${neighborhood}`) ||
+    new RegExp(`^${base}-\\d+$`).test(slug);
+}
+
+/**
+ * Give every feature a unique `slug` and its `previousSlugs`, in place.
+ *
+ * A place keeps the slug it had last time while its name still produces
+ * it, so adding a namesake never changes an existing link. New or renamed
+ * places get the name's slug, or, when that is taken, the slug with the
+ * neighborhood appended, then a number. A renamed place's old slug moves to
+ * `previousSlugs`, unless another place now uses it.
+ */
+export function assignSlugs(features, history = new Map()) {
+  const taken = new Set();
+  const slugs = new Map();
+  // Work in id order so results don't depend on note order
+  const ordered = [...features].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  // Keep existing slugs first
+  for (const feature of ordered) {
+    const previous = history.get(feature.id);
+    if (previous && fitsName(previous.slug, feature) && !taken.has(previous.slug)) {
+      slugs.set(feature, previous.slug);
+      taken.add(previous.slug);
+    }
+  }
+
+  for (const feature of ordered) {
+    if (slugs.has(feature)) continue;
+
+    const base = baseSlug(feature);
+    const neighborhood = slugify(feature.properties.neighborhood || '');
+    let slug = base;
+    if (taken.has(slug) && neighborhood) slug = `${base}-${neighborhood}`;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+
+    slugs.set(feature, slug);
+    taken.add(slug);
+  }
+
+  for (const feature of features) {
+    const slug = slugs.get(feature);
+    const previous = history.get(feature.id);
+    const past = previous ? [...previous.previousSlugs, previous.slug] : [];
+
+    feature.properties.slug = slug;
+    feature.properties.previousSlugs = [...new Set(past)].filter(s => s !== slug && !taken.has(s));
+  }
+
+  return features;
+}
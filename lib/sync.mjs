@@ -0,0 +1,134 @@
+/**
+ * Helpers for sync.mjs: a lockfile so overlapping cron runs skip instead of
+ * racing, JSON log lines, and the commit message for a sync.
+ */
+
+import { open, readFile, stat, unlink } from 'fs/promises';
+import { format } from 'util';
+import { summarizeChanges } from './changelog.mjs';
+
+/**
+ * Whether a process is alive (signal 0 only checks; EPERM means it exists
+ * under another user).
+ */
+export function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// The pid and start time in a lockfile, or {} while it's being written
+async function readLock(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw err;
+    return {};
+  }
+}
+
+/**
+ * Take the lockfile at `path`, recording our pid and start time in it.
+ * A lock older than `staleMs` or whose process has exited is left over from
+ * a crashed run and taken over. Resolves to { acquired: true, release() },
+ * or { acquired: false, holder } with the running holder's { pid, startedAt }.
+ */
+export async function acquireLock(path, {
+  staleMs = 60 * 60 * 1000,
+  pid = process.pid,
+  now = Date.now,
+  isRunning = isProcessRunning
+} = {}) {
+  for (;;) {
+    try {
+      const handle = await open(path, 'wx');
+      try {
+        await handle.writeFile(JSON.stringify({ pid, startedAt: new Date(now()).toISOString() }));
+      } finally {
+        await handle.close();
+      }
+      return {
+        acquired: true,
+        release: () => unlink(path).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        })
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    let holder;
+    let age;
+    try {
+      holder = await readLock(path);
+      age = now() - (await stat(path)).mtimeMs;
+    } catch (err) {
+      // Released in the meantime
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    const exited = Number.isInteger(holder.pid) && !isRunning(holder.pid);
+    if (age <= staleMs && !exited) return { acquired: false, holder };
+
+    await unlink(path).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+}
+
+/**
+ * Logger writing one JSON object per line to `write`:
+ * { time, level, event, ...fields }. `console(event)` adapts it to the
+ * console-style { log, warn, error } the generator logs through, as `event`
+ * lines with the text as `message`.
+ */
+export function createJsonLogger(write, { now = () => new Date() } = {}) {
+  const entry = level => (event, fields = {}) => {
+    write(`${JSON.stringify({ time: now().toISOString(), level, event, ...fields })}\n`);
+  };
+  const logger = { info: entry('info'), warn: entry('warn'), error: entry('error') };
+
+  logger.console = event => {
+    const to = level => (...args) => {
+      const message = format(...args).trim();
+      if (message) logger[level](event, { message });
+    };
+    return { log: to('info'), warn: to('warn'), error: to('error') };
+  };
+  return logger;
+}
+
+/**
+ * Commit message for a sync from the generator's result (see generate() in
+ * generate-geojson.mjs): a subject counting the changes, then the changelog.
+ * Returns { subject, body }.
+ */
+export function formatCommitMessage({ changelog, collections }, date = new Date()) {
+  // Local date, like `date +%Y-%m-%d`
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+  const named = collections.length > 1;
+  const counts = collections
+    .map(({ name, changes }) => {
+      const summary = changes ? summarizeChanges(changes) : '';
+      return summary && named ? `${name} ${summary}` : summary;
+    })
+    .filter(Boolean);
+
+  return {
+    subject: `Update places ${day}${counts.length > 0 ? `: ${counts.join('; ')}` : ''}`,
+    body: changelog || 'Regenerated without changes to places'
+  };
+}
+
+/**
+ * Whether a failed `git push` lost a race with another push (the remote
+ * has commits we don't, or got them while we pushed), so pulling and
+ * pushing again can fix it.
+ */
+export function isPushRejected(err) {
+  const output = `${err?.stderr || ''}\n${err?.message || ''}`;
+  return /non-fast-forward|\[rejected\]|fetch first|cannot lock ref/i.test(output);
+}
@@ -0,0 +1,140 @@
+/**
+ * Spatially chunked output for generate-geojson.mjs, so the map can load
+ * only the places around the current view.
+ *
+ * Places are split into a quadtree of Web Mercator tiles (the z/x/y scheme
+ * map tiles use): a tile holding more than `maxPlaces` places is split into
+ * its four children, down to `maxZoom`. Each leaf tile is written as a
+ * minified GeoJSON chunk named "<z>-<x>-<y>.json", next to an index.json:
+ *
+ *   {
+ *     version, generated, timezone, categories, count,
+ *     bbox: [west, south, east, north],
+ *     chunks: [{ file, tile: [z, x, y], bbox, count }],
+ *     slugs: { "<slug or previous slug>": <chunk number> }
+ *   }
+ *
+ * A chunk's bbox is that of its places, which is usually much smaller than
+ * its tile.
+ *
+ * The map (app.js) imports this module too, so it must not use Node APIs.
+ */
+
+export const TILE_INDEX_VERSION = 1;
+
+// Web Mercator stops at about ±85.05°
+const MAX_LATITUDE = 85.0511287798;
+
+const CHUNK_FILE = /^\d+-\d+-\d+\.json$/;
+
+/**
+ * The tile at `zoom` that contains a [lng, lat] position.
+ */
+export function lngLatToTile([lng, lat], zoom) {
+  const n = 2 ** zoom;
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const rad = clamped * Math.PI / 180;
+  const x = Math.floor((lng + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+  return { x: Math.min(n - 1, Math.max(0, x)), y: Math.min(n - 1, Math.max(0, y)) };
+}
+
+/**
+ * [west, south, east, north] of the features' positions, or null for none.
+ */
+export function boundingBox(features) {
+  if (features.length === 0) return null;
+  const lngs = features.map(f => f.geometry.coordinates[0]);
+  const lats = features.map(f => f.geometry.coordinates[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/**
+ * Split features into leaf tiles of at most `maxPlaces` places (tiles at
+ * `maxZoom` keep however many they have). Returns [{ tile: [z, x, y],
+ * features }], ordered by tile, with features in their original order.
+ */
+export function splitIntoChunks(features, { maxPlaces = 100, maxZoom = 14 } = {}) {
+  const chunks = [];
+
+  const split = (z, x, y, tileFeatures) => {
+    if (tileFeatures.length <= maxPlaces || z >= maxZoom) {
+      chunks.push({ tile: [z, x, y], features: tileFeatures });
+      return;
+    }
+    const children = new Map();
+    for (const feature of tileFeatures) {
+      const child = lngLatToTile(feature.geometry.coordinates, z + 1);
+      const key = `${child.x}/${child.y}`;
+      if (!children.has(key)) children.set(key, { ...child, features: [] });
+      children.get(key).features.push(feature);
+    }
+    const ordered = [...children.values()].sort((a, b) => a.y - b.y || a.x - b.x);
+    for (const child of ordered) split(z + 1, child.x, child.y, child.features);
+  };
+
+  if (features.length > 0) split(0, 0, 0, features);
+  return chunks;
+}
+
+/**
+ * Chunk files and their index for a set of features. `meta` carries the
+ * index's generated, timezone and categories fields. Returns
+ * { index, files: [{ file, geojson }] }.
+ */
+export function buildTiles(features, { maxPlaces, maxZoom, ...meta } = {}) {
+  const chunks = splitIntoChunks(features, { maxPlaces, maxZoom });
+  const files = chunks.map(({ tile, features: chunkFeatures }) => ({
+    file: `${tile.join('-')}.json`,
+    geojson: { type: 'FeatureCollection', features: chunkFeatures }
+  }));
+
+  // Where to find a place for a #place/<slug> link without loading
+  // everything. Current slugs go first so they win over old ones.
+  const slugs = {};
+  for (const slugsOf of [p => [p.slug], p => p.previousSlugs || []]) {
+    chunks.forEach(({ features: chunkFeatures }, i) => {
+      for (const { properties } of chunkFeatures) {
+        for (const slug of slugsOf(properties)) {
+          if (slug && !(slug in slugs)) slugs[slug] = i;
+        }
+      }
+    });
+  }
+
+  const index = {
+    version: TILE_INDEX_VERSION,
+    ...meta,
+    count: features.length,
+    bbox: boundingBox(features),
+    chunks: chunks.map(({ tile, features: chunkFeatures }, i) => ({
+      file: files[i].file,
+      tile,
+      bbox: boundingBox(chunkFeatures),
+      count: chunkFeatures.length
+    })),
+    slugs
+  };
+
+  return { index, files };
+}
+
+/**
+ * Numbers of the index's chunks with places inside a
+ * [west, south, east, north] box.
+ */
+export function chunksInBounds(index, [west, south, east, north]) {
+  const numbers = [];
+  index.chunks.forEach(({ bbox }, i) => {
+    if (bbox && bbox[0] <= east && bbox[2] >= west && bbox[1] <= north && bbox[3] >= south) numbers.push(i);
+  });
+  return numbers;
+}
+
+/**
+ * Whether a file name is a chunk written by buildTiles (for clearing out
+ * chunks a new build no longer has).
+ */
+export function isChunkFile(name) {
+  return CHUNK_FILE.test(name);
+}
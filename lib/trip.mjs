@@ -0,0 +1,268 @@
+/**
+ * Trips: a few places visited in one outing ("three record shops and a
+ * coffee stop"), put in a short visiting order and routed between. No Node
+ * imports, so app.js can load it in the browser.
+ *
+ * A router is an object with:
+ * - name:      identifier ('straight', 'grid', 'osrm')
+ * - estimated: true when its distances aren't along real streets
+ * - matrix(points): async, meters from every point to every other as
+ *                   rows of a square array; throws RoutingError
+ * - route(points):  async, { legs: [meters between consecutive points],
+ *                   path: [[lat, lng], ...] to draw }; throws RoutingError
+ *
+ * Points are [lat, lng], like the map's.
+ */
+
+import { distanceMeters } from './geo.mjs';
+
+// More stops than this make an unwieldy outing, and a slow order to solve
+export const MAX_TRIP_STOPS = 25;
+
+// Travel speeds for leg times, in meters per minute
+export const TRAVEL_MODES = {
+  walk: { label: 'Walk', metersPerMinute: 80 },
+  bike: { label: 'Bike', metersPerMinute: 250 }
+};
+
+// Multipliers on a travel mode's speed
+export const TRAVEL_PACES = {
+  relaxed: 0.8,
+  steady: 1,
+  brisk: 1.25
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * A router couldn't answer: the service failed or found no way between
+ * some of the stops.
+ */
+export class RoutingError extends Error {
+  constructor(reason, { status = null } = {}) {
+    super(reason);
+    this.name = 'RoutingError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+// ===== ORDER =====
+
+/**
+ * Meters along an open path visiting the points of `matrix` in `order`.
+ */
+export function tripLength(order, matrix) {
+  let length = 0;
+  for (let i = 1; i < order.length; i++) length += matrix[order[i - 1]][order[i]];
+  return length;
+}
+
+// Greedy path from `start`, always on to the closest point not yet visited
+function nearestNeighbor(matrix, start) {
+  const order = [start];
+  const left = new Set(matrix.keys());
+  left.delete(start);
+  while (left.size > 0) {
+    const from = order[order.length - 1];
+    let next = null;
+    for (const i of left) {
+      if (next === null || matrix[from][i] < matrix[from][next]) next = i;
+    }
+    order.push(next);
+    left.delete(next);
+  }
+  return order;
+}
+
+// Reverse stretches of the path while that shortens it. Lengths are
+// measured whole, so one-way differences (asymmetric matrices) count.
+function twoOpt(order, matrix) {
+  let best = order;
+  let bestLength = tripLength(order, matrix);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const length = tripLength(candidate, matrix);
+        if (length < bestLength - 1e-6) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * A short visiting order for the points of a distance matrix (see
+ * router.matrix), as indices: nearest neighbor from every starting point,
+ * each improved by 2-opt, keeping the shortest. The path is open; it
+ * starts and ends wherever makes it shortest.
+ */
+export function solveTripOrder(matrix) {
+  const count = matrix.length;
+  if (count < 3) return [...matrix.keys()];
+
+  let best = null;
+  let bestLength = Infinity;
+  for (let start = 0; start < count; start++) {
+    const order = twoOpt(nearestNeighbor(matrix, start), matrix);
+    const length = tripLength(order, matrix);
+    if (length < bestLength - 1e-6) {
+      best = order;
+      bestLength = length;
+    }
+  }
+  return best;
+}
+
+/**
+ * Meters per minute for a travel mode at a pace.
+ */
+export function travelSpeed(mode = 'walk', pace = 'steady') {
+  return TRAVEL_MODES[mode].metersPerMinute * TRAVEL_PACES[pace];
+}
+
+/**
+ * Minutes to cover `meters` by a travel mode at a pace, rounded up.
+ */
+export function travelMinutes(meters, mode = 'walk', pace = 'steady') {
+  return Math.ceil(meters / travelSpeed(mode, pace));
+}
+
+// ===== ROUTERS =====
+
+// Meters between every pair of points by `distance([lat, lng], [lat, lng])`
+function matrixOf(points, distance) {
+  return points.map(from => points.map(to => distance(from, to)));
+}
+
+const crowFlies = ([lat1, lng1], [lat2, lng2]) => distanceMeters([lng1, lat1], [lng2, lat2]);
+
+/**
+ * As the crow flies.
+ */
+export function createStraightLineRouter() {
+  return {
+    name: 'straight',
+    estimated: true,
+    matrix: async points => matrixOf(points, crowFlies),
+    route: async points => ({
+      legs: points.slice(1).map((point, i) => crowFlies(points[i], point)),
+      path: points
+    })
+  };
+}
+
+/**
+ * Local stand-in for street routing: distances along a north-south /
+ * east-west street grid, like most of Portland's, so a diagonal block counts
+ * both ways. Drawn straight, since it knows no actual streets.
+ */
+export function createGridRouter() {
+  const alongGrid = ([lat1, lng1], [lat2, lng2]) => crowFlies([lat1, lng1], [lat2, lng1]) + crowFlies([lat2, lng1], [lat2, lng2]);
+  return {
+    name: 'grid',
+    estimated: true,
+    matrix: async points => matrixOf(points, alongGrid),
+    route: async points => ({
+      legs: points.slice(1).map((point, i) => alongGrid(points[i], point)),
+      path: points
+    })
+  };
+}
+
+/**
+ * Street routing from an OSRM server's table and route services, e.g.
+ * { url: 'https://routing.openstreetmap.de/routed-foot', profile: 'driving' }
+ * (that server picks the mode by path and ignores the profile).
+ */
+export function createOsrmRouter({ url, profile = 'driving', fetchImpl = globalThis.fetch } = {}) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function request(service, points, params) {
+    const coordinates = points.map(([lat, lng]) => `${lng},${lat}`).join(';');
+    const requestUrl = new URL(`${baseUrl}/${service}/v1/${profile}/${coordinates}`);
+    for (const [key, value] of Object.entries(params)) requestUrl.searchParams.set(key, value);
+
+    let res;
+    try {
+      res = await fetchImpl(requestUrl, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (err) {
+      throw new RoutingError(`routing service unreachable (${err.message})`);
+    }
+    const body = await res.json().catch(() => null);
+    if (!res.ok || body?.code !== 'Ok') {
+      throw new RoutingError(body?.message || `routing service answered HTTP ${res.status}`, { status: res.status });
+    }
+    return body;
+  }
+
+  return {
+    name: 'osrm',
+    estimated: false,
+    async matrix(points) {
+      const { distances } = await request('table', points, { annotations: 'distance' });
+      if (distances.some(row => row.some(distance => distance === null))) {
+        throw new RoutingError('no route between some of the stops');
+      }
+      return distances;
+    },
+    async route(points) {
+      const { routes } = await request('route', points, { overview: 'full', geometries: 'geojson' });
+      return {
+        legs: routes[0].legs.map(leg => leg.distance),
+        path: routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng])
+      };
+    }
+  };
+}
+
+const ROUTERS = {
+  straight: createStraightLineRouter,
+  grid: createGridRouter,
+  osrm: createOsrmRouter
+};
+
+/**
+ * A router by name, with its factory's options (`url` and `profile` for
+ * osrm).
+ */
+export function createRouter(name, config = {}) {
+  const create = ROUTERS[name];
+  if (!create) throw new Error(`Unknown router "${name}" (available: ${Object.keys(ROUTERS).join(', ')})`);
+  return create(config);
+}
+
+// ===== HASH =====
+
+const TRIP_HASH = /^#trip\/(.+)$/;
+
+/**
+ * Hash for a trip through places by slug, in order: "#trip/coava,powells".
+ */
+export function encodeTripHash(slugs) {
+  return `#trip/${slugs.map(encodeURIComponent).join(',')}`;
+}
+
+/**
+ * Place slugs from a trip hash (without any collection prefix), in order
+ * and without repeats, or null when it isn't one.
+ */
+export function decodeTripHash(hash) {
+  const match = TRIP_HASH.exec(hash || '');
+  if (!match) return null;
+  const slugs = match[1].split(',').map(slug => {
+    try {
+      return decodeURIComponent(slug).trim();
+    } catch {
+      return '';
+    }
+  });
+  return [...new Set(slugs.filter(Boolean))].slice(0, MAX_TRIP_STOPS);
+}
@@ -1,35 +1,40 @@
-import { createServer } from 'http';
-import { readFile } from 'fs/promises';
-import { extname, join } from 'path';
-import { fileURLToPath } from 'url';
+/**
+ * Local dev server for the map (see lib/serve.mjs).
+ *
+ * Open pages reload when app.js, shared.js, styles.css, index.html or the
+ * generated places change, e.g. while `npm run watch` rebuilds them.
+ * /api/ answers queries about the places (see lib/api.mjs).
+ *
+ * Port: --port, or the PORT env var, or 4747. --no-reload turns live
+ * reload off.
+ */
 
-const PORT = 4747;
-const __dirname = fileURLToPath(new URL('.', import.meta.url));
+import { parseArgs } from 'util';
+import { createPlacesApi } from './lib/api.mjs';
+import { createDevServer } from './lib/serve.mjs';
 
-const mimeTypes = {
-  '.html': 'text/html',
-  '.js': 'application/javascript',
-  '.mjs': 'application/javascript',
-  '.css': 'text/css',
-  '.json': 'application/json',
-  '.geojson': 'application/geo+json',
-  '.png': 'image/png',
-  '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon'
-};
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '4747' },
+    'no-reload': { type: 'boolean', default: false }
+  }
+});
 
-createServer(async (req, res) => {
-  const filePath = join(__dirname, req.url === '/' ? 'index.html' : req.url);
-  const ext = extname(filePath);
+const port = Number(options.port);
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+  console.error(`Invalid port "${options.port}"`);
+  process.exit(1);
+}
 
-  try {
-    const data = await readFile(filePath);
-    res.writeHead(200, { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' });
-    res.end(data);
-  } catch {
-    res.writeHead(404);
-    res.end('Not found');
-  }
-}).listen(PORT, () => {
-  console.log(`http://localhost:${PORT}`);
+const liveReload = !options['no-reload'];
+const root = import.meta.dirname;
+const { server } = createDevServer({ root, liveReload, handler: await createPlacesApi({ root }) });
+
+server.on('error', err => {
+  console.error(err.code === 'EADDRINUSE' ? `Port ${port} is in use; pick another with --port` : err.message);
+  process.exit(1);
+});
+
+server.listen(port, () => {
+  console.log(`http://localhost:${server.address().port}${liveReload ? ' (live reload on)' : ''}`);
 });
@@ -22,6 +22,7 @@
     'unknown': '#9ca3a3'
   };
 
+  // Fallback icons for categories whose vault folder has no `_category.md`
   const categoryIcons = {
     'Food & Drink': 'fa-utensils',
     'Record Shop': 'fa-record-vinyl',
@@ -43,17 +44,41 @@
     'restaurant': 'fa-utensils'
   };
 
+  // Category metadata from places.geojson (icon, color), keyed by name.
+  // Filled by registerCategories() when the data loads.
+  const categoryMeta = new Map();
+
   // ===== PURE UTILITY FUNCTIONS =====
 
   /**
-   * Convert a place name to URL-safe slug
+   * Convert a place name to URL-safe slug. The rule lives in lib/slugify.mjs,
+   * shared with the generator; whoever loads this file sets
+   * PlacesConfig.slugify from it (index.html does, before Alpine starts).
    */
   function slugify(name) {
-    return name
-      .toLowerCase()
-      .replace(/['']/g, '')
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    return window.PlacesConfig.slugify(name);
+  }
+
+  /**
+   * Record category metadata from the GeoJSON `categories` list
+   */
+  function registerCategories(categories) {
+    categoryMeta.clear();
+    (categories || []).forEach(category => categoryMeta.set(category.name, category));
+  }
+
+  /**
+   * Get icon class for a category: its `_category.md` icon, then the fallback map
+   */
+  function getCategoryIcon(category) {
+    return categoryMeta.get(category)?.icon || categoryIcons[category] || 'fa-location-dot';
+  }
+
+  /**
+   * Get a category's color from `_category.md`, or null
+   */
+  function getCategoryColor(category) {
+    return categoryMeta.get(category)?.color || null;
   }
 
   /**
@@ -63,7 +88,7 @@
     if (category === 'Food & Drink' && primary && primaryIcons[primary]) {
       return primaryIcons[primary];
     }
-    return categoryIcons[category] || 'fa-location-dot';
+    return getCategoryIcon(category);
   }
 
   /**
@@ -94,15 +119,53 @@
     return url.replace(/^https?:\/\//, '').replace(/\/$/, '').split('/')[0];
   }
 
+  // ===== DISTANCE =====
+
+  const METERS_PER_MILE = 1609.344;
+  const FEET_PER_METER = 3.28084;
+
+  /**
+   * Format a distance in meters (e.g., 640 -> "0.4 mi"), in feet under a
+   * tenth of a mile (e.g., 120 -> "400 ft")
+   */
+  function formatDistance(meters) {
+    const miles = meters / METERS_PER_MILE;
+    if (miles < 0.1) return `${Math.max(50, Math.round(meters * FEET_PER_METER / 50) * 50)} ft`;
+    return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+  }
+
+  /**
+   * Label for the radius filter (e.g., "Within 1 mi"), or null when off
+   */
+  function formatRadiusFilter(filterState) {
+    return filterState.radius > 0 ? `Within ${filterState.radius} mi` : null;
+  }
+
   /**
    * Encode filter state to URL hash
    */
   function encodeFilterHash(filterState) {
     const parts = [];
 
-    // Add open-now prefix if active
-    if (filterState.openNow) {
-      parts.push('open-now');
+    // Add open-now or open-at prefix if active, with any minimum time open
+    // ("open-at-fri-2300-for-60")
+    const openFor = filterState.openFor > 0 ? `-for-${filterState.openFor}` : '';
+    if (filterState.openAt) {
+      const { day, minutes } = filterState.openAt;
+      const time = `${Math.floor(minutes / 60)}`.padStart(2, '0') + `${minutes % 60}`.padStart(2, '0');
+      parts.push(`open-at-${DAY_NAMES[day].slice(0, 3).toLowerCase()}-${time}${openFor}`);
+    } else if (filterState.openNow) {
+      parts.push(`open-now${openFor}`);
+    }
+
+    // Radius around the user's location, in miles ("within-0.5mi")
+    if (filterState.radius > 0) {
+      parts.push(`within-${filterState.radius}mi`);
+    }
+
+    // Neighborhood by slug ("in-buckman")
+    if (filterState.neighborhood && filterState.neighborhood !== 'all') {
+      parts.push(`in-${slugify(filterState.neighborhood)}`);
     }
 
     const hasCategory = filterState.category !== 'all';
@@ -127,8 +190,22 @@
     return parts.length > 0 ? '#' + parts.join('/') : '';
   }
 
+  /**
+   * Scope a filter or place hash to a collection ("#haunts" in seattle is
+   * "#/seattle/haunts"). A null collection (the default one) leaves it as is.
+   */
+  function collectionHash(hash, collection) {
+    if (!collection) return hash;
+    const rest = hash.replace(/^#/, '');
+    return `#/${collection}${rest ? `/${rest}` : ''}`;
+  }
+
   // ===== HOURS PARSING & OPEN STATUS =====
 
+  // Open status works on the `openingHours` periods generate-geojson.mjs
+  // parses at build time; the display-string parsing below only backs
+  // hoursFromDisplay() for older places.geojson files.
+
   const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const CLOSING_SOON_MINUTES = 45;
 
@@ -229,26 +306,195 @@
   }
 
   /**
-   * Check if a place is currently open
-   * Returns: { isOpen, isClosingSoon, closesAt, opensAt, status }
-   * status: 'open' | 'closing-soon' | 'closed' | 'unknown'
+   * Build { days, periods } (the shape generate-geojson.mjs emits as
+   * `openingHours`) from display strings, for places.geojson files generated
+   * before hours were parsed at build time
+   */
+  function hoursFromDisplay(hours) {
+    const days = [];
+    const periods = [];
+    if (!Array.isArray(hours)) return { days, periods };
+
+    DAY_NAMES.forEach((dayName, day) => {
+      const entry = hours.find(h => h && h.startsWith(dayName + ':'));
+      if (!entry) return;
+      days.push(day);
+      (parseTimeRange(entry.replace(`${dayName}: `, '')) || []).forEach(({ start, end }) => {
+        const close = end === 0 ? 1440 : end;
+        periods.push({ day, open: start, close, overnight: close < start });
+      });
+    });
+
+    return { days, periods };
+  }
+
+  // ===== TIMEZONE =====
+
+  // Hours are wall-clock times where the places are, not where the viewer is
+  const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+  let placesTimeZone = DEFAULT_TIME_ZONE;
+  const zoneFormatters = new Map();
+
+  /**
+   * Set the timezone open status is computed in (the GeoJSON `timezone`)
+   */
+  function setTimeZone(timeZone) {
+    placesTimeZone = timeZone || DEFAULT_TIME_ZONE;
+  }
+
+  function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+      zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+    return zoneFormatters.get(timeZone);
+  }
+
+  /**
+   * Wall-clock date and time of an instant in a timezone:
+   * { dateKey: "YYYY-MM-DD", day: 0 (Sunday) to 6, minutes: from midnight }
+   */
+  function getZonedTime(date, timeZone = placesTimeZone) {
+    const parts = {};
+    getZoneFormatter(timeZone).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+    return { dateKey, day: getDayOfDateKey(dateKey), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+  }
+
+  // Weekday (0 = Sunday) of a "YYYY-MM-DD" date
+  function getDayOfDateKey(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  }
+
+  // The "YYYY-MM-DD" date `days` calendar days after `dateKey`
+  function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * The instant (ms) a wall-clock time occurs in a timezone. A time skipped
+   * when clocks spring forward lands an hour early (2:30 AM -> 1:30 AM).
+   */
+  function getZonedInstant(dateKey, minutes, timeZone = placesTimeZone) {
+    const wall = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60000;
+    // Offset from UTC at a first guess, then again at the corrected instant
+    // in case a DST change lies between the two
+    const offsetAt = instant => {
+      const zoned = getZonedTime(new Date(instant), timeZone);
+      return Date.parse(`${zoned.dateKey}T00:00:00Z`) + zoned.minutes * 60000 - Math.floor(instant / 60000) * 60000;
+    };
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+  }
+
+  // "2026-12-01" -> "Dec 1"
+  function formatDateKey(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+  }
+
+  // ===== SCHEDULES =====
+
+  /**
+   * Whether a date falls in a season. MM-DD seasons repeat every year and
+   * may wrap past New Year.
+   */
+  function isInSeason(season, dateKey) {
+    const value = season.from.length === 5 ? dateKey.slice(5) : dateKey;
+    return season.from <= season.to
+      ? value >= season.from && value <= season.to
+      : value >= season.from || value <= season.to;
+  }
+
+  /**
+   * The hours that apply on a "YYYY-MM-DD" date:
+   * { known, periods, timeStr, notice, season }.
+   * A temporary closure wins over date-specific hours, which win over a
+   * season's hours for that weekday, which win over the regular week.
+   * `timeStr` is set when the day's hours differ from the weekly lines;
+   * `season` is the season the date falls in, if any.
    */
-  function getOpenStatus(hours, date = new Date()) {
-    const todayData = getTodayHours(hours, date);
+  function getDaySchedule(openingHours, dateKey) {
+    const day = getDayOfDateKey(dateKey);
+
+    if (openingHours.closedUntil && dateKey < openingHours.closedUntil) {
+      const until = formatDateKey(openingHours.closedUntil);
+      return {
+        known: true,
+        periods: [],
+        timeStr: 'Closed',
+        notice: openingHours.closedReason
+          ? `Closed for ${openingHours.closedReason} until ${until}`
+          : `Temporarily closed until ${until}`
+      };
+    }
 
-    if (!todayData || !todayData.ranges) {
-      return { isOpen: false, isClosingSoon: false, status: 'unknown' };
+    const special = (openingHours.special || []).find(s => s.date === dateKey);
+    if (special) {
+      const closed = special.periods.length === 0;
+      return {
+        known: true,
+        periods: special.periods,
+        timeStr: special.hours,
+        notice: closed
+          ? `Closed for ${special.label || 'holiday'} today`
+          : `${special.label ? `${special.label} hours` : 'Special hours'} today`
+      };
     }
 
-    const currentMinutes = date.getHours() * 60 + date.getMinutes();
+    const season = (openingHours.seasons || []).find(s => isInSeason(s, dateKey)) || null;
+    const week = season && season.days.includes(day) ? season : openingHours;
+    return {
+      known: week.days.includes(day),
+      periods: week.periods.filter(p => p.day === day),
+      timeStr: null,
+      notice: week === season ? `${season.label || 'Seasonal'} hours` : null,
+      season
+    };
+  }
+
+  /**
+   * Check if a place is open at an instant, from its structured
+   * `openingHours`, reading hours as wall-clock times in `timeZone`
+   * Returns: { isOpen, isClosingSoon, minutesUntilClose, closesAt, opensAt, status, notice }
+   * status: 'open' | 'closing-soon' | 'closed' | 'unknown'
+   * notice: e.g. "Closed for Thanksgiving today", or null
+   */
+  function getOpenStatus(openingHours, date = new Date(), timeZone = placesTimeZone) {
+    if (!openingHours || !Array.isArray(openingHours.periods)) {
+      return { isOpen: false, isClosingSoon: false, status: 'unknown', notice: null };
+    }
+
+    const now = getZonedTime(date, timeZone);
+    const yesterdayKey = addDays(now.dateKey, -1);
+    const today = getDaySchedule(openingHours, now.dateKey);
+    const yesterday = getDaySchedule(openingHours, yesterdayKey);
+
+    // Still open from a period that started yesterday and runs past midnight
+    for (const period of yesterday.periods) {
+      if (period.overnight && now.minutes < period.close) {
+        return openResult(openingHours, yesterdayKey, period, date, timeZone, today.notice);
+      }
+    }
 
-    for (const range of todayData.ranges) {
-      if (range.is24h) {
-        return { isOpen: true, isClosingSoon: false, status: 'open', todayHours: todayData.timeStr };
+    for (const period of today.periods) {
+      if (now.minutes >= period.open && (period.overnight || now.minutes < period.close)) {
+        return openResult(openingHours, now.dateKey, period, date, timeZone, today.notice);
       }
+    }
 
-      const openResult = checkTimeRange(range, currentMinutes, todayData.timeStr);
-      if (openResult) return openResult;
+    if (!today.known) {
+      return { isOpen: false, isClosingSoon: false, status: 'unknown', notice: today.notice };
     }
 
     // Closed - find next opening time
@@ -256,79 +502,117 @@
       isOpen: false,
       isClosingSoon: false,
       status: 'closed',
-      opensAt: findNextOpenTime(hours, date),
-      todayHours: todayData.timeStr
+      opensAt: findNextOpenTime(openingHours, date, timeZone),
+      notice: today.notice
     };
   }
 
   /**
-   * Check if current time falls within a time range.
-   * Returns open status object if in range, null if not.
+   * Open status for a period we're in, which started on `dateKey`. A period
+   * closing at midnight that the next day's hours pick up right away (e.g.
+   * "Open 24 hours" every day) counts as still open. Minutes until close are
+   * real minutes, so they stay right across DST changes.
    */
-  function checkTimeRange(range, currentMinutes, todayHours) {
-    const { start, end } = range;
-    const wrapsToNextDay = end < start;
-
-    let isInRange, minutesUntilClose;
-
-    if (wrapsToNextDay) {
-      // Open if after start OR before end (next day)
-      isInRange = currentMinutes >= start || currentMinutes < end;
-      minutesUntilClose = currentMinutes >= start
-        ? (1440 - currentMinutes) + end  // After start, wraps to tomorrow
-        : end - currentMinutes;           // Early morning, before end
-    } else {
-      isInRange = currentMinutes >= start && currentMinutes < end;
-      minutesUntilClose = end - currentMinutes;
+  function openResult(openingHours, dateKey, period, date, timeZone, notice) {
+    let current = period;
+    let currentKey = dateKey;
+    for (let i = 1; !current.overnight && current.close === 1440; i++) {
+      // Never closes
+      if (i > 7) return { isOpen: true, isClosingSoon: false, status: 'open', notice };
+      const nextKey = addDays(dateKey, i);
+      const next = getDaySchedule(openingHours, nextKey).periods.find(p => p.open === 0);
+      if (!next) break;
+      current = next;
+      currentKey = nextKey;
     }
 
-    if (!isInRange) return null;
+    const closeKey = current.overnight || current.close === 1440 ? addDays(currentKey, 1) : currentKey;
+    const closeAt = getZonedInstant(closeKey, current.close % 1440, timeZone);
+    const minutesUntilClose = Math.round((closeAt - Math.floor(date.getTime() / 60000) * 60000) / 60000);
 
     const isClosingSoon = minutesUntilClose <= CLOSING_SOON_MINUTES && minutesUntilClose > 0;
     return {
       isOpen: true,
       isClosingSoon,
       minutesUntilClose,
-      closesAt: formatMinutesAsTime(end % 1440),
+      closesAt: formatMinutesAsTime(current.close % 1440),
       status: isClosingSoon ? 'closing-soon' : 'open',
-      todayHours
+      notice
     };
   }
 
   /**
    * Find when the place next opens
    */
-  function findNextOpenTime(hours, date = new Date()) {
-    if (!Array.isArray(hours) || hours.length === 0) return null;
+  function findNextOpenTime(openingHours, date = new Date(), timeZone = placesTimeZone) {
+    if (!openingHours || !Array.isArray(openingHours.periods)) return null;
 
-    const currentMinutes = date.getHours() * 60 + date.getMinutes();
-    const currentDayIndex = date.getDay();
+    const now = getZonedTime(date, timeZone);
 
     // Check if there's a later opening today
-    const todayData = getTodayHours(hours, date);
-    if (todayData && todayData.ranges) {
-      for (const range of todayData.ranges) {
-        if (range.start > currentMinutes) {
-          return `today at ${formatMinutesAsTime(range.start)}`;
-        }
-      }
-    }
+    const later = getDaySchedule(openingHours, now.dateKey).periods.find(p => p.open > now.minutes);
+    if (later) return `today at ${formatMinutesAsTime(later.open)}`;
 
     // Check tomorrow and following days
     for (let i = 1; i <= 7; i++) {
-      const checkDate = new Date(date);
-      checkDate.setDate(checkDate.getDate() + i);
-      const dayData = getTodayHours(hours, checkDate);
-
-      if (dayData && dayData.ranges && dayData.ranges.length > 0) {
-        const dayLabel = i === 1 ? 'tomorrow' : DAY_NAMES[checkDate.getDay()];
-        return `${dayLabel} at ${formatMinutesAsTime(dayData.ranges[0].start)}`;
+      const dateKey = addDays(now.dateKey, i);
+      const [first] = getDaySchedule(openingHours, dateKey).periods;
+      if (first) {
+        const dayLabel = i === 1 ? 'tomorrow' : DAY_NAMES[getDayOfDateKey(dateKey)];
+        return `${dayLabel} at ${formatMinutesAsTime(first.open)}`;
       }
     }
 
     return null;
   }
 
+  /**
+   * The next time it's `minutes` past midnight on weekday `day` (0 = Sunday)
+   * in the places' timezone, counting from `date` (which it may equal)
+   */
+  function getNextOccurrence(day, minutes, date = new Date(), timeZone = placesTimeZone) {
+    const now = getZonedTime(date, timeZone);
+    let days = (day - now.day + 7) % 7;
+    if (days === 0 && minutes < now.minutes) days = 7;
+    return new Date(getZonedInstant(addDays(now.dateKey, days), minutes, timeZone));
+  }
+
+  /**
+   * Whether an open status stays open for at least `minutes` more
+   * (any open status when `minutes` is 0)
+   */
+  function isOpenFor(openStatus, minutes = 0) {
+    if (!openStatus.isOpen) return false;
+    // Places open around the clock have no closing time
+    return !(minutes > 0) || openStatus.minutesUntilClose === undefined || openStatus.minutesUntilClose >= minutes;
+  }
+
+  /**
+   * Format a length of time (e.g., 90 -> "1 hr 30 min")
+   */
+  function formatDuration(minutes) {
+    if (!(minutes > 0)) return '0 min';
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return [hours && `${hours} hr`, mins && `${mins} min`].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Label for the open filter (e.g., "Open Fri 11:00 PM for 1 hr+"), or null when off
+   */
+  function formatOpenFilter(filterState) {
+    let label;
+    if (filterState.openAt) {
+      const { day, minutes } = filterState.openAt;
+      label = `Open ${DAY_NAMES[day].slice(0, 3)} ${formatMinutesAsTime(minutes)}`;
+    } else if (filterState.openNow) {
+      label = 'Open Now';
+    } else {
+      return null;
+    }
+    return filterState.openFor > 0 ? `${label} for ${formatDuration(filterState.openFor)}+` : label;
+  }
+
   /**
    * Format minutes from midnight as time string (e.g., 540 -> "9:00 AM")
    */
@@ -346,18 +630,34 @@
     statusColors,
     categoryIcons,
     primaryIcons,
-    slugify,
+    registerCategories,
+    getCategoryIcon,
+    getCategoryColor,
     getPlaceIcon,
     formatWebsiteDisplay,
     encodeFilterHash,
+    collectionHash,
+    METERS_PER_MILE,
+    formatDistance,
+    formatRadiusFilter,
     // Hours parsing
     DAY_NAMES,
     CLOSING_SOON_MINUTES,
     parseTime,
     parseTimeRange,
     getTodayHours,
+    hoursFromDisplay,
+    DEFAULT_TIME_ZONE,
+    setTimeZone,
+    getZonedTime,
+    getZonedInstant,
+    getDaySchedule,
     getOpenStatus,
     findNextOpenTime,
+    getNextOccurrence,
+    isOpenFor,
+    formatDuration,
+    formatOpenFilter,
     formatMinutesAsTime
   };
 
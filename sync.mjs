@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Pulls, regenerates and publishes the places (what cron runs, through
+ * sync.sh).
+ *
+ * A lockfile keeps overlapping runs apart: a run that finds it held logs
+ * "skipped" and exits. The generator runs in process, and a commit is made
+ * only when it wrote new output, with its changelog as the message. A push
+ * that loses a race with another push is retried after rebasing onto it,
+ * and commits a failed run couldn't push go out with the next one.
+ *
+ * Every step is logged to stdout as one JSON object per line
+ * ({ time, level, event, ... }); the last line of a run is a "done" event
+ * with its `status`: unchanged, changed (--dry-run), pushed or skipped, or
+ * an "error" event.
+ */
+
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { parseArgs, promisify } from 'util';
+import { generate } from './generate-geojson.mjs';
+import { withRetries } from './lib/concurrency.mjs';
+import { acquireLock, createJsonLogger, formatCommitMessage, isPushRejected } from './lib/sync.mjs';
+
+const ROOT = import.meta.dirname;
+const LOCK_FILE = process.env.SYNC_LOCK_FILE || join(ROOT, '.sync.lock');
+// A lock older than this is left over from a crashed run
+const LOCK_STALE_MINUTES = Number(process.env.SYNC_LOCK_STALE_MINUTES) || 60;
+// Pushes retried after losing a race with another push
+const PUSH_RETRIES = process.env.SYNC_PUSH_RETRIES !== undefined ? Number(process.env.SYNC_PUSH_RETRIES) : 3;
+// Generated files to commit, where present
+const OUTPUT_PATHS = ['places.geojson', 'tiles', 'collections'];
+
+const { values: options } = parseArgs({
+  options: {
+    // Pull and report what would change, without writing, committing or pushing
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+const log = createJsonLogger(line => process.stdout.write(line));
+
+const execFileAsync = promisify(execFile);
+
+async function git(...args) {
+  const { stdout } = await execFileAsync('git', args, { cwd: ROOT });
+  return stdout.trim();
+}
+
+// Rebase onto the remote, leaving the checkout as it was if that fails
+async function pullRebase() {
+  try {
+    await git('pull', '--rebase', '--autostash');
+  } catch (err) {
+    if (existsSync(join(ROOT, '.git', 'rebase-merge')) || existsSync(join(ROOT, '.git', 'rebase-apply'))) {
+      await git('rebase', '--abort').catch(() => {});
+    }
+    throw err;
+  }
+}
+
+async function sync() {
+  const started = Date.now();
+  const done = (status, fields = {}) => log.info('done', { status, durationMs: Date.now() - started, ...fields });
+
+  const lock = await acquireLock(LOCK_FILE, { staleMs: LOCK_STALE_MINUTES * 60 * 1000 });
+  if (!lock.acquired) {
+    done('skipped', { reason: 'locked', holder: lock.holder });
+    return;
+  }
+
+  try {
+    log.info('start', { dryRun: options['dry-run'] });
+
+    await pullRebase();
+    log.info('pulled', { head: await git('rev-parse', '--short', 'HEAD') });
+
+    const result = await generate({ diff: options['dry-run'] }, log.console('generator'));
+    const places = result.collections.reduce((sum, c) => sum + c.count, 0);
+    log.info('generated', {
+      places,
+      written: result.written,
+      failed: result.failed,
+      changes: result.changelog ? result.changelog.split('\n')[0] : null
+    });
+    if (result.failed) {
+      // As before: notes with errors are left out, the rest still publish
+      log.warn('vault-errors', { message: 'Some notes were left out; see the generator lines above' });
+    }
+
+    if (options['dry-run']) {
+      done(result.changelog ? 'changed' : 'unchanged', { changelog: result.changelog || null });
+      return;
+    }
+
+    if (result.written) {
+      const paths = OUTPUT_PATHS.filter(path => existsSync(join(ROOT, path)));
+      await git('add', '-A', '--', ...paths);
+      const staged = await git('diff', '--cached', '--name-only', '--', ...paths);
+      if (staged) {
+        const { subject, body } = formatCommitMessage(result);
+        await git('commit', '-m', subject, '-m', body);
+        const commit = await git('rev-parse', '--short', 'HEAD');
+        log.info('committed', { commit, subject, files: staged.split('\n').length });
+      }
+    }
+
+    const ahead = Number(await git('rev-list', '--count', '@{upstream}..HEAD'));
+    if (ahead === 0) {
+      done('unchanged');
+      return;
+    }
+
+    await withRetries(async attempt => {
+      if (attempt > 0) await pullRebase();
+      await git('push');
+    }, {
+      retries: PUSH_RETRIES,
+      baseDelayMs: 1000,
+      isRetryable: isPushRejected,
+      onRetry: (err, attempt, wait) => log.warn('push-rejected', { attempt, retryInMs: wait })
+    });
+    done('pushed', { commit: await git('rev-parse', '--short', 'HEAD'), commits: ahead });
+  } finally {
+    await lock.release();
+  }
+}
+
+sync().catch(err => {
+  log.error('error', { message: err.message, stderr: err.stderr?.trim() || undefined });
+  process.exitCode = 1;
+});
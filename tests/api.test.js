@@ -0,0 +1,244 @@
+/**
+ * Tests for the places API (lib/api.mjs)
+ * Serves a temp folder of places through the dev server on a free port.
+ * Run with: node tests/api.test.js
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createPlacesApi } from '../lib/api.mjs';
+import { createDevServer } from '../lib/serve.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (id, name, [lng, lat], properties) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+  properties: { name, slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'), ...properties }
+});
+
+const weekdays = hours => ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'].map(day => `${day}: ${hours}`);
+
+const places = [
+  place('p1', 'Apizza Scholls', [-122.6245, 45.5119], {
+    category: 'Food & Drink', primary: 'restaurant', status: 'haunts', neighborhood: 'Sunnyside',
+    notes: 'Pizza worth the wait', hours: weekdays('5:00 PM – 9:00 PM')
+  }),
+  place('p2', 'Ken\'s Artisan Pizza', [-122.6530, 45.5217], {
+    category: 'Food & Drink', primary: 'restaurant', status: 'queue', neighborhood: 'Buckman',
+    notes: 'Wood-fired pizza', hours: weekdays('11:00 AM – 10:00 PM')
+  }),
+  place('p3', 'Coava', [-122.6610, 45.5165], {
+    category: 'Food & Drink', primary: 'coffee', status: 'haunts', neighborhood: 'Buckman',
+    hours: weekdays('7:00 AM – 12:30 PM')
+  }),
+  place('p4', 'Powell\'s City of Books', [-122.6813, 45.5231], {
+    category: 'Bookstores', status: 'haunts', neighborhood: 'Pearl', address: '1005 W Burnside St',
+    hours: weekdays('9:00 AM – 11:00 PM')
+  })
+];
+
+const root = mkdtempSync(join(tmpdir(), 'api-test-'));
+writeFileSync(join(root, 'places.geojson'), JSON.stringify({
+  type: 'FeatureCollection',
+  timezone: 'America/Los_Angeles',
+  categories: [{ name: 'Bookstores', count: 1 }, { name: 'Food & Drink', count: 3 }],
+  features: places
+}));
+
+// Noon on Monday 2 March 2026 in Portland
+const now = () => new Date('2026-03-02T12:00:00-08:00');
+const { server, close } = createDevServer({
+  root,
+  liveReload: false,
+  handler: await createPlacesApi({ root, now }),
+  log: { log() {}, error() {} }
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+async function get(path) {
+  const res = await fetch(base + path);
+  return { status: res.status, type: res.headers.get('content-type'), body: await res.json() };
+}
+
+const names = body => (body.places || body.features).map(p => p.name || p.properties.name).join(', ');
+
+// ===== FILTERS =====
+
+console.log('\n--- /api/places ---');
+
+await test('returns every place as GeoJSON by default', async () => {
+  const { status, type, body } = await get('/api/places');
+  assertEqual(status, 200);
+  assertEqual(type, 'application/geo+json; charset=utf-8');
+  assertEqual(body.type, 'FeatureCollection');
+  assertEqual(body.count, 4);
+  assertEqual(body.features.length, 4);
+});
+
+await test('filters like the map: status, category by slug or name, primary', async () => {
+  assertEqual(names((await get('/api/places?status=haunts&category=food-drink')).body), 'Apizza Scholls, Coava');
+  assertEqual(names((await get('/api/places?category=Bookstores')).body), 'Powell\'s City of Books');
+  assertEqual(names((await get('/api/places?category=food-drink&primary=coffee')).body), 'Coava');
+});
+
+await test('filters by neighborhood by slug or name', async () => {
+  const { body } = await get('/api/places?neighborhood=buckman');
+  assertEqual(names(body), 'Ken\'s Artisan Pizza, Coava');
+  assertEqual(body.hash, '#in-buckman');
+  assertEqual(names((await get('/api/places?neighborhood=Pearl&status=haunts')).body), 'Powell\'s City of Books');
+  assertEqual(names((await get(`/api/places?hash=${encodeURIComponent('#in-sunnyside')}`)).body), 'Apizza Scholls');
+});
+
+await test('answers which haunts in Buckman are open now', async () => {
+  const { body } = await get('/api/places?status=haunts&open=now&q=buckman&format=list');
+  assertEqual(names(body), 'Coava');
+  assertEqual(body.places[0].open, 'closing-soon');
+});
+
+await test('asks about another time and a minimum time open', async () => {
+  assertEqual(names((await get('/api/places?open=tue-1800&category=food-drink')).body), 'Apizza Scholls, Ken\'s Artisan Pizza');
+  assertEqual(names((await get('/api/places?open=now&for=60')).body), 'Ken\'s Artisan Pizza, Powell\'s City of Books');
+});
+
+await test('takes a map hash, with parameters overriding it', async () => {
+  const { body } = await get(`/api/places?hash=${encodeURIComponent('#open-now/haunts/food-drink')}`);
+  assertEqual(names(body), 'Coava');
+  assertEqual(body.hash, '#open-now/haunts/food-drink');
+  assertEqual(names((await get('/api/places?hash=haunts/food-drink&status=queue')).body), 'Ken\'s Artisan Pizza');
+});
+
+await test('searches like the map', async () => {
+  const { body } = await get('/api/places?q=pizza');
+  assertEqual(body.count, 2);
+  assert(body.features.every(f => /Pizza|Apizza/.test(f.properties.name)), names(body));
+});
+
+await test('sorts by distance from near, within a radius in miles', async () => {
+  const { body } = await get('/api/places?near=45.5165,-122.6610&radius=1&format=list');
+  assertEqual(names(body), 'Coava, Ken\'s Artisan Pizza');
+  assertEqual(body.places[0].distance, 0);
+  assert(body.places[1].distance > 0.3 && body.places[1].distance < 1, String(body.places[1].distance));
+  assertEqual(body.hash, '#within-1mi');
+});
+
+await test('lets radius override a hash\'s radius', async () => {
+  const { body } = await get('/api/places?near=45.5165,-122.6610&hash=within-1mi&radius=0.1&format=list');
+  assertEqual(names(body), 'Coava');
+  assertEqual(body.hash, '#within-0.1mi');
+});
+
+await test('limits the results but counts them all', async () => {
+  const { body } = await get('/api/places?near=45.5165,-122.6610&limit=1');
+  assertEqual(body.count, 4);
+  assertEqual(body.features.length, 1);
+  assertEqual(body.features[0].properties.distance, 0);
+});
+
+await test('lists places compactly', async () => {
+  const { type, body } = await get('/api/places?category=bookstores&format=list');
+  assertEqual(type, 'application/json; charset=utf-8');
+  assertEqual(JSON.stringify(body.places[0]), JSON.stringify({
+    id: 'p4', slug: 'powell-s-city-of-books', name: 'Powell\'s City of Books', category: 'Bookstores', primary: null,
+    status: 'haunts', neighborhood: 'Pearl', address: '1005 W Burnside St', lat: 45.5231, lng: -122.6813, open: 'open'
+  }));
+});
+
+await test('rejects bad parameters with a message', async () => {
+  for (const [query, message] of [
+    ['status=favorites', 'status: expected one of all, haunts, queue'],
+    ['category=museums', 'category: unknown category "museums"'],
+    ['neighborhood=atlantis', 'neighborhood: unknown neighborhood "atlantis"'],
+    ['open=someday', 'open: expected "now" or a day and time'],
+    ['for=30', 'for: needs open'],
+    ['near=north', 'near: expected "lat,lng"'],
+    ['radius=500', 'radius: needs near'],
+    ['limit=0', 'limit: expected a positive whole number'],
+    ['format=xml', 'format: expected one of geojson, list']
+  ]) {
+    const { status, body } = await get(`/api/places?${query}`);
+    assertEqual(status, 400, query);
+    assert(body.error.startsWith(message), body.error);
+  }
+});
+
+// ===== OTHER ENDPOINTS =====
+
+console.log('\n--- other endpoints ---');
+
+await test('looks up a place by slug with its open status', async () => {
+  const { status, body } = await get('/api/places/coava');
+  assertEqual(status, 200);
+  assertEqual(body.id, 'p3');
+  assertEqual(body.properties.open, 'closing-soon');
+  assertEqual((await get('/api/places/nowhere')).status, 404);
+});
+
+await test('lists categories with counts', async () => {
+  const { body } = await get('/api/categories');
+  assertEqual(JSON.stringify(body.categories), JSON.stringify([
+    { name: 'Bookstores', slug: 'bookstores', count: 1 },
+    { name: 'Food & Drink', slug: 'food-drink', count: 3 }
+  ]));
+});
+
+await test('answers unknown endpoints with 404 and leaves files to the server', async () => {
+  assertEqual((await get('/api/nothing')).status, 404);
+  const res = await fetch(`${base}/places.geojson`);
+  assertEqual(res.status, 200);
+  assertEqual((await res.json()).features.length, 4);
+});
+
+await test('reads a collection\'s places', async () => {
+  mkdirSync(join(root, 'collections', 'seattle'), { recursive: true });
+  writeFileSync(join(root, 'collections', 'seattle', 'places.geojson'), JSON.stringify({
+    type: 'FeatureCollection',
+    timezone: 'America/Los_Angeles',
+    features: [place('s1', 'Elm Coffee', [-122.3331, 47.6005], { category: 'Food & Drink', status: 'queue' })]
+  }));
+  const { body } = await get('/api/places?collection=seattle');
+  assertEqual(names(body), 'Elm Coffee');
+  assertEqual(body.hash, '#/seattle');
+  assertEqual(names((await get(`/api/places?hash=${encodeURIComponent('#/seattle/queue')}`)).body), 'Elm Coffee');
+  assertEqual((await get('/api/places?collection=../places')).status, 404);
+});
+
+// ===== CLEANUP & SUMMARY =====
+
+await close();
+rmSync(root, { recursive: true, force: true });
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
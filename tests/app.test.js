@@ -9,6 +9,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import vm from 'vm';
+import { slugify } from '../lib/slugify.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -17,6 +18,7 @@ const sharedCode = readFileSync(join(__dirname, '..', 'shared.js'), 'utf-8');
 const mockWindow = {};
 vm.runInNewContext(sharedCode, { window: mockWindow });
 globalThis.PlacesConfig = mockWindow.PlacesConfig;
+globalThis.PlacesConfig.slugify = slugify;
 
 // Set up MiniSearch globally (in browser it's loaded via script tag)
 const MiniSearch = (await import('minisearch')).default;
@@ -24,13 +26,27 @@ globalThis.MiniSearch = MiniSearch;
 
 // Now import app.js (which reads from globalThis.PlacesConfig and globalThis.MiniSearch)
 const {
-  slugify,
   findCategoryBySlug,
+  findNeighborhoodBySlug,
   decodeFilterHash,
   encodeFilterHash,
+  splitCollectionHash,
+  collectionHash,
   filterPlaces,
+  exportFilename,
   searchPlaces,
   groupPlacesByCategory,
+  listPlaces,
+  countNeighborhoods,
+  locationErrorMessage,
+  isFatalLocationError,
+  locationHeading,
+  planItinerary,
+  suggestOpenOrder,
+  getCategoryNames,
+  ensurePlaceIds,
+  ensureOpeningHours,
+  findPlaceBySlug,
   formatWebsiteDisplay,
   getPlaceIcon,
   getOpenStatus
@@ -41,7 +57,20 @@ const {
   parseTime,
   parseTimeRange,
   getTodayHours,
-  formatMinutesAsTime
+  hoursFromDisplay,
+  formatMinutesAsTime,
+  setTimeZone,
+  getZonedTime,
+  getZonedInstant,
+  getNextOccurrence,
+  isOpenFor,
+  formatOpenFilter,
+  formatDistance,
+  formatRadiusFilter,
+  formatDuration,
+  registerCategories,
+  getCategoryIcon,
+  getCategoryColor
 } = globalThis.PlacesConfig;
 
 // Simple test runner
@@ -171,6 +200,11 @@ test('returns null for unknown category', () => {
   assertEqual(findCategoryBySlug('unknown-cat', mockPlaces), null);
 });
 
+test('finds neighborhoods by slug', () => {
+  assertEqual(findNeighborhoodBySlug('pearl-district', mockPlaces), 'Pearl District');
+  assertEqual(findNeighborhoodBySlug('buckman', mockPlaces), null);
+});
+
 // ===== DECODE FILTER HASH TESTS =====
 
 console.log('\n--- decodeFilterHash ---');
@@ -178,59 +212,88 @@ console.log('\n--- decodeFilterHash ---');
 test('returns defaults for empty hash', () => {
   assertDeepEqual(
     decodeFilterHash('', mockPlaces),
-    { status: 'all', category: 'all', primary: 'all', openNow: false }
+    { status: 'all', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('returns defaults for # only', () => {
   assertDeepEqual(
     decodeFilterHash('#', mockPlaces),
-    { status: 'all', category: 'all', primary: 'all', openNow: false }
+    { status: 'all', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('decodes status only', () => {
   assertDeepEqual(
     decodeFilterHash('#haunts', mockPlaces),
-    { status: 'haunts', category: 'all', primary: 'all', openNow: false }
+    { status: 'haunts', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('decodes status and category', () => {
   assertDeepEqual(
     decodeFilterHash('#queue/food-drink', mockPlaces),
-    { status: 'queue', category: 'Food & Drink', primary: 'all', openNow: false }
+    { status: 'queue', category: 'Food & Drink', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('decodes full filter with primary', () => {
   assertDeepEqual(
     decodeFilterHash('#haunts/food-drink/coffee', mockPlaces),
-    { status: 'haunts', category: 'Food & Drink', primary: 'coffee', openNow: false }
+    { status: 'haunts', category: 'Food & Drink', primary: 'coffee', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('ignores primary for non-Food & Drink', () => {
   assertDeepEqual(
     decodeFilterHash('#haunts/bookstores/coffee', mockPlaces),
-    { status: 'haunts', category: 'Bookstores', primary: 'all', openNow: false }
+    { status: 'haunts', category: 'Bookstores', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('decodes open-now prefix', () => {
   assertDeepEqual(
     decodeFilterHash('#open-now', mockPlaces),
-    { status: 'all', category: 'all', primary: 'all', openNow: true }
+    { status: 'all', category: 'all', primary: 'all', openNow: true, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
 test('decodes open-now with filters', () => {
   assertDeepEqual(
     decodeFilterHash('#open-now/haunts/food-drink', mockPlaces),
-    { status: 'haunts', category: 'Food & Drink', primary: 'all', openNow: true }
+    { status: 'haunts', category: 'Food & Drink', primary: 'all', openNow: true, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
+  );
+});
+
+test('decodes open-at prefix with filters', () => {
+  assertDeepEqual(
+    decodeFilterHash('#open-at-fri-2300/haunts', mockPlaces),
+    { status: 'haunts', category: 'all', primary: 'all', openNow: false, openAt: { day: 5, minutes: 1380 }, openFor: 0, radius: 0, neighborhood: 'all' }
   );
 });
 
+test('decodes a minimum time open', () => {
+  assertDeepEqual(
+    decodeFilterHash('#open-now-for-60/queue', mockPlaces),
+    { status: 'queue', category: 'all', primary: 'all', openNow: true, openAt: null, openFor: 60, radius: 0, neighborhood: 'all' }
+  );
+  assertEqual(decodeFilterHash('#open-at-sun-0700-for-90', mockPlaces).openFor, 90);
+});
+
+test('ignores malformed open-at prefixes', () => {
+  assertEqual(decodeFilterHash('#open-at-fri-2500', mockPlaces).openAt, null);
+  assertEqual(decodeFilterHash('#open-at-friday-2300', mockPlaces).openAt, null);
+  assertEqual(decodeFilterHash('#open-now-for-0', mockPlaces).openNow, false);
+});
+
+test('decodes filters behind a collection prefix', () => {
+  assertDeepEqual(
+    decodeFilterHash('#/seattle/open-now/haunts/food-drink', mockPlaces),
+    { status: 'haunts', category: 'Food & Drink', primary: 'all', openNow: true, openAt: null, openFor: 0, radius: 0, neighborhood: 'all' }
+  );
+  assertEqual(decodeFilterHash('#/seattle', mockPlaces).status, 'all');
+});
+
 // ===== ENCODE FILTER HASH TESTS =====
 
 console.log('\n--- encodeFilterHash ---');
@@ -277,6 +340,83 @@ test('encodes openNow with filters', () => {
   );
 });
 
+test('encodes openAt with filters', () => {
+  assertEqual(
+    encodeFilterHash({ status: 'haunts', category: 'all', primary: 'all', openAt: { day: 0, minutes: 420 } }),
+    '#open-at-sun-0700/haunts'
+  );
+});
+
+test('encodes a minimum time open', () => {
+  assertEqual(
+    encodeFilterHash({ status: 'all', category: 'all', primary: 'all', openNow: true, openFor: 60 }),
+    '#open-now-for-60'
+  );
+  assertEqual(
+    encodeFilterHash({ status: 'all', category: 'all', primary: 'all', openAt: { day: 5, minutes: 1380 }, openFor: 30 }),
+    '#open-at-fri-2300-for-30'
+  );
+});
+
+test('round-trips open-at hashes', () => {
+  const filter = { status: 'queue', category: 'Food & Drink', primary: 'bar', openNow: false, openAt: { day: 6, minutes: 75 }, openFor: 120, radius: 0, neighborhood: 'all' };
+  assertDeepEqual(decodeFilterHash(encodeFilterHash(filter), mockPlaces), filter);
+});
+
+test('round-trips a radius, after any open filter', () => {
+  const filter = { status: 'haunts', category: 'all', primary: 'all', openNow: true, openAt: null, openFor: 0, radius: 0.5, neighborhood: 'all' };
+  assertEqual(encodeFilterHash(filter), '#open-now/within-0.5mi/haunts');
+  assertDeepEqual(decodeFilterHash('#open-now/within-0.5mi/haunts', mockPlaces), filter);
+  assertEqual(decodeFilterHash('#within-2mi', mockPlaces).radius, 2);
+});
+
+test('round-trips a neighborhood, after any radius', () => {
+  const filter = { status: 'haunts', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 1, neighborhood: 'Pearl District' };
+  assertEqual(encodeFilterHash(filter), '#within-1mi/in-pearl-district/haunts');
+  assertDeepEqual(decodeFilterHash('#within-1mi/in-pearl-district/haunts', mockPlaces), filter);
+  assertEqual(decodeFilterHash('#in-kerns/all/food-drink', mockPlaces).category, 'Food & Drink');
+});
+
+test('drops neighborhoods no place is in', () => {
+  const decoded = decodeFilterHash('#in-atlantis/queue', mockPlaces);
+  assertEqual(decoded.neighborhood, 'all');
+  assertEqual(decoded.status, 'queue');
+});
+
+test('ignores a zero or malformed radius', () => {
+  assertEqual(decodeFilterHash('#within-0mi/haunts', mockPlaces).radius, 0);
+  assertEqual(decodeFilterHash('#within-1km', mockPlaces).radius, 0);
+});
+
+// ===== COLLECTION HASH TESTS =====
+
+console.log('\n--- collection hashes ---');
+
+test('splits the collection off a hash', () => {
+  assertDeepEqual(splitCollectionHash('#/seattle/haunts/food-drink'), { collection: 'seattle', hash: '#haunts/food-drink' });
+  assertDeepEqual(splitCollectionHash('#/seattle/place/elliott-bay'), { collection: 'seattle', hash: '#place/elliott-bay' });
+  assertDeepEqual(splitCollectionHash('#/new-york'), { collection: 'new-york', hash: '' });
+  assertDeepEqual(splitCollectionHash('#/seattle/'), { collection: 'seattle', hash: '' });
+});
+
+test('leaves hashes without a collection to the default one', () => {
+  assertDeepEqual(splitCollectionHash('#haunts'), { collection: null, hash: '#haunts' });
+  assertDeepEqual(splitCollectionHash('#place/powells'), { collection: null, hash: '#place/powells' });
+  assertDeepEqual(splitCollectionHash(''), { collection: null, hash: '' });
+});
+
+test('prefixes hashes with a collection', () => {
+  assertEqual(collectionHash('#haunts/food-drink', 'seattle'), '#/seattle/haunts/food-drink');
+  assertEqual(collectionHash('', 'seattle'), '#/seattle');
+  assertEqual(collectionHash('#haunts', null), '#haunts');
+  assertEqual(collectionHash('', null), '');
+});
+
+test('round-trips collection hashes', () => {
+  const hash = collectionHash(encodeFilterHash({ status: 'queue', category: 'all', primary: 'all', openNow: true }), 'seattle');
+  assertDeepEqual(splitCollectionHash(hash), { collection: 'seattle', hash: '#open-now/queue' });
+});
+
 // ===== FILTER PLACES TESTS =====
 
 console.log('\n--- filterPlaces ---');
@@ -308,6 +448,147 @@ test('combines status and category filters', () => {
   assertEqual(result.length, 2);
 });
 
+// Friday 8 PM - 2 AM, and 7 AM - 3 PM every day
+const week = [0, 1, 2, 3, 4, 5, 6];
+const openPlaces = [
+  {
+    properties: {
+      name: 'Night Bar',
+      openingHours: { days: week, periods: [{ day: 5, open: 1200, close: 120, overnight: true }] }
+    }
+  },
+  {
+    properties: {
+      name: 'Day Cafe',
+      openingHours: { days: week, periods: week.map(day => ({ day, open: 420, close: 900, overnight: false })) }
+    }
+  },
+  { properties: { name: 'No Hours' } }
+];
+const openFilter = overrides => ({ status: 'all', category: 'all', primary: 'all', openNow: false, openAt: null, openFor: 0, radius: 0, neighborhood: 'all', ...overrides });
+const mondayNoon = new Date('2026-03-02T12:00:00-08:00');
+const names = places => places.map(p => p.properties.name).join(',');
+
+test('filters by open now', () => {
+  assertEqual(names(filterPlaces(openPlaces, openFilter({ openNow: true }), mondayNoon)), 'Day Cafe');
+});
+
+test('filters by open at a chosen day and time', () => {
+  assertEqual(names(filterPlaces(openPlaces, openFilter({ openAt: { day: 5, minutes: 1380 } }), mondayNoon)), 'Night Bar');
+  assertEqual(names(filterPlaces(openPlaces, openFilter({ openAt: { day: 0, minutes: 420 } }), mondayNoon)), 'Day Cafe');
+  assertEqual(filterPlaces(openPlaces, openFilter({ openAt: { day: 3, minutes: 1380 } }), mondayNoon).length, 0);
+});
+
+test('filters by minimum time open', () => {
+  // The cafe closes in three hours, the bar three hours after 11 PM
+  assertEqual(names(filterPlaces(openPlaces, openFilter({ openNow: true, openFor: 180 }), mondayNoon)), 'Day Cafe');
+  assertEqual(filterPlaces(openPlaces, openFilter({ openNow: true, openFor: 181 }), mondayNoon).length, 0);
+  assertEqual(filterPlaces(openPlaces, openFilter({ openAt: { day: 5, minutes: 1380 }, openFor: 240 }), mondayNoon).length, 0);
+});
+
+// Along SE Belmont, about 0.3 and 1.3 miles east of Water Ave
+const waterAve = [45.5163, -122.6655];
+const distancePlaces = [
+  { id: 'far', geometry: { type: 'Point', coordinates: [-122.6385, 45.5163] }, properties: { name: 'Far Cafe' } },
+  { id: 'near', geometry: { type: 'Point', coordinates: [-122.6595, 45.5163] }, properties: { name: 'Near Bar' } }
+];
+
+test('filters by radius around the location', () => {
+  assertEqual(names(filterPlaces(distancePlaces, openFilter({ radius: 0.5 }), mondayNoon, waterAve)), 'Near Bar');
+  assertEqual(names(filterPlaces(distancePlaces, openFilter({ radius: 2 }), mondayNoon, waterAve)), 'Far Cafe,Near Bar');
+});
+
+test('skips the radius until the location is known', () => {
+  assertEqual(filterPlaces(distancePlaces, openFilter({ radius: 0.5 }), mondayNoon).length, 2);
+});
+
+const neighborhoodPlaces = [
+  { properties: { name: 'Coava', neighborhood: 'Hosford-Abernethy' } },
+  { properties: { name: 'Lauretta Jean\'s', neighborhood: 'hosford-abernethy' } },
+  { properties: { name: 'Heart', neighborhood: 'Buckman' } },
+  { properties: { name: 'Unplaced' } }
+];
+
+test('filters by neighborhood, whatever its capitalization', () => {
+  assertEqual(names(filterPlaces(neighborhoodPlaces, openFilter({ neighborhood: 'Hosford-Abernethy' }))), 'Coava,Lauretta Jean\'s');
+  assertEqual(filterPlaces(neighborhoodPlaces, openFilter({ neighborhood: 'all' })).length, 4);
+});
+
+// ===== NEIGHBORHOOD COUNTS TESTS =====
+
+console.log('\n--- countNeighborhoods ---');
+
+test('counts places by neighborhood, sorted by name', () => {
+  assertDeepEqual(countNeighborhoods(neighborhoodPlaces), [
+    { name: 'Buckman', slug: 'buckman', count: 1 },
+    { name: 'Hosford-Abernethy', slug: 'hosford-abernethy', count: 2 }
+  ]);
+  assertDeepEqual(countNeighborhoods([]), []);
+});
+
+// ===== EXPORT FILENAME TESTS =====
+
+console.log('\n--- exportFilename ---');
+
+test('names exports after the filters', () => {
+  assertEqual(exportFilename(openFilter({}), 'gpx'), 'places.gpx');
+  assertEqual(exportFilename(openFilter({ status: 'queue', category: 'Food & Drink' }), 'kml'), 'places-queue-food-drink.kml');
+  assertEqual(exportFilename(openFilter({ openNow: true }), 'geojson'), 'places-open-now.geojson');
+  assertEqual(exportFilename(openFilter({ neighborhood: 'Buckman' }), 'csv'), 'places-in-buckman.csv');
+});
+
+test('names exports after the collection', () => {
+  assertEqual(exportFilename(openFilter({ status: 'haunts' }), 'csv', 'seattle'), 'seattle-places-haunts.csv');
+});
+
+// ===== LIST TESTS =====
+
+console.log('\n--- listPlaces ---');
+
+test('sorts by name with distances once located', () => {
+  const items = listPlaces(distancePlaces, 'name', waterAve);
+  assertEqual(items.map(item => item.id).join(','), 'far,near');
+  assert(Math.abs(items[1].distance - 469) < 5, `got ${items[1].distance}`);
+});
+
+test('sorts nearest first', () => {
+  assertEqual(listPlaces(distancePlaces, 'distance', waterAve).map(item => item.id).join(','), 'near,far');
+});
+
+test('sorts by name until located', () => {
+  const items = listPlaces(distancePlaces, 'distance');
+  assertEqual(items.map(item => item.id).join(','), 'far,near');
+  assertEqual(items[0].distance, null);
+});
+
+// ===== LOCATION TESTS =====
+
+console.log('\n--- location tracking ---');
+
+test('explains location errors by code', () => {
+  assert(locationErrorMessage(1).includes('blocked'));
+  assert(locationErrorMessage(3).includes('Still trying'));
+  assert(locationErrorMessage(2).includes('isn\'t available'));
+  assert(locationErrorMessage(0).includes('can\'t share'));
+});
+
+test('stops tracking only when location is refused or unsupported', () => {
+  assert(isFatalLocationError(0));
+  assert(isFatalLocationError(1));
+  assert(!isFatalLocationError(2));
+  assert(!isFatalLocationError(3));
+});
+
+test('reads headings, or null when the device has none', () => {
+  assertEqual(locationHeading(90), 90);
+  assertEqual(locationHeading(0), 0);
+  assertEqual(locationHeading(-90), 270);
+  assertEqual(locationHeading(360), 0);
+  assertEqual(locationHeading(NaN), null);
+  assertEqual(locationHeading(null), null);
+  assertEqual(locationHeading(undefined), null);
+});
+
 // ===== GROUP PLACES BY CATEGORY TESTS =====
 
 console.log('\n--- groupPlacesByCategory ---');
@@ -319,6 +600,83 @@ test('groups places correctly', () => {
   assertEqual(result['Food & Drink'].length, 3);
 });
 
+// ===== PLACE LINK TESTS =====
+
+console.log('\n--- findPlaceBySlug ---');
+
+const linkedPlaces = [
+  { id: 'a1', properties: { name: 'Heart Roasters', slug: 'heart-roasters', previousSlugs: ['heart'] } },
+  { id: 'b2', properties: { name: 'Heart', slug: 'heart-pearl', previousSlugs: [] } },
+  { id: 'c3', properties: { name: 'Stumptown Coffee' } }
+];
+
+test('finds a place by its slug', () => {
+  assertEqual(findPlaceBySlug(linkedPlaces, 'heart-pearl').id, 'b2');
+});
+
+test('finds a renamed place by an old slug', () => {
+  assertEqual(findPlaceBySlug(linkedPlaces, 'heart').id, 'a1');
+});
+
+test('falls back to the slugified name', () => {
+  assertEqual(findPlaceBySlug(linkedPlaces, 'stumptown-coffee').id, 'c3');
+});
+
+test('returns null for unknown slugs', () => {
+  assertEqual(findPlaceBySlug(linkedPlaces, 'nowhere'), null);
+});
+
+console.log('\n--- ensurePlaceIds ---');
+
+test('fills ids and slugs missing from older data', () => {
+  const places = ensurePlaceIds([
+    { properties: { name: 'Powell\'s Books' } },
+    { id: 'x', properties: { name: 'Heart', slug: 'heart-2' } }
+  ]);
+  assertEqual(places[0].id, 'place-0');
+  assertEqual(places[0].properties.slug, 'powells-books');
+  assertEqual(places[1].id, 'x');
+  assertEqual(places[1].properties.slug, 'heart-2');
+});
+
+// ===== CATEGORY METADATA TESTS =====
+
+console.log('\n--- getCategoryNames ---');
+
+test('uses the generator order and drops empty categories', () => {
+  const data = {
+    categories: [{ name: 'Food & Drink' }, { name: 'Clothing' }, { name: 'Bookstores' }],
+    features: mockPlaces
+  };
+  assertDeepEqual(getCategoryNames(data), ['Food & Drink', 'Bookstores']);
+});
+
+test('uses category counts from a chunk index', () => {
+  const index = { categories: [{ name: 'Food & Drink', count: 3 }, { name: 'Clothing', count: 0 }, { name: 'Bookstores', count: 1 }] };
+  assertDeepEqual(getCategoryNames(index), ['Food & Drink', 'Bookstores']);
+});
+
+test('falls back to sorted feature categories', () => {
+  assertDeepEqual(getCategoryNames({ features: mockPlaces }), ['Bookstores', 'Food & Drink']);
+});
+
+console.log('\n--- registerCategories ---');
+
+test('category metadata overrides the fallback icons', () => {
+  registerCategories([{ name: 'Bookstores', icon: 'fa-book-open', color: '#8a5a44' }, { name: 'Zines', icon: null, color: null }]);
+  assertEqual(getCategoryIcon('Bookstores'), 'fa-book-open');
+  assertEqual(getPlaceIcon('Bookstores', null), 'fa-book-open');
+  assertEqual(getCategoryColor('Bookstores'), '#8a5a44');
+  assertEqual(getCategoryIcon('Zines'), 'fa-location-dot');
+  assertEqual(getCategoryColor('Zines'), null);
+});
+
+test('re-registering replaces earlier metadata', () => {
+  registerCategories(undefined);
+  assertEqual(getCategoryIcon('Bookstores'), 'fa-book');
+  assertEqual(getCategoryColor('Bookstores'), null);
+});
+
 // ===== FORMAT WEBSITE DISPLAY TESTS =====
 
 console.log('\n--- formatWebsiteDisplay ---');
@@ -453,6 +811,302 @@ test('returns unknown for null hours', () => {
   assertEqual(result.isOpen, false);
 });
 
+// Instants are written with their Portland UTC offset (-08:00 standard,
+// -07:00 daylight time) so results don't depend on the machine's timezone
+const pad = n => String(n).padStart(2, '0');
+// Monday 2 March 2026 in Portland
+const monday = (hours, minutes = 0) => new Date(`2026-03-02T${pad(hours)}:${pad(minutes)}:00-08:00`);
+const barHours = {
+  days: [0, 1, 2, 3, 4, 5, 6],
+  periods: [
+    { day: 0, open: 900, close: 60, overnight: true },  // Sunday 3 PM - 1 AM
+    { day: 1, open: 960, close: 1320, overnight: false } // Monday 4 PM - 10 PM
+  ]
+};
+
+test('is open within a period', () => {
+  const result = getOpenStatus(barHours, monday(17));
+  assertEqual(result.status, 'open');
+  assertEqual(result.closesAt, '10:00 PM');
+});
+
+test('is closing soon near the end of a period', () => {
+  const result = getOpenStatus(barHours, monday(21, 30));
+  assertEqual(result.status, 'closing-soon');
+  assertEqual(result.minutesUntilClose, 30);
+});
+
+test('stays open past midnight from the day before', () => {
+  const result = getOpenStatus(barHours, monday(0, 30));
+  assertEqual(result.status, 'closing-soon');
+  assertEqual(result.closesAt, '1:00 AM');
+});
+
+test('reports the next opening when closed', () => {
+  const result = getOpenStatus(barHours, monday(12));
+  assertEqual(result.status, 'closed');
+  assertEqual(result.opensAt, 'today at 4:00 PM');
+  assertEqual(getOpenStatus(barHours, monday(23)).opensAt, 'Sunday at 3:00 PM');
+});
+
+test('is unknown on days without hours', () => {
+  const result = getOpenStatus({ days: [2], periods: [{ day: 2, open: 540, close: 1020, overnight: false }] }, monday(12));
+  assertEqual(result.status, 'unknown');
+});
+
+test('is never closing soon when open around the clock', () => {
+  const allDay = [0, 1, 2, 3, 4, 5, 6];
+  const result = getOpenStatus({ days: allDay, periods: allDay.map(day => ({ day, open: 0, close: 1440, overnight: false })) }, monday(23, 50));
+  assertEqual(result.status, 'open');
+  assertEqual(result.isClosingSoon, false);
+});
+
+test('counts the next day\'s hours when closing at midnight', () => {
+  const hours = {
+    days: [1, 2],
+    periods: [{ day: 1, open: 1080, close: 1440, overnight: false }, { day: 2, open: 0, close: 120, overnight: false }]
+  };
+  const result = getOpenStatus(hours, monday(23, 30));
+  assertEqual(result.status, 'open');
+  assertEqual(result.minutesUntilClose, 150);
+  assertEqual(result.closesAt, '2:00 AM');
+});
+
+test('follows special hours on their date', () => {
+  const thanksgiving = new Date('2026-11-26T17:00:00-08:00'); // a Thursday
+  const hours = {
+    days: [4],
+    periods: [{ day: 4, open: 960, close: 1320, overnight: false }],
+    special: [{ date: '2026-11-26', label: 'Thanksgiving', hours: 'Closed', periods: [] }]
+  };
+  const result = getOpenStatus(hours, thanksgiving);
+  assertEqual(result.status, 'closed');
+  assertEqual(result.notice, 'Closed for Thanksgiving today');
+  assertEqual(result.opensAt, 'Thursday at 4:00 PM');
+  assertEqual(getOpenStatus(hours, new Date('2026-11-19T17:00:00-08:00')).status, 'open');
+});
+
+test('uses seasonal hours inside the season', () => {
+  const hours = {
+    days: [1],
+    periods: [{ day: 1, open: 960, close: 1320, overnight: false }],
+    seasons: [{ from: '12-15', to: '01-15', label: 'Holiday', hours: ['Monday: Closed'], days: [1], periods: [] }]
+  };
+  const winter = getOpenStatus(hours, new Date('2026-01-05T17:00:00-08:00')); // a Monday
+  assertEqual(winter.status, 'closed');
+  assertEqual(winter.notice, 'Holiday hours');
+  assertEqual(getOpenStatus(hours, monday(17)).status, 'open');
+});
+
+test('is closed with a notice until a temporary closure ends', () => {
+  const hours = { ...barHours, closedUntil: '2026-03-04', closedReason: 'renovation' };
+  const result = getOpenStatus(hours, monday(17));
+  assertEqual(result.status, 'closed');
+  assertEqual(result.notice, 'Closed for renovation until Mar 4');
+  assertEqual(getOpenStatus({ ...hours, closedReason: null }, monday(17)).notice, 'Temporarily closed until Mar 4');
+  assertEqual(getOpenStatus(hours, new Date('2026-03-09T17:00:00-07:00')).status, 'open');
+});
+
+// Saturday 8 PM - 4 AM, Sunday 9 AM - 5 PM. In 2026 Portland springs
+// forward on Sunday 8 March and falls back on Sunday 1 November.
+const weekendHours = {
+  days: [0, 6],
+  periods: [
+    { day: 0, open: 540, close: 1020, overnight: false },
+    { day: 6, open: 1200, close: 240, overnight: true }
+  ]
+};
+
+test('counts real minutes to close across spring forward', () => {
+  const result = getOpenStatus(weekendHours, new Date('2026-03-07T23:00:00-08:00'));
+  assertEqual(result.status, 'open');
+  assertEqual(result.closesAt, '4:00 AM');
+  // 11 PM to 4 AM is five hours on the clock but four in fact
+  assertEqual(result.minutesUntilClose, 240);
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-03-08T03:30:00-07:00')).minutesUntilClose, 30);
+});
+
+test('counts real minutes to close across fall back', () => {
+  const result = getOpenStatus(weekendHours, new Date('2026-10-31T23:00:00-07:00'));
+  assertEqual(result.minutesUntilClose, 360);
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-11-01T03:30:00-08:00')).status, 'closing-soon');
+});
+
+test('reads hours on the wall clock after a DST change', () => {
+  // 9:30 AM daylight time would be 8:30 AM on the old offset
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-03-08T09:30:00-07:00')).status, 'open');
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-03-08T08:30:00-07:00')).opensAt, 'today at 9:00 AM');
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-11-01T09:30:00-08:00')).status, 'open');
+  assertEqual(getOpenStatus(weekendHours, new Date('2026-11-01T16:45:00-08:00')).minutesUntilClose, 15);
+});
+
+test('gives the same answer wherever the viewer is', () => {
+  const saturdayNight = new Date('2026-03-07T23:00:00-08:00'); // already Sunday in UTC and Tokyo
+  const originalTZ = process.env.TZ;
+  const results = ['UTC', 'Asia/Tokyo', 'America/New_York'].map(tz => {
+    process.env.TZ = tz;
+    const { status, closesAt, minutesUntilClose } = getOpenStatus(weekendHours, saturdayNight);
+    return `${status} ${closesAt} ${minutesUntilClose}`;
+  });
+  if (originalTZ === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTZ;
+  assertEqual(new Set(results).size, 1, results.join(' / '));
+  assertEqual(results[0], 'open 4:00 AM 240');
+});
+
+test('uses the dataset timezone when set', () => {
+  // Noon in Portland is 3 PM in New York, before the Sunday close there
+  const sundayNoon = new Date('2026-03-15T12:00:00-07:00');
+  assertEqual(getOpenStatus(weekendHours, sundayNoon, 'America/New_York').minutesUntilClose, 120);
+  setTimeZone('America/New_York');
+  try {
+    assertEqual(getOpenStatus(weekendHours, sundayNoon).minutesUntilClose, 120);
+  } finally {
+    setTimeZone(undefined);
+  }
+  assertEqual(getOpenStatus(weekendHours, sundayNoon).minutesUntilClose, 300);
+});
+
+console.log('\n--- getZonedTime ---');
+
+test('reads the date, weekday and time in Portland', () => {
+  const zoned = getZonedTime(new Date('2026-03-08T07:30:00Z'));
+  assertEqual(zoned.dateKey, '2026-03-07');
+  assertEqual(zoned.day, 6);
+  assertEqual(zoned.minutes, 23 * 60 + 30);
+  assertEqual(getZonedTime(new Date('2026-03-08T07:30:00Z'), 'UTC').dateKey, '2026-03-08');
+});
+
+test('finds the instant of a wall-clock time', () => {
+  assertEqual(new Date(getZonedInstant('2026-03-02', 540)).toISOString(), '2026-03-02T17:00:00.000Z');
+  assertEqual(new Date(getZonedInstant('2026-07-01', 540)).toISOString(), '2026-07-01T16:00:00.000Z');
+  // The hour skipped by spring forward lands an hour early
+  assertEqual(new Date(getZonedInstant('2026-03-08', 150)).toISOString(), '2026-03-08T09:30:00.000Z');
+});
+
+console.log('\n--- getNextOccurrence ---');
+
+test('finds the next such day and time in Portland', () => {
+  const now = new Date('2026-03-02T12:00:00-08:00'); // a Monday
+  assertEqual(getNextOccurrence(5, 1380, now).toISOString(), '2026-03-07T07:00:00.000Z');
+  assertEqual(getNextOccurrence(1, 720, now).getTime(), now.getTime());
+  // Earlier today means next week
+  assertEqual(getNextOccurrence(1, 600, now).toISOString(), '2026-03-09T17:00:00.000Z');
+});
+
+test('uses the offset in effect on that day', () => {
+  const now = new Date('2026-03-02T12:00:00-08:00');
+  assertEqual(getNextOccurrence(0, 420, now).toISOString(), '2026-03-08T14:00:00.000Z');
+});
+
+console.log('\n--- isOpenFor ---');
+
+test('requires the minimum time before closing', () => {
+  assert(isOpenFor({ isOpen: true, minutesUntilClose: 60 }, 60));
+  assert(!isOpenFor({ isOpen: true, minutesUntilClose: 59 }, 60));
+  assert(isOpenFor({ isOpen: true, minutesUntilClose: 5 }));
+  assert(!isOpenFor({ isOpen: false }, 0));
+});
+
+test('counts places that never close', () => {
+  assert(isOpenFor({ isOpen: true }, 600));
+});
+
+console.log('\n--- itinerary ---');
+
+// Monday hours: a cafe 7 AM - noon, a record shop 11 AM - 7 PM, lunch
+// 11:30 AM - 2 PM
+const mondayOnly = (open, close) => ({ days: [1], periods: [{ day: 1, open, close, overnight: false }] });
+const tripStop = (name, openingHours) => ({ properties: { name, openingHours } });
+const recordShop = tripStop('Record Shop', mondayOnly(660, 1140));
+const lunchSpot = tripStop('Lunch Spot', mondayOnly(690, 840));
+const morningCafe = tripStop('Morning Cafe', mondayOnly(420, 720));
+// 800 m legs: 10 minutes on foot, plus 30 at each stop
+const evenMatrix = count => Array.from({ length: count }, (_, i) => Array.from({ length: count }, (_, j) => (i === j ? 0 : 800)));
+const itinerary = start => ({ start, metersPerMinute: 80, stayMinutes: 30 });
+
+test('times arrivals and flags stops closed or closing soon then', () => {
+  const plan = planItinerary([recordShop, lunchSpot, morningCafe, tripStop('No Hours')], [800, 800, 800], itinerary(monday(10)));
+  assertEqual(plan.map(stop => stop.arrival.toISOString()).join(), [monday(10), monday(10, 40), monday(11, 20), monday(12)].map(d => d.toISOString()).join());
+  assertEqual(plan.map(stop => stop.problem).join(), 'closed,closed,closing-soon,');
+  assertEqual(plan[2].open.minutesUntilClose, 40);
+  assertEqual(plan[3].open.status, 'unknown');
+});
+
+test('passes a plan with every stop open', () => {
+  const plan = planItinerary([morningCafe, recordShop, lunchSpot], [800, 800], itinerary(monday(10, 40)));
+  assert(plan.every(stop => stop.problem === null), plan.map(stop => stop.problem).join());
+});
+
+test('suggests an order keeping every stop open', () => {
+  const order = suggestOpenOrder([recordShop, lunchSpot, morningCafe], evenMatrix(3), itinerary(monday(10, 40)));
+  assertEqual(order.join(), '2,0,1');
+});
+
+test('suggests nothing when no order works', () => {
+  assertEqual(suggestOpenOrder([recordShop, lunchSpot, morningCafe], evenMatrix(3), itinerary(monday(15))), null);
+});
+
+test('suggests the shortest order that works', () => {
+  const allDay = [0, 1, 2, 3, 4, 5, 6];
+  const open24 = { days: allDay, periods: allDay.map(day => ({ day, open: 0, close: 1440, overnight: false })) };
+  const stops = ['A', 'B', 'C'].map(name => tripStop(name, open24));
+  const positions = [30, 0, 10];
+  const matrix = positions.map(a => positions.map(b => Math.abs(a - b)));
+  const order = suggestOpenOrder(stops, matrix, itinerary(monday(12))).join();
+  assert(order === '1,2,0' || order === '0,2,1', order);
+});
+
+console.log('\n--- formatOpenFilter ---');
+
+test('labels the open filter', () => {
+  assertEqual(formatOpenFilter({ openNow: true }), 'Open Now');
+  assertEqual(formatOpenFilter({ openNow: true, openFor: 90 }), 'Open Now for 1 hr 30 min+');
+  assertEqual(formatOpenFilter({ openAt: { day: 5, minutes: 1380 }, openFor: 30 }), 'Open Fri 11:00 PM for 30 min+');
+  assertEqual(formatOpenFilter({ openNow: false, openAt: null }), null);
+});
+
+console.log('\n--- formatDistance ---');
+
+test('shows miles, or feet under a tenth of a mile', () => {
+  assertEqual(formatDistance(640), '0.4 mi');
+  assertEqual(formatDistance(2414), '1.5 mi');
+  assertEqual(formatDistance(24140), '15 mi');
+  assertEqual(formatDistance(120), '400 ft');
+  assertEqual(formatDistance(3), '50 ft');
+});
+
+test('formats travel times', () => {
+  assertEqual(formatDuration(7), '7 min');
+  assertEqual(formatDuration(60), '1 hr');
+  assertEqual(formatDuration(125), '2 hr 5 min');
+  assertEqual(formatDuration(0), '0 min');
+});
+
+test('labels the radius filter', () => {
+  assertEqual(formatRadiusFilter({ radius: 0.5 }), 'Within 0.5 mi');
+  assertEqual(formatRadiusFilter({ radius: 0 }), null);
+});
+
+console.log('\n--- hoursFromDisplay ---');
+
+test('converts display strings from older data', () => {
+  const { days, periods } = hoursFromDisplay(['Monday: 9:00 AM – 5:00 PM', 'Friday: 3:00 PM – 1:00 AM', 'Sunday: Closed']);
+  assertEqual(days.join(','), '0,1,5');
+  assertEqual(periods.length, 2);
+  assertEqual(periods[1].overnight, true);
+});
+
+test('ensureOpeningHours keeps generated hours', () => {
+  const generated = { days: [1], periods: [] };
+  const places = ensureOpeningHours([
+    { properties: { hours: ['Monday: Open 24 hours'] } },
+    { properties: { hours: [], openingHours: generated } }
+  ]);
+  assertEqual(places[0].properties.openingHours.periods[0].close, 1440);
+  assertEqual(places[1].properties.openingHours, generated);
+});
+
 // ===== SEARCH PLACES TESTS =====
 
 // Extended mock data with searchable fields (including notes for Fuse.js)
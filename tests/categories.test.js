@@ -0,0 +1,121 @@
+/**
+ * Tests for vault category discovery (lib/categories.mjs)
+ * Run with: node tests/categories.test.js
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { discoverCategories, createCategory, compareCategories } from '../lib/categories.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// ===== FIXTURES =====
+
+const vault = mkdtempSync(join(tmpdir(), 'categories-test-'));
+
+for (const folder of ['Food & Drink', 'Bookstores', 'Record Shops', 'Clothing', '.obsidian', '_templates']) {
+  mkdirSync(join(vault, folder));
+}
+writeFileSync(join(vault, 'Welcome.md'), '# Not a category\n');
+writeFileSync(join(vault, 'Bookstores', '_category.md'), '---\nname: Books\nicon: fa-book-open\ncolor: "#8a5a44"\norder: 2\n---\n');
+writeFileSync(join(vault, 'Food & Drink', '_category.md'), '---\norder: 1\n---\n');
+writeFileSync(join(vault, 'Record Shops', '_category.md'), '---\nname: Records\nicon: vinyl\n---\n');
+writeFileSync(join(vault, 'Clothing', '_category.md'), '---\nname: [unclosed\n---\n');
+
+// ===== DISCOVERY =====
+
+console.log('\n--- discoverCategories ---');
+
+const categories = await discoverCategories(vault);
+const byFolder = Object.fromEntries(categories.map(c => [c.folder, c]));
+
+await test('finds every folder except hidden and underscored ones', async () => {
+  assertEqual(categories.map(c => c.folder).sort().join(','), 'Bookstores,Clothing,Food & Drink,Record Shops');
+});
+
+await test('reads metadata from _category.md', async () => {
+  const books = byFolder['Bookstores'];
+  assertEqual(books.name, 'Books');
+  assertEqual(books.icon, 'fa-book-open');
+  assertEqual(books.color, '#8a5a44');
+  assertEqual(books.order, 2);
+});
+
+await test('defaults to the folder name', async () => {
+  const food = byFolder['Food & Drink'];
+  assertEqual(food.name, 'Food & Drink');
+  assertEqual(food.icon, null);
+});
+
+await test('ignores metadata with errors and reports them', async () => {
+  const records = byFolder['Record Shops'];
+  assertEqual(records.name, 'Record Shops');
+  assertEqual(records.icon, null);
+  assertEqual(records.issues[0].field, 'icon');
+  assertEqual(records.file, join('Record Shops', '_category.md'));
+});
+
+await test('reports unparseable _category.md files', async () => {
+  const clothing = byFolder['Clothing'];
+  assertEqual(clothing.name, 'Clothing');
+  assertEqual(clothing.issues.length, 1);
+  assertEqual(clothing.issues[0].severity, 'error');
+});
+
+await test('sorts by order, then name', async () => {
+  assertEqual(categories.map(c => c.name).join(','), 'Food & Drink,Books,Clothing,Record Shops');
+});
+
+await test('returns nothing for a missing vault', async () => {
+  assertEqual((await discoverCategories(join(vault, 'missing'))).length, 0);
+});
+
+// ===== HELPERS =====
+
+console.log('\n--- createCategory / compareCategories ---');
+
+await test('createCategory ignores a non-numeric order', async () => {
+  assertEqual(createCategory('Supplies', { order: 'first' }).order, null);
+});
+
+await test('unordered categories sort after ordered ones', async () => {
+  const list = [createCategory('B'), createCategory('A'), createCategory('Z', { order: 5 })];
+  assert(list.sort(compareCategories).map(c => c.name).join(',') === 'Z,A,B');
+});
+
+// ===== CLEANUP & SUMMARY =====
+
+rmSync(vault, { recursive: true, force: true });
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,178 @@
+/**
+ * Tests for the places changelog (lib/changelog.mjs)
+ * Run with: node tests/changelog.test.js
+ */
+
+import { diffPlaces, countChanges, formatChangelog, summarizeChanges } from '../lib/changelog.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (id, name, overrides = {}, coordinates = [-122.6819, 45.5231]) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates },
+  properties: { name, category: 'Food & Drink', status: 'queue', hours: [], slug: id, ...overrides }
+});
+
+const collection = (features, categories = []) => ({ type: 'FeatureCollection', categories, features });
+
+// ===== DIFF =====
+
+console.log('\n--- diffPlaces ---');
+
+test('reports added and removed places by id', () => {
+  const changes = diffPlaces(
+    collection([place('a', 'Heart'), place('b', 'Stumptown')]),
+    collection([place('a', 'Heart'), place('c', 'Coava')])
+  );
+  assertEqual(changes.added.map(f => f.id).join(','), 'c');
+  assertEqual(changes.removed.map(f => f.id).join(','), 'b');
+});
+
+test('a renamed place is an edit, not a removal', () => {
+  const changes = diffPlaces(collection([place('a', 'Heart')]), collection([place('a', 'Heart Roasters', { slug: 'heart-roasters' })]));
+  assertEqual(changes.added.length + changes.removed.length, 0);
+  assertEqual(changes.edited[0].fields.join(','), 'name');
+});
+
+test('reports moves beyond the threshold only', () => {
+  const before = collection([place('a', 'Heart'), place('b', 'Coava')]);
+  const after = collection([
+    place('a', 'Heart', {}, [-122.6819, 45.5241]),
+    place('b', 'Coava', {}, [-122.6819, 45.52311])
+  ]);
+  const changes = diffPlaces(before, after, { moveThreshold: 50 });
+  assertEqual(changes.moved.length, 1);
+  assertEqual(changes.moved[0].feature.id, 'a');
+  assert(Math.round(changes.moved[0].meters) === 111);
+});
+
+test('reports status changes separately from edits', () => {
+  const changes = diffPlaces(collection([place('a', 'Heart')]), collection([place('a', 'Heart', { status: 'haunts' })]));
+  assertEqual(changes.status[0].from, 'queue');
+  assertEqual(changes.status[0].to, 'haunts');
+  assertEqual(changes.edited.length, 0);
+});
+
+test('ignores slug and geocoder changes', () => {
+  const changes = diffPlaces(
+    collection([place('a', 'Heart', { geocoder: 'google' })]),
+    collection([place('a', 'Heart', { geocoder: 'manual', slug: 'heart-2', previousSlugs: ['a'] })])
+  );
+  assertEqual(countChanges(changes), 0);
+});
+
+test('lists edited fields, treating missing as null', () => {
+  const changes = diffPlaces(
+    collection([place('a', 'Heart', { website: null })]),
+    collection([place('a', 'Heart', { hours: ['Monday: 9 AM – 5 PM'], notes: 'Great pour-over' })])
+  );
+  assertEqual(changes.edited[0].fields.join(','), 'hours,notes');
+});
+
+test('counts hours exceptions but not periods repeating hours', () => {
+  const week = { days: [1], periods: [{ day: 1, open: 540, close: 1020, overnight: false }] };
+  const unchanged = diffPlaces(
+    collection([place('a', 'Heart', { hours: ['Monday: 9:00 AM – 5:00 PM'] })]),
+    collection([place('a', 'Heart', { hours: ['Monday: 9:00 AM – 5:00 PM'], openingHours: week })])
+  );
+  assertEqual(countChanges(unchanged), 0);
+
+  const closed = diffPlaces(
+    collection([place('a', 'Heart', { openingHours: week })]),
+    collection([place('a', 'Heart', { openingHours: { ...week, closedUntil: '2026-12-01', closedReason: null } })])
+  );
+  assertEqual(closed.edited[0].fields.join(','), 'openingHours');
+});
+
+test('matches files generated before ids by name', () => {
+  const legacy = place(undefined, 'Heart');
+  delete legacy.id;
+  const changes = diffPlaces(collection([legacy]), collection([place('a', 'Heart')]));
+  assertEqual(countChanges(changes), 0);
+});
+
+test('treats a missing previous file as everything added', () => {
+  const changes = diffPlaces(null, collection([place('a', 'Heart')]));
+  assertEqual(changes.added.length, 1);
+});
+
+test('reports category metadata changes', () => {
+  const changes = diffPlaces(
+    collection([], [{ name: 'Bookstores', icon: 'fa-book', color: null, order: 1, count: 2 }]),
+    collection([], [{ name: 'Bookstores', icon: 'fa-book-open', color: null, order: 1, count: 3 }])
+  );
+  assertEqual(changes.categories.join(','), 'Bookstores');
+});
+
+// ===== FORMAT =====
+
+console.log('\n--- formatChangelog ---');
+
+test('is empty when nothing changed', () => {
+  const features = [place('a', 'Heart')];
+  assertEqual(formatChangelog(diffPlaces(collection(features), collection(features))), '');
+});
+
+test('counts each place once and lists sections', () => {
+  const text = formatChangelog(diffPlaces(
+    collection([place('a', 'Heart'), place('b', 'Coava')]),
+    collection([place('a', 'Heart', { status: 'haunts', website: 'https://heartroasters.com' }), place('c', 'Stumptown')])
+  ));
+  const lines = text.split('\n');
+  assertEqual(lines[0], '3 changes');
+  assert(text.includes('Added (1):\n  + Stumptown (Food & Drink)'));
+  assert(text.includes('Removed (1):\n  - Coava (Food & Drink)'));
+  assert(text.includes('  * Heart (Food & Drink): queue -> haunts'));
+  assert(text.includes('  * Heart (Food & Drink): website'));
+  assert(!text.includes('Moved'));
+});
+
+console.log('\n--- summarizeChanges ---');
+
+test('counts each kind of change on one line', () => {
+  const changes = diffPlaces(
+    collection([place('a', 'Heart'), place('b', 'Coava')]),
+    collection([place('a', 'Heart', { status: 'haunts', website: 'https://heartroasters.com' }), place('c', 'Stumptown')])
+  );
+  assertEqual(summarizeChanges(changes), '1 added, 1 removed, 1 changed status, 1 edited');
+});
+
+test('is empty when nothing changed', () => {
+  const features = [place('a', 'Heart')];
+  assertEqual(summarizeChanges(diffPlaces(collection(features), collection(features))), '');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
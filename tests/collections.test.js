@@ -0,0 +1,169 @@
+/**
+ * Tests for collections.json parsing (lib/collections.mjs)
+ * Run with: node tests/collections.test.js
+ */
+
+import { COLLECTION_INDEX_VERSION, isCollectionId, parseCollections, buildCollectionIndex, CollectionError } from '../lib/collections.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// Expect parseCollections to throw a CollectionError mentioning `text`
+function assertRejects(config, text) {
+  try {
+    parseCollections(config, { baseDir: '/repo', home: '/home/me' });
+  } catch (err) {
+    assert(err instanceof CollectionError, `Expected a CollectionError, got ${err.name}`);
+    assert(err.message.includes(text), err.message);
+    return;
+  }
+  throw new Error('Expected an error');
+}
+
+const options = { baseDir: '/repo', home: '/home/me' };
+
+const portland = {
+  id: 'portland',
+  name: 'Portland',
+  dir: '~/Brain/Portland Places',
+  center: [45.52, -122.67],
+  zoom: 13,
+  timezone: 'America/Los_Angeles'
+};
+
+// ===== PARSING =====
+
+console.log('\n--- parseCollections ---');
+
+test('reads every field', () => {
+  const [collection] = parseCollections([portland], options);
+  assertEqual(collection.id, 'portland');
+  assertEqual(collection.name, 'Portland');
+  assertEqual(collection.dir, '/home/me/Brain/Portland Places');
+  assertEqual(collection.center.join(','), '45.52,-122.67');
+  assertEqual(collection.zoom, 13);
+  assertEqual(collection.timezone, 'America/Los_Angeles');
+});
+
+test('fills in defaults', () => {
+  const [collection] = parseCollections([{ id: 'nyc', name: 'New York', dir: 'vaults/nyc' }], { ...options, timezone: 'America/New_York' });
+  assertEqual(collection.center, null);
+  assertEqual(collection.zoom, 12);
+  assertEqual(collection.timezone, 'America/New_York');
+  assertEqual(collection.neighborhoods, null);
+});
+
+test('resolves folders against the config file', () => {
+  const collections = parseCollections([
+    { id: 'a', name: 'A', dir: 'vaults/a' },
+    { id: 'b', name: 'B', dir: '/srv/b' }
+  ], options);
+  assertEqual(collections[0].dir, '/repo/vaults/a');
+  assertEqual(collections[1].dir, '/srv/b');
+});
+
+test('resolves a boundaries file like a folder', () => {
+  const collections = parseCollections([
+    { ...portland, neighborhoods: 'boundaries/portland.geojson' },
+    { id: 'b', name: 'B', dir: 'b', neighborhoods: '~/maps/b.geojson' }
+  ], options);
+  assertEqual(collections[0].neighborhoods, '/repo/boundaries/portland.geojson');
+  assertEqual(collections[1].neighborhoods, '/home/me/maps/b.geojson');
+  assertRejects([{ ...portland, neighborhoods: '' }], 'neighborhoods must be the path of a GeoJSON file');
+});
+
+test('keeps the configured order', () => {
+  const collections = parseCollections([
+    { id: 'seattle', name: 'Seattle', dir: 's' },
+    portland
+  ], options);
+  assertEqual(collections.map(c => c.id).join(','), 'seattle,portland');
+});
+
+test('rejects anything but a list', () => {
+  assertRejects({ portland }, 'expected a list');
+  assertRejects([], 'expected a list');
+});
+
+test('rejects ids that cannot go in a URL', () => {
+  assertRejects([{ ...portland, id: 'Portland' }], 'collection #1: id must be');
+  assertRejects([{ ...portland, id: 'new york' }], 'id must be');
+  assertRejects([{ ...portland, id: undefined }], 'id must be');
+});
+
+test('accepts only ids safe as folder names', () => {
+  assert(isCollectionId('new-york'));
+  for (const id of ['..', '../places', 'a/b', '-a', 'A', '', null]) assert(!isCollectionId(id), String(id));
+});
+
+test('rejects repeated ids', () => {
+  assertRejects([portland, { ...portland, name: 'Again' }], 'collection portland: id is used more than once');
+});
+
+test('requires a name and folder', () => {
+  assertRejects([{ ...portland, name: ' ' }], 'collection portland: name is required');
+  assertRejects([{ ...portland, dir: undefined }], 'dir is required');
+});
+
+test('rejects a bad view', () => {
+  assertRejects([{ ...portland, center: [-122.67, 45.52, 0] }], 'center must be');
+  assertRejects([{ ...portland, center: [200, 0] }], 'center must be');
+  assertRejects([{ ...portland, zoom: 12.5 }], 'zoom must be');
+});
+
+test('rejects unknown timezones', () => {
+  assertRejects([{ ...portland, timezone: 'Portland' }], 'timezone "Portland" is not a known timezone');
+});
+
+test('rejects unknown fields', () => {
+  assertRejects([{ ...portland, centre: [45.52, -122.67] }], 'unknown field centre');
+});
+
+// ===== INDEX =====
+
+console.log('\n--- buildCollectionIndex ---');
+
+test('lists collections with their counts for the map', () => {
+  const collections = parseCollections([portland, { id: 'seattle', name: 'Seattle', dir: 's' }], options);
+  const index = buildCollectionIndex(collections.map((c, i) => ({ ...c, count: i + 1 })));
+  assertEqual(index.version, COLLECTION_INDEX_VERSION);
+  assertEqual(index.collections.length, 2);
+  assertEqual(JSON.stringify(index.collections[0]), JSON.stringify({
+    id: 'portland', name: 'Portland', center: [45.52, -122.67], zoom: 13, timezone: 'America/Los_Angeles', count: 1
+  }));
+  assert(!('dir' in index.collections[1]), 'leaves out local folders');
+  assert(!('neighborhoods' in index.collections[0]), 'leaves out local files');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,197 @@
+/**
+ * Tests for async pipeline helpers (lib/concurrency.mjs)
+ * Run with: node tests/concurrency.test.js
+ */
+
+import {
+  isTransientError,
+  mapWithConcurrency,
+  createRateLimiter,
+  withRetries
+} from '../lib/concurrency.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// ===== TRANSIENT ERRORS =====
+
+console.log('\n--- isTransientError ---');
+
+await test('treats timeouts and dropped connections as transient', async () => {
+  assert(isTransientError(Object.assign(new Error('x'), { name: 'TimeoutError' })));
+  assert(isTransientError(Object.assign(new Error('x'), { code: 'ECONNRESET' })));
+  assert(isTransientError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })));
+});
+
+await test('treats HTTP 429 and 5xx as transient, 4xx as permanent', async () => {
+  assert(isTransientError({ status: 429 }));
+  assert(isTransientError({ status: 503 }));
+  assert(!isTransientError({ status: 404 }));
+});
+
+await test('respects an explicit transient flag', async () => {
+  assert(!isTransientError({ status: 503, transient: false }));
+  assert(isTransientError({ transient: true }));
+  assert(!isTransientError(new Error('bad place id')));
+});
+
+// ===== CONCURRENCY =====
+
+console.log('\n--- mapWithConcurrency ---');
+
+await test('never runs more than the limit at once', async () => {
+  let active = 0;
+  let peak = 0;
+  await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await tick();
+    active--;
+  });
+  assertEqual(peak, 3);
+});
+
+await test('returns settled results in input order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, i) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    if (i === 1) throw new Error('boom');
+    return ms * 2;
+  });
+  assertEqual(results.map(r => r.status).join(','), 'fulfilled,rejected,fulfilled');
+  assertEqual(results[0].value, 60);
+  assertEqual(results[1].reason.message, 'boom');
+  assertEqual(results[2].value, 40);
+});
+
+await test('handles an empty list', async () => {
+  assertEqual((await mapWithConcurrency([], 4, async x => x)).length, 0);
+});
+
+// ===== RATE LIMITER =====
+
+console.log('\n--- createRateLimiter ---');
+
+await test('spaces calls evenly at the given rate', async () => {
+  let clock = 1000;
+  const waits = [];
+  const acquire = createRateLimiter(4, {
+    now: () => clock,
+    sleep: async ms => waits.push(ms)
+  });
+  await Promise.all([acquire(), acquire(), acquire()]);
+  assertEqual(waits.join(','), '250,500');
+});
+
+await test('does not wait after an idle period', async () => {
+  let clock = 0;
+  const waits = [];
+  const acquire = createRateLimiter(2, { now: () => clock, sleep: async ms => waits.push(ms) });
+  await acquire();
+  clock = 5000;
+  await acquire();
+  assertEqual(waits.length, 0);
+});
+
+await test('is a no-op without a rate', async () => {
+  const acquire = createRateLimiter(undefined);
+  await acquire();
+});
+
+// ===== RETRIES =====
+
+console.log('\n--- withRetries ---');
+
+await test('retries transient errors with exponential backoff', async () => {
+  const waits = [];
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('busy'), { status: 503 });
+    return 'ok';
+  }, { baseDelayMs: 100, sleep: async ms => waits.push(ms), random: () => 1 });
+  assertEqual(result, 'ok');
+  assertEqual(calls, 3);
+  assertEqual(waits.join(','), '100,200');
+});
+
+await test('caps the backoff delay', async () => {
+  const waits = [];
+  try {
+    await withRetries(async () => {
+      throw Object.assign(new Error('busy'), { status: 503 });
+    }, { retries: 4, baseDelayMs: 100, maxDelayMs: 300, sleep: async ms => waits.push(ms), random: () => 1 });
+  } catch {
+    // expected
+  }
+  assertEqual(waits.join(','), '100,200,300,300');
+});
+
+await test('gives up after the retry budget and records attempts', async () => {
+  let error = null;
+  try {
+    await withRetries(async () => {
+      throw Object.assign(new Error('busy'), { status: 503 });
+    }, { retries: 2, sleep: async () => {} });
+  } catch (err) {
+    error = err;
+  }
+  assertEqual(error.message, 'busy');
+  assertEqual(error.attempts, 3);
+});
+
+await test('does not retry permanent errors', async () => {
+  let calls = 0;
+  try {
+    await withRetries(async () => {
+      calls++;
+      throw new Error('no such place');
+    }, { sleep: async () => {} });
+  } catch (err) {
+    assertEqual(err.attempts, 1);
+  }
+  assertEqual(calls, 1);
+});
+
+await test('reports each retry', async () => {
+  const seen = [];
+  let calls = 0;
+  await withRetries(async () => {
+    if (calls++ === 0) throw Object.assign(new Error('slow'), { name: 'TimeoutError' });
+  }, { sleep: async () => {}, onRetry: (err, attempt) => seen.push(`${attempt}:${err.message}`) });
+  assertEqual(seen.join(','), '1:slow');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
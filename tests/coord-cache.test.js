@@ -0,0 +1,174 @@
+/**
+ * Tests for the coordinate cache (lib/coord-cache.mjs)
+ * Run with: node tests/coord-cache.test.js
+ */
+
+import {
+  CACHE_VERSION,
+  migrateCache,
+  createCoordinateCache,
+  matchRefreshTargets
+} from '../lib/coord-cache.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+// ===== MIGRATION =====
+
+console.log('\n--- migrateCache ---');
+
+test('starts an empty cache from nothing', () => {
+  const data = migrateCache(null);
+  assertEqual(data.version, CACHE_VERSION);
+  assertEqual(Object.keys(data.entries).length, 0);
+});
+
+test('upgrades the flat version 1 format', () => {
+  const data = migrateCache({ ChIJa: { lat: 45.5, lng: -122.6 }, ChIJb: { lat: 1, lng: 2, provider: 'nominatim' } }, { now: NOW });
+  assertEqual(data.version, CACHE_VERSION);
+  assertEqual(data.entries.ChIJa.provider, 'google');
+  assertEqual(data.entries.ChIJb.provider, 'nominatim');
+  assertEqual(data.entries.ChIJa.fetchedAt, '2026-03-01T12:00:00.000Z');
+});
+
+test('keeps current-version data as is', () => {
+  const entries = { ChIJa: { lat: 1, lng: 2, provider: 'google', fetchedAt: '2026-01-01T00:00:00.000Z' } };
+  assertEqual(migrateCache({ version: CACHE_VERSION, entries }).entries, entries);
+});
+
+test('refuses caches from a newer version', () => {
+  let error = null;
+  try {
+    migrateCache({ version: CACHE_VERSION + 1, entries: {} });
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('Unsupported coordinate cache version'));
+});
+
+// ===== CACHE STORE =====
+
+console.log('\n--- createCoordinateCache ---');
+
+const sample = () => ({
+  version: CACHE_VERSION,
+  entries: {
+    fresh: { lat: 1, lng: 2, provider: 'google', fetchedAt: new Date(NOW - 10 * DAY).toISOString(), details: { rating: 4.5 } },
+    stale: { lat: 3, lng: 4, provider: 'google', fetchedAt: new Date(NOW - 100 * DAY).toISOString() },
+    unknown: { lat: 5, lng: 6, provider: 'google' }
+  }
+});
+
+test('returns fresh entries with their details', () => {
+  const cache = createCoordinateCache(sample(), { ttlDays: 30, now: () => NOW });
+  const hit = cache.get({ place_id: 'fresh' });
+  assertEqual(hit.lat, 1);
+  assertEqual(hit.provider, 'google');
+  assertEqual(hit.details.rating, 4.5);
+});
+
+test('treats expired and undated entries as missing', () => {
+  const cache = createCoordinateCache(sample(), { ttlDays: 30, now: () => NOW });
+  assertEqual(cache.get({ place_id: 'stale' }), null);
+  assertEqual(cache.get({ place_id: 'unknown' }), null);
+  assertEqual(cache.stats.expired, 2);
+});
+
+test('keeps entries forever without a TTL', () => {
+  const cache = createCoordinateCache(sample(), { now: () => NOW });
+  assertEqual(cache.get({ place_id: 'stale' }).lat, 3);
+});
+
+test('skips entries marked for refresh', () => {
+  const cache = createCoordinateCache(sample(), { refresh: ['fresh'], now: () => NOW });
+  assertEqual(cache.get({ place_id: 'fresh' }), null);
+  assertEqual(cache.stats.refreshed, 1);
+});
+
+test('isFresh agrees with get without counting', () => {
+  const cache = createCoordinateCache(sample(), { ttlDays: 30, refresh: ['fresh'], now: () => NOW });
+  assert(!cache.isFresh({ place_id: 'fresh' }), 'refresh targets are not fresh');
+  assert(!cache.isFresh({ place_id: 'stale' }));
+  assert(!cache.isFresh({ place_id: 'missing' }));
+  assertEqual(cache.stats.expired + cache.stats.refreshed, 0);
+  assert(createCoordinateCache(sample(), { now: () => NOW }).isFresh({ place_id: 'stale' }));
+});
+
+test('stamps new entries and keeps their details', () => {
+  const data = sample();
+  const cache = createCoordinateCache(data, { now: () => NOW });
+  cache.set({ place_id: 'new' }, { lat: 7, lng: 8, provider: 'nominatim', details: { osm_id: 1 } });
+  assertEqual(data.entries.new.fetchedAt, '2026-03-01T12:00:00.000Z');
+  assertEqual(data.entries.new.details.osm_id, 1);
+  cache.set({ place_id: 'bare' }, { lat: 7, lng: 8, provider: 'nominatim', details: null });
+  assert(!('details' in data.entries.bare));
+});
+
+test('prunes entries no note uses', () => {
+  const cache = createCoordinateCache(sample());
+  const removed = cache.prune(['fresh', 'other']);
+  assertEqual(removed.join(','), 'stale,unknown');
+  assertEqual(Object.keys(cache.toJSON().entries).join(','), 'fresh');
+});
+
+test('serializes with the format version', () => {
+  const json = JSON.parse(JSON.stringify(createCoordinateCache(sample())));
+  assertEqual(json.version, CACHE_VERSION);
+  assertEqual(json.entries.fresh.lat, 1);
+});
+
+// ===== REFRESH TARGETS =====
+
+console.log('\n--- matchRefreshTargets ---');
+
+const places = [
+  { name: 'Heart Coffee', place_id: 'ChIJheart' },
+  { name: 'Heart Coffee', place_id: 'ChIJheart2' },
+  { name: 'Powell\'s', place_id: 'ChIJpowells' }
+];
+
+test('matches place_ids and names case-insensitively', () => {
+  const { ids, unmatched } = matchRefreshTargets(['ChIJpowells', 'heart coffee'], places);
+  assertEqual(ids.join(','), 'ChIJpowells,ChIJheart,ChIJheart2');
+  assertEqual(unmatched.length, 0);
+});
+
+test('reports targets that match nothing', () => {
+  assertEqual(matchRefreshTargets(['Nowhere'], places).unmatched.join(','), 'Nowhere');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,130 @@
+/**
+ * Tests for details enrichment (lib/enrich.mjs)
+ * Run with: node tests/enrich.test.js
+ */
+
+import { extractDetails, enrichPlace, normalizeHoursLine } from '../lib/enrich.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// Shaped like `goplaces details --json`, including Google's thin and
+// narrow no-break spaces in the hours lines
+const googleDetails = {
+  location: { lat: 45.5231, lng: -122.6814 },
+  address: '1005 W Burnside St, Portland, OR 97209, USA',
+  website: 'https://www.powells.com/',
+  hours: [
+    'Monday: 10:00\u202FAM\u2009–\u20099:00\u202FPM',
+    'Tuesday: 10:00\u202FAM\u2009–\u20099:00\u202FPM'
+  ]
+};
+
+// ===== EXTRACT DETAILS =====
+
+console.log('\n--- extractDetails ---');
+
+test('reads address, website and hours', () => {
+  const found = extractDetails(googleDetails);
+  assertEqual(found.address, '1005 W Burnside St, Portland, OR 97209');
+  assertEqual(found.website, 'https://www.powells.com/');
+  assertEqual(found.hours[0], 'Monday: 10:00 AM – 9:00 PM');
+});
+
+test('reads Places API field names', () => {
+  const found = extractDetails({
+    formattedAddress: '1 Main St, Portland, OR 97201, USA',
+    websiteUri: 'https://example.com',
+    regularOpeningHours: { weekdayDescriptions: ['Monday: Closed'] }
+  });
+  assertEqual(found.address, '1 Main St, Portland, OR 97201');
+  assertEqual(found.website, 'https://example.com');
+  assertEqual(found.hours[0], 'Monday: Closed');
+});
+
+test('ignores missing and malformed fields', () => {
+  const found = extractDetails({ display_name: 'Portland', website: 'not a url', hours: [{ open: 9 }] });
+  assertEqual(Object.keys(found).length, 0);
+  assertEqual(Object.keys(extractDetails(null)).length, 0);
+});
+
+test('normalizeHoursLine evens out spacing and dashes', () => {
+  assertEqual(normalizeHoursLine('Friday: 4:00 PM-2:00 AM'), 'Friday: 4:00 PM – 2:00 AM');
+  assertEqual(normalizeHoursLine({ Monday: '9:00 AM — 5:00 PM' }), 'Monday: 9:00 AM – 5:00 PM');
+});
+
+// ===== ENRICH PLACE =====
+
+console.log('\n--- enrichPlace ---');
+
+test('fills fields the vault leaves empty', () => {
+  const { place, filled, differences } = enrichPlace({ name: 'Powell\'s', hours: [] }, googleDetails);
+  assertEqual(filled.join(','), 'address,website,hours');
+  assertEqual(differences.length, 0);
+  assertEqual(place.address, '1005 W Burnside St, Portland, OR 97209');
+  assertEqual(place.hours.length, 2);
+});
+
+test('keeps vault values that match the provider', () => {
+  const vault = {
+    name: 'Powell\'s',
+    address: '1005 W Burnside St., Portland, OR 97209',
+    website: 'http://powells.com',
+    hours: ['Tuesday: 10:00 AM – 9:00 PM', 'Monday: 10:00 AM – 9:00 PM']
+  };
+  const { place, filled, differences } = enrichPlace(vault, googleDetails);
+  assertEqual(filled.length, 0);
+  assertEqual(differences.length, 0, `unexpected differences: ${differences.join(',')}`);
+  assertEqual(place.address, vault.address);
+});
+
+test('keeps vault values and flags differences', () => {
+  const vault = {
+    name: 'Powell\'s',
+    address: '3723 SE Hawthorne Blvd, Portland, OR 97214',
+    website: 'https://powells.com/hawthorne',
+    hours: ['Monday: 9:00 AM – 5:00 PM']
+  };
+  const { place, differences } = enrichPlace(vault, googleDetails);
+  assertEqual(differences.join(','), 'address,website,hours');
+  assertEqual(place.hours[0], 'Monday: 9:00 AM – 5:00 PM');
+});
+
+test('leaves places alone without details', () => {
+  const { place, filled } = enrichPlace({ name: 'Quiet' }, { location: { lat: 1, lng: 2 } });
+  assertEqual(filled.length, 0);
+  assert(!('address' in place));
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,148 @@
+/**
+ * Tests for the place exporters (lib/export.mjs)
+ * Run with: node tests/export.test.js
+ */
+
+import { EXPORT_FIELDS, EXPORT_FORMATS, toGPX, toKML, toCSV, toGeoJSON, exportPlaces } from '../lib/export.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (name, properties = {}, coordinates = [-122.6819, 45.5231]) => ({
+  type: 'Feature',
+  id: 'abc123',
+  geometry: { type: 'Point', coordinates },
+  properties: { name, category: 'Food & Drink', status: 'queue', hours: [], ...properties }
+});
+
+const heart = place('Heart Coffee', { primary: 'coffee', neighborhood: 'Kerns', notes: 'Great pour-over' });
+const tricky = place('Tom & Jerry\'s <Bar>', { status: 'haunts', notes: 'Says "hi", then\nleaves' }, [-122.65, 45.51]);
+
+// ===== GPX =====
+
+console.log('\n--- toGPX ---');
+
+test('writes a waypoint per place', () => {
+  const gpx = toGPX([heart, tricky]);
+  assert(gpx.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1"'));
+  assertEqual(gpx.match(/<wpt /g).length, 2);
+  assert(gpx.includes('<wpt lat="45.5231" lon="-122.6819">'));
+});
+
+test('carries notes, category and status', () => {
+  const gpx = toGPX([heart]);
+  assert(gpx.includes('<desc>Great pour-over</desc>'));
+  assert(gpx.includes('<type>Food &amp; Drink</type>'));
+  assert(gpx.includes('<places:status>queue</places:status>'));
+  assert(gpx.includes('<places:neighborhood>Kerns</places:neighborhood>'));
+  assert(!gpx.includes('places:website'), 'skips empty fields');
+});
+
+test('escapes XML', () => {
+  const gpx = toGPX([tricky], { name: 'Bars & Cafés' });
+  assert(gpx.includes('<name>Tom &amp; Jerry&apos;s &lt;Bar&gt;</name>'));
+  assert(gpx.includes('<metadata><name>Bars &amp; Cafés</name></metadata>'));
+});
+
+// ===== KML =====
+
+console.log('\n--- toKML ---');
+
+test('writes a placemark per place with lng,lat coordinates', () => {
+  const kml = toKML([heart, tricky]);
+  assertEqual(kml.match(/<Placemark>/g).length, 2);
+  assert(kml.includes('<Point><coordinates>-122.6819,45.5231</coordinates></Point>'));
+  assert(kml.includes('<name>Places</name>'));
+});
+
+test('carries fields as extended data', () => {
+  const kml = toKML([tricky]);
+  assert(kml.includes('<Data name="status"><value>haunts</value></Data>'));
+  assert(kml.includes('<Data name="category"><value>Food &amp; Drink</value></Data>'));
+  assert(kml.includes('<description>Says &quot;hi&quot;, then\nleaves</description>'));
+});
+
+// ===== CSV =====
+
+console.log('\n--- toCSV ---');
+
+test('writes a header and a row per place', () => {
+  const lines = toCSV([heart]).split('\r\n');
+  assertEqual(lines[0], [...EXPORT_FIELDS, 'latitude', 'longitude'].join(','));
+  assertEqual(lines[1], 'Heart Coffee,Food & Drink,queue,coffee,Kerns,,,Great pour-over,45.5231,-122.6819');
+  assertEqual(lines[2], '');
+});
+
+test('quotes values with commas, quotes and line breaks', () => {
+  const row = toCSV([tricky]).split('\r\n').slice(1).join('\r\n');
+  assert(row.includes('"Says ""hi"", then\nleaves"'), row);
+});
+
+// ===== GEOJSON =====
+
+console.log('\n--- toGeoJSON ---');
+
+test('keeps features as they are', () => {
+  const geojson = JSON.parse(toGeoJSON([heart], { name: 'Queue' }));
+  assertEqual(geojson.type, 'FeatureCollection');
+  assertEqual(geojson.name, 'Queue');
+  assertEqual(JSON.stringify(geojson.features[0]), JSON.stringify(heart));
+});
+
+// ===== FORMATS =====
+
+console.log('\n--- exportPlaces ---');
+
+test('converts by format name', () => {
+  for (const format of Object.keys(EXPORT_FORMATS)) {
+    assertEqual(exportPlaces([heart], format), EXPORT_FORMATS[format].convert([heart]));
+  }
+});
+
+test('handles an empty list', () => {
+  assertEqual(toCSV([]).split('\r\n').length, 2);
+  assertEqual(toGPX([]).match(/<wpt /g), null);
+});
+
+test('rejects unknown formats', () => {
+  try {
+    exportPlaces([heart], 'shp');
+  } catch (err) {
+    assert(err.message.includes('expected gpx, kml, csv, geojson'), err.message);
+    return;
+  }
+  throw new Error('Expected an error');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
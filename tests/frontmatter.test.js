@@ -0,0 +1,273 @@
+/**
+ * Tests for the YAML frontmatter reader (lib/frontmatter.mjs)
+ * Run with: node tests/frontmatter.test.js
+ */
+
+import { parseFrontmatter, parseYaml, FrontmatterError } from '../lib/frontmatter.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertDeepEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function assertThrows(fn, check, message = 'Expected an error to be thrown') {
+  try {
+    fn();
+  } catch (err) {
+    check(err);
+    return;
+  }
+  throw new Error(message);
+}
+
+const note = (...lines) => ['---', ...lines, '---', '', '# Body'].join('\n');
+
+// ===== FRONTMATTER EXTRACTION =====
+
+console.log('\n--- parseFrontmatter ---');
+
+test('returns empty object when there is no frontmatter', () => {
+  assertDeepEqual(parseFrontmatter('# Just a heading\n'), {});
+});
+
+test('returns empty object for empty frontmatter', () => {
+  assertDeepEqual(parseFrontmatter('---\n---\nbody'), {});
+});
+
+test('parses simple key/value pairs', () => {
+  const data = parseFrontmatter(note('name: Heart Coffee', 'place_id: ChIJabc123', 'status: haunts'));
+  assertDeepEqual(data, { name: 'Heart Coffee', place_id: 'ChIJabc123', status: 'haunts' });
+});
+
+test('handles CRLF line endings', () => {
+  const data = parseFrontmatter('---\r\nname: Heart Coffee\r\ntype:\r\n  - cafe\r\n---\r\nbody');
+  assertDeepEqual(data, { name: 'Heart Coffee', type: ['cafe'] });
+});
+
+test('ignores a leading byte order mark', () => {
+  assertDeepEqual(parseFrontmatter('\uFEFF---\nname: Test\n---\n'), { name: 'Test' });
+});
+
+test('reports unterminated frontmatter', () => {
+  assertThrows(() => parseFrontmatter('---\nname: Test\n', 'Bars/Test.md'), err => {
+    assertEqual(err instanceof FrontmatterError, true);
+    assertEqual(err.file, 'Bars/Test.md');
+    assertEqual(err.line, 1);
+  });
+});
+
+test('rejects frontmatter that is not a mapping', () => {
+  assertThrows(() => parseFrontmatter(note('- a', '- b')), err => {
+    assertEqual(err.line, 2);
+  });
+});
+
+// ===== SCALARS =====
+
+console.log('\n--- scalars ---');
+
+test('resolves core schema booleans, nulls and numbers', () => {
+  const data = parseYaml('a: true\nb: False\nc: null\nd: ~\ne:\nf: 42\ng: -3.5\nh: 1e3\ni: 0x1F');
+  assertDeepEqual(data, { a: true, b: false, c: null, d: null, e: null, f: 42, g: -3.5, h: 1000, i: 31 });
+});
+
+test('keeps YAML 1.1 style words as strings', () => {
+  assertDeepEqual(parseYaml('a: yes\nb: off\nc: 2024-01-05\nd: 3:00'), { a: 'yes', b: 'off', c: '2024-01-05', d: '3:00' });
+});
+
+test('keeps long digit strings as strings', () => {
+  assertEqual(parseYaml('id: 12345678901234567890').id, '12345678901234567890');
+});
+
+test('keeps URLs with colons as plain strings', () => {
+  assertEqual(parseYaml('website: https://www.heartroasters.com/').website, 'https://www.heartroasters.com/');
+});
+
+test('strips trailing comments from plain values', () => {
+  assertEqual(parseYaml('status: queue # try soon').status, 'queue');
+});
+
+test('keeps # without preceding space', () => {
+  assertEqual(parseYaml('name: Bar#1').name, 'Bar#1');
+});
+
+test('parses double-quoted strings with colons, commas and escapes', () => {
+  const data = parseYaml('a: "Monday: 9:00 AM – 5:00 PM"\nb: "one, two"\nc: "tab\\there \\"q\\" \\u00e9"');
+  assertDeepEqual(data, { a: 'Monday: 9:00 AM – 5:00 PM', b: 'one, two', c: 'tab\there "q" é' });
+});
+
+test('parses single-quoted strings with doubled quotes', () => {
+  assertEqual(parseYaml("name: 'Powell''s Books: City of Books'").name, "Powell's Books: City of Books");
+});
+
+test('quoted values are never type-resolved', () => {
+  assertDeepEqual(parseYaml('a: "true"\nb: \'42\''), { a: 'true', b: '42' });
+});
+
+test('folds multi-line quoted strings', () => {
+  assertEqual(parseYaml('notes: "first line\n  second line\n\n  new paragraph"').notes, 'first line second line\nnew paragraph');
+});
+
+test('folds multi-line plain scalars', () => {
+  assertEqual(parseYaml('notes: Divey bar\n  with a patio\nstatus: queue').notes, 'Divey bar with a patio');
+});
+
+test('rejects unknown escapes', () => {
+  assertThrows(() => parseYaml('a: "bad \\q"'), err => assertEqual(err.line, 1));
+});
+
+test('reports unterminated quoted strings at their opening line', () => {
+  assertThrows(() => parseYaml('a: 1\nb: "never closed\nc: 3', { firstLine: 2 }), err => {
+    assertEqual(err.line, 3);
+  });
+});
+
+// ===== BLOCK SCALARS =====
+
+console.log('\n--- block scalars ---');
+
+test('parses literal block scalars', () => {
+  const data = parseYaml('notes: |\n  Line one\n  Line two\n\n  Para two\nstatus: haunts');
+  assertDeepEqual(data, { notes: 'Line one\nLine two\n\nPara two\n', status: 'haunts' });
+});
+
+test('parses folded block scalars', () => {
+  const data = parseYaml('notes: >\n  Folded\n  together\n\n  New para\n    indented\n  end\n');
+  assertEqual(data.notes, 'Folded together\nNew para\n  indented\nend\n');
+});
+
+test('supports strip and keep chomping', () => {
+  assertEqual(parseYaml('a: |-\n  text\n\n').a, 'text');
+  assertEqual(parseYaml('a: |+\n  text\n\n').a, 'text\n\n');
+});
+
+test('supports explicit indentation indicators', () => {
+  assertEqual(parseYaml('a: |2\n    indented\n  base\n').a, '  indented\nbase\n');
+});
+
+test('keeps comment-looking lines inside block scalars', () => {
+  assertEqual(parseYaml('a: |\n  # not a comment\n').a, '# not a comment\n');
+});
+
+test('rejects invalid block scalar headers', () => {
+  assertThrows(() => parseYaml('a: |x\n  text'), err => assertEqual(err.line, 1));
+});
+
+// ===== COLLECTIONS =====
+
+console.log('\n--- collections ---');
+
+test('parses indented and non-indented block sequences', () => {
+  assertDeepEqual(parseYaml('a:\n  - one\n  - two\nb:\n- three\nc: 1'), { a: ['one', 'two'], b: ['three'], c: 1 });
+});
+
+test('parses flow sequences with quoted items', () => {
+  assertDeepEqual(parseYaml('cuisine: [thai, "lao, isan", \'x: y\', 3]').cuisine, ['thai', 'lao, isan', 'x: y', 3]);
+});
+
+test('parses empty and multi-line flow collections', () => {
+  assertDeepEqual(parseYaml('a: []\nb: {}\nc: [one,\n  two]'), { a: [], b: {}, c: ['one', 'two'] });
+});
+
+test('parses flow mappings', () => {
+  assertDeepEqual(parseYaml('a: {lat: 45.5, lng: -122.6, label: "x, y"}').a, { lat: 45.5, lng: -122.6, label: 'x, y' });
+});
+
+test('parses nested mappings', () => {
+  const data = parseYaml('location:\n  lat: 45.52\n  lng: -122.67\n  source:\n    name: manual\nname: Test');
+  assertDeepEqual(data, { location: { lat: 45.52, lng: -122.67, source: { name: 'manual' } }, name: 'Test' });
+});
+
+test('parses sequences of mappings', () => {
+  const data = parseYaml('special:\n  - date: 2025-11-27\n    hours: Closed\n  - date: 2025-12-25\n    hours: Closed');
+  assertDeepEqual(data.special, [
+    { date: '2025-11-27', hours: 'Closed' },
+    { date: '2025-12-25', hours: 'Closed' }
+  ]);
+});
+
+test('parses unquoted hours entries as one-key mappings', () => {
+  assertDeepEqual(parseYaml('hours:\n  - Monday: 3:00 PM – 1:00 AM').hours, [{ Monday: '3:00 PM – 1:00 AM' }]);
+});
+
+test('parses nested sequences', () => {
+  assertDeepEqual(parseYaml('a:\n  - - 1\n    - 2\n  - - 3'), { a: [[1, 2], [3]] });
+});
+
+test('skips comment lines between entries', () => {
+  assertDeepEqual(parseYaml('# header\na: 1\n  # indented comment\nb: 2'), { a: 1, b: 2 });
+});
+
+test('supports quoted keys', () => {
+  assertDeepEqual(parseYaml('"good: for": x'), { 'good: for': 'x' });
+});
+
+// ===== ERRORS =====
+
+console.log('\n--- errors ---');
+
+test('reports duplicate keys with their line', () => {
+  assertThrows(() => parseFrontmatter(note('name: A', 'name: B'), 'Food/A.md'), err => {
+    assertEqual(err.line, 3);
+    assertEqual(err.message, 'Food/A.md:3: duplicate key "name"');
+  });
+});
+
+test('reports bad indentation', () => {
+  assertThrows(() => parseYaml('a:\n    b: 1\n  c: 2'), err => assertEqual(err.line, 3));
+});
+
+test('reports lines that are not key/value pairs', () => {
+  assertThrows(() => parseYaml('a: 1\njust some text'), err => assertEqual(err.line, 2));
+});
+
+test('reports unquoted ": " inside a value', () => {
+  assertThrows(() => parseYaml('notes: Tip: get the wings'), err => assertEqual(err.line, 1));
+});
+
+test('reports tabs used for indentation', () => {
+  assertThrows(() => parseYaml('a:\n\t- b'), err => assertEqual(err.reason, 'tabs are not allowed in indentation'));
+});
+
+test('rejects anchors, aliases and tags', () => {
+  assertThrows(() => parseYaml('a: &x 1'), err => assertEqual(err.line, 1));
+  assertThrows(() => parseYaml('a: *x'), err => assertEqual(err.line, 1));
+  assertThrows(() => parseYaml('a: !!str 1'), err => assertEqual(err.line, 1));
+});
+
+test('reports unbalanced flow collections', () => {
+  assertThrows(() => parseYaml('a: [one, two\nb: 1'), err => assertEqual(err.line, 1));
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,83 @@
+/**
+ * Tests for distances between places (lib/geo.mjs)
+ * Run with: node tests/geo.test.js
+ */
+
+import { distanceMeters, sortByDistance } from '../lib/geo.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (id, [lng, lat]) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+  properties: { name: id }
+});
+
+// ===== DISTANCE =====
+
+console.log('\n--- distanceMeters ---');
+
+test('is zero for the same point', () => {
+  assertEqual(distanceMeters([-122.68, 45.52], [-122.68, 45.52]), 0);
+});
+
+test('measures a degree of latitude as about 111 km', () => {
+  const meters = distanceMeters([-122.68, 45], [-122.68, 46]);
+  assert(Math.abs(meters - 111195) < 100, `got ${meters}`);
+});
+
+// ===== SORTING =====
+
+console.log('\n--- sortByDistance ---');
+
+test('sorts nearest first from a [lat, lng] origin', () => {
+  const places = [
+    place('far', [-122.60, 45.52]),
+    place('here', [-122.68, 45.52]),
+    place('near', [-122.67, 45.52])
+  ];
+  const sorted = sortByDistance(places, [45.52, -122.68]);
+  assertEqual(sorted.map(({ feature }) => feature.id).join(','), 'here,near,far');
+  assertEqual(sorted[0].distance, 0);
+  assert(Math.abs(sorted[1].distance - 780) < 10, `got ${sorted[1].distance}`);
+});
+
+test('keeps the order of places at the same distance', () => {
+  const sorted = sortByDistance([place('a', [-122.67, 45.52]), place('b', [-122.67, 45.52])], [45.52, -122.68]);
+  assertEqual(sorted.map(({ feature }) => feature.id).join(','), 'a,b');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
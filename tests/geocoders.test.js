@@ -0,0 +1,303 @@
+/**
+ * Tests for geocoder providers (lib/geocoders.mjs)
+ * Uses a local stand-in Nominatim server and a stub goplaces command.
+ * Run with: node tests/geocoders.test.js
+ */
+
+import { createServer } from 'http';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createGeocoders,
+  createManualGeocoder,
+  createGoogleGeocoder,
+  createNominatimGeocoder,
+  createTableGeocoder,
+  geocode,
+  withRequestPolicy,
+  normalizeAddress,
+  GeocodeError
+} from '../lib/geocoders.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+async function assertRejects(promise, check) {
+  try {
+    await promise;
+  } catch (err) {
+    check(err);
+    return;
+  }
+  throw new Error('Expected promise to reject');
+}
+
+// ===== FIXTURES =====
+
+const tmp = mkdtempSync(join(tmpdir(), 'geocoders-test-'));
+
+const tablePath = join(tmp, 'table.json');
+writeFileSync(tablePath, JSON.stringify({
+  'ChIJtable': { lat: 45.1, lng: -122.1 },
+  '1000 SE 12th Ave, Portland, OR 97214': { lat: 45.5156, lng: -122.6534 }
+}));
+
+const goplacesStub = join(tmp, 'goplaces');
+writeFileSync(goplacesStub, [
+  '#!/bin/sh',
+  'if [ "$2" = "ChIJmissing" ]; then echo \'{"name":"No location"}\'; exit 0; fi',
+  'if [ "$2" = "ChIJbroken" ]; then echo "quota exceeded" >&2; exit 1; fi',
+  'echo \'{"location":{"lat":45.52,"lng":-122.68},"formatted_address":"Somewhere"}\''
+].join('\n'));
+chmodSync(goplacesStub, 0o755);
+
+// Local stand-in for a Nominatim /search endpoint
+const requests = [];
+const server = createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ path: url.pathname, q: url.searchParams.get('q'), agent: req.headers['user-agent'] });
+  if (url.searchParams.get('q') === 'explode') {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('overloaded');
+    return;
+  }
+  const body = url.searchParams.get('q').includes('Nowhere')
+    ? []
+    : [{ lat: '45.5231', lon: '-122.6765', display_name: 'Portland' }];
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const nominatimUrl = `http://127.0.0.1:${server.address().port}/`;
+
+// Chain config without real waits between requests or retries
+const fast = { rate: 1000, sleep: async () => {} };
+
+// ===== PROVIDERS =====
+
+console.log('\n--- manual ---');
+
+await test('resolves explicit lat/lng', async () => {
+  const manual = createManualGeocoder();
+  assert(manual.canResolve({ lat: 45.5, lng: -122.6 }));
+  assert(!manual.canResolve({ lat: 45.5 }));
+  assert(!manual.canResolve({ lat: '45.5', lng: '-122.6' }));
+  const result = await manual.resolve({ lat: 45.5, lng: -122.6 });
+  assertEqual(result.lat, 45.5);
+  assertEqual(manual.cacheable, false);
+});
+
+console.log('\n--- google ---');
+
+await test('reads coordinates and details from goplaces', async () => {
+  const google = createGoogleGeocoder({ command: goplacesStub });
+  const result = await google.resolve({ place_id: 'ChIJok' });
+  assertEqual(result.lat, 45.52);
+  assertEqual(result.lng, -122.68);
+  assertEqual(result.details.formatted_address, 'Somewhere');
+});
+
+await test('returns null when goplaces has no location', async () => {
+  const google = createGoogleGeocoder({ command: goplacesStub });
+  assertEqual(await google.resolve({ place_id: 'ChIJmissing' }), null);
+});
+
+await test('rejects when goplaces fails', async () => {
+  const google = createGoogleGeocoder({ command: goplacesStub });
+  await assertRejects(google.resolve({ place_id: 'ChIJbroken' }), err => assert(err.message.includes('quota exceeded')));
+});
+
+await test('needs a place_id', async () => {
+  assert(!createGoogleGeocoder().canResolve({ address: '1 Main St' }));
+});
+
+console.log('\n--- nominatim ---');
+
+await test('queries the search endpoint by address', async () => {
+  const nominatim = createNominatimGeocoder({ url: nominatimUrl });
+  const result = await nominatim.resolve({ address: '1000 SE 12th Ave, Portland, OR 97214' });
+  assertEqual(result.lat, 45.5231);
+  assertEqual(result.lng, -122.6765);
+  const last = requests[requests.length - 1];
+  assertEqual(last.path, '/search');
+  assertEqual(last.q, '1000 SE 12th Ave, Portland, OR 97214');
+  assert(last.agent.startsWith('portland-places-map'), 'sends an identifying User-Agent');
+});
+
+await test('returns null for no results', async () => {
+  const nominatim = createNominatimGeocoder({ url: nominatimUrl });
+  assertEqual(await nominatim.resolve({ address: 'Nowhere Lane' }), null);
+});
+
+await test('rejects on HTTP errors', async () => {
+  const nominatim = createNominatimGeocoder({ url: nominatimUrl });
+  await assertRejects(nominatim.resolve({ address: 'explode' }), err => assert(err.message.includes('503')));
+});
+
+console.log('\n--- table ---');
+
+await test('looks up by place_id', async () => {
+  const table = createTableGeocoder({ path: tablePath });
+  const result = await table.resolve({ place_id: 'ChIJtable' });
+  assertEqual(result.lat, 45.1);
+});
+
+await test('looks up by normalized address', async () => {
+  const table = createTableGeocoder({ path: tablePath });
+  const result = await table.resolve({ place_id: 'other', address: '1000 se 12th ave portland or  97214' });
+  assertEqual(result.lat, 45.5156);
+});
+
+await test('treats a missing table file as empty', async () => {
+  const table = createTableGeocoder({ path: join(tmp, 'missing.json') });
+  assertEqual(await table.resolve({ place_id: 'ChIJtable' }), null);
+});
+
+await test('normalizeAddress ignores case and punctuation', async () => {
+  assertEqual(normalizeAddress(' 1000 SE 12th Ave., Portland,  OR '), '1000 se 12th ave portland or');
+});
+
+// ===== REQUEST POLICY =====
+
+console.log('\n--- withRequestPolicy ---');
+
+await test('retries transient failures and reports them', async () => {
+  let calls = 0;
+  const retries = [];
+  const flaky = withRequestPolicy({
+    name: 'flaky',
+    ratePerSecond: 1000,
+    resolve: async () => {
+      if (calls++ < 2) throw Object.assign(new Error('HTTP 503'), { status: 503 });
+      return { lat: 1, lng: 2 };
+    }
+  }, { sleep: async () => {}, onRetry: (err, attempt, wait, place, name) => retries.push(`${name}:${place.name}:${attempt}`) });
+
+  const result = await flaky.resolve({ name: 'Flaky' });
+  assertEqual(result.lat, 1);
+  assertEqual(retries.join(','), 'flaky:Flaky:1,flaky:Flaky:2');
+});
+
+await test('notes attempts in the failure message', async () => {
+  const chain = createGeocoders('nominatim', { ...fast, nominatimUrl, retries: 2 });
+  await assertRejects(geocode({ place_id: 'x', address: 'explode' }, chain), err => {
+    assertEqual(err.message, 'nominatim: HTTP 503: Service Unavailable (after 3 attempts)');
+  });
+});
+
+await test('does not retry permanent goplaces failures', async () => {
+  const chain = createGeocoders('google', { ...fast, goplacesCommand: goplacesStub });
+  await assertRejects(geocode({ place_id: 'ChIJbroken' }, chain), err => {
+    assertEqual(err.message, 'google: quota exceeded');
+  });
+});
+
+await test('shares one table load across concurrent lookups', async () => {
+  const table = createTableGeocoder({ path: tablePath });
+  const results = await Promise.all([
+    table.resolve({ place_id: 'ChIJtable' }),
+    table.resolve({ place_id: 'ChIJtable' })
+  ]);
+  assert(results.every(r => r && r.lat === 45.1));
+});
+
+// ===== CHAIN =====
+
+console.log('\n--- createGeocoders / geocode ---');
+
+await test('builds providers from a comma-separated list', async () => {
+  const chain = createGeocoders('manual, table,nominatim', { ...fast, tablePath, nominatimUrl });
+  assertEqual(chain.map(p => p.name).join(','), 'manual,table,nominatim');
+});
+
+await test('rejects unknown provider names', async () => {
+  let error = null;
+  try {
+    createGeocoders('manual,bing');
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('bing'));
+});
+
+await test('uses the first provider that finds a match', async () => {
+  const chain = createGeocoders('manual,table,nominatim', { ...fast, tablePath, nominatimUrl });
+  const result = await geocode({ place_id: 'x', address: '1000 SE 12th Ave, Portland, OR 97214' }, chain);
+  assertEqual(result.provider, 'table');
+});
+
+await test('falls through to the next provider', async () => {
+  const chain = createGeocoders('manual,table,nominatim', { ...fast, tablePath, nominatimUrl });
+  const result = await geocode({ place_id: 'x', address: '99 Elsewhere St' }, chain);
+  assertEqual(result.provider, 'nominatim');
+  assertEqual(result.cacheable, true);
+});
+
+await test('collects every failure in a GeocodeError', async () => {
+  const chain = createGeocoders('table,nominatim', { ...fast, tablePath, nominatimUrl });
+  await assertRejects(geocode({ place_id: 'x', address: 'Nowhere Lane' }, chain), err => {
+    assert(err instanceof GeocodeError);
+    assertEqual(err.failures.map(f => f.provider).join(','), 'table,nominatim');
+    assertEqual(err.message, 'table: no match; nominatim: no match');
+  });
+});
+
+await test('reports when no provider can handle a place', async () => {
+  await assertRejects(geocode({ name: 'Mystery' }, createGeocoders('manual,nominatim')), err => {
+    assert(err.message.includes('no geocoder can handle'));
+  });
+});
+
+await test('checks the cache before the first cacheable provider', async () => {
+  const store = new Map([['x', { lat: 1, lng: 2, provider: 'nominatim' }]]);
+  const cache = { get: p => store.get(p.place_id), set: (p, r) => store.set(p.place_id, r) };
+  const chain = createGeocoders('manual,nominatim', { ...fast, nominatimUrl });
+
+  const hit = await geocode({ place_id: 'x', address: '1 Main St' }, chain, { cache });
+  assertEqual(hit.cached, true);
+  assertEqual(hit.lat, 1);
+
+  const manual = await geocode({ place_id: 'x', address: '1 Main St', lat: 3, lng: 4 }, chain, { cache });
+  assertEqual(manual.provider, 'manual', 'explicit coordinates beat the cache');
+
+  const miss = await geocode({ place_id: 'y', address: '1 Main St' }, chain, { cache });
+  assertEqual(miss.cached, false);
+  assertEqual(store.get('y').provider, 'nominatim', 'stores fresh results');
+});
+
+// ===== CLEANUP & SUMMARY =====
+
+server.close();
+rmSync(tmp, { recursive: true, force: true });
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
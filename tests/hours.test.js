@@ -0,0 +1,239 @@
+/**
+ * Tests for opening hours parsing (lib/hours.mjs)
+ * Run with: node tests/hours.test.js
+ */
+
+import {
+  WEEKDAYS,
+  HoursError,
+  parseHoursLine,
+  parseHours,
+  isCalendarDate,
+  parseSpecialHours,
+  parseSeasons,
+  parseOpeningHours
+} from '../lib/hours.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertThrows(fn, reasonPart) {
+  try {
+    fn();
+  } catch (err) {
+    assert(err instanceof HoursError, `Expected HoursError, got ${err.name}`);
+    assert(err.reason.includes(reasonPart), `Expected reason containing "${reasonPart}", got "${err.reason}"`);
+    return;
+  }
+  throw new Error('Expected an HoursError');
+}
+
+// Compact "day open-close[+]" rendering of periods for comparisons
+const show = periods => periods.map(p => `${p.day} ${p.open}-${p.close}${p.overnight ? '+' : ''}`).join(', ');
+
+// ===== LINES =====
+
+console.log('\n--- parseHoursLine ---');
+
+test('numbers days like Date#getDay', () => {
+  assertEqual(WEEKDAYS[0], 'Sunday');
+  assertEqual(parseHoursLine('Saturday: Closed').day, 6);
+});
+
+test('parses a simple range', () => {
+  assertEqual(show(parseHoursLine('Monday: 9:00 AM – 5:00 PM').periods), '1 540-1020');
+});
+
+test('parses Google\'s narrow and thin spaces', () => {
+  assertEqual(show(parseHoursLine('Monday: 9:00\u202fAM\u2009–\u20095:30\u202fPM').periods), '1 540-1050');
+});
+
+test('gives a start without AM/PM the end\'s', () => {
+  assertEqual(show(parseHoursLine('Tuesday: 11:00 AM – 3:00 PM, 5:00 – 10:00 PM').periods), '2 660-900, 2 1020-1320');
+  assertEqual(show(parseHoursLine('Sunday: 12:00 – 5:00 PM').periods), '0 720-1020');
+});
+
+test('marks ranges past midnight as overnight', () => {
+  assertEqual(show(parseHoursLine('Friday: 3:00 PM – 1:00 AM').periods), '5 900-60+');
+});
+
+test('treats closing at midnight as the end of the day', () => {
+  assertEqual(show(parseHoursLine('Friday: 4:30 PM – 12:00 AM').periods), '5 990-1440');
+});
+
+test('parses Closed and Open 24 hours', () => {
+  assertEqual(parseHoursLine('Monday: Closed').periods.length, 0);
+  assertEqual(show(parseHoursLine('Monday: Open 24 hours').periods), '1 0-1440');
+});
+
+test('accepts 24-hour times', () => {
+  assertEqual(show(parseHoursLine('Monday: 09:00 – 17:30').periods), '1 540-1050');
+  assertEqual(show(parseHoursLine('Monday: 18:00 – 02:00').periods), '1 1080-120+');
+});
+
+test('rejects times it would have to guess', () => {
+  assertThrows(() => parseHoursLine('Monday: 4:00 – 9:00'), 'ambiguous');
+  assertThrows(() => parseHoursLine('Monday: 9:00 AM – 5:00'), 'missing AM/PM');
+});
+
+test('rejects malformed lines', () => {
+  assertThrows(() => parseHoursLine('Monday: 9 to 5'), 'should look like');
+  assertThrows(() => parseHoursLine('Funday: Closed'), 'should look like');
+  assertThrows(() => parseHoursLine('Monday: 13:00 PM – 5:00 PM'), 'invalid time');
+  assertThrows(() => parseHoursLine('Monday: 9:00 AM – 9:00 AM'), 'same time');
+});
+
+test('rejects overlapping ranges', () => {
+  assertThrows(() => parseHoursLine('Monday: 9:00 AM – 3:00 PM, 2:00 – 5:00 PM'), 'overlapping');
+});
+
+test('names the line in the error message', () => {
+  try {
+    parseHoursLine('Monday: 4:00 – 9:00');
+  } catch (err) {
+    assert(err.message.startsWith('hours line "Monday: 4:00 – 9:00"'), err.message);
+  }
+});
+
+// ===== WEEKS =====
+
+console.log('\n--- parseHours ---');
+
+test('collects covered days and sorted periods', () => {
+  const { days, periods } = parseHours(['Tuesday: 9:00 AM – 5:00 PM', 'Sunday: Closed', 'Monday: 5:00 – 10:00 PM']);
+  assertEqual(days.join(','), '0,1,2');
+  assertEqual(show(periods), '1 1020-1320, 2 540-1020');
+});
+
+test('returns an empty week for no hours', () => {
+  const { days, periods } = parseHours([]);
+  assertEqual(days.length + periods.length, 0);
+  assertEqual(parseHours(undefined).days.length, 0);
+});
+
+test('rejects a day listed twice', () => {
+  assertThrows(() => parseHours(['Monday: Closed', 'Monday: Open 24 hours']), 'more than once');
+});
+
+// ===== EXCEPTIONS =====
+
+console.log('\n--- isCalendarDate ---');
+
+test('accepts real dates only', () => {
+  assert(isCalendarDate('2026-11-26'));
+  assert(isCalendarDate('2028-02-29'));
+  assert(!isCalendarDate('2026-02-29'));
+  assert(!isCalendarDate('2026-13-01'));
+  assert(!isCalendarDate('11/26/2026'));
+});
+
+console.log('\n--- parseSpecialHours ---');
+
+test('parses closures and shortened days', () => {
+  const special = parseSpecialHours([
+    { date: '2026-12-24', hours: '9:00 AM – 2:00 PM' },
+    { date: '2026-11-26', hours: 'Closed', label: 'Thanksgiving' }
+  ]);
+  assertEqual(special.map(s => s.date).join(','), '2026-11-26,2026-12-24');
+  assertEqual(special[0].label, 'Thanksgiving');
+  assertEqual(special[0].periods.length, 0);
+  // 24 December 2026 is a Thursday
+  assertEqual(show(special[1].periods), '4 540-840');
+  assertEqual(special[1].hours, '9:00 AM – 2:00 PM');
+});
+
+test('rejects bad dates, missing hours and repeats', () => {
+  assertThrows(() => parseSpecialHours([{ date: '2026-11-31', hours: 'Closed' }]), 'needs a "date"');
+  assertThrows(() => parseSpecialHours([{ date: '2026-11-26' }]), 'need "hours"');
+  assertThrows(() => parseSpecialHours([{ date: '2026-11-26', hours: 'Closed' }, { date: '2026-11-26', hours: 'Closed' }]), 'more than once');
+});
+
+test('explains the format of a single day\'s hours', () => {
+  assertThrows(() => parseSpecialHours([{ date: '2026-11-26', hours: 'Monday: Closed' }]), 'should look like "9:00 AM – 2:00 PM"');
+});
+
+test('names the date when its hours are unreadable', () => {
+  try {
+    parseSpecialHours([{ date: '2026-12-24', hours: '9:00 – 2:00' }]);
+  } catch (err) {
+    assert(err.message.startsWith('special hours for 2026-12-24 is ambiguous'), err.message);
+  }
+});
+
+console.log('\n--- parseSeasons ---');
+
+test('parses yearly and one-off seasons', () => {
+  const [patio, winter] = parseSeasons([
+    { from: '05-15', to: '09-30', label: 'Patio season', hours: ['Friday: 11:00 AM – 11:00 PM'] },
+    { from: '2026-12-01', to: '2027-02-28', hours: ['Monday: Closed'] }
+  ]);
+  assertEqual(patio.label, 'Patio season');
+  assertEqual(patio.days.join(','), '5');
+  assertEqual(show(patio.periods), '5 660-1380');
+  assertEqual(patio.hours[0], 'Friday: 11:00 AM – 11:00 PM');
+  assertEqual(winter.label, null);
+  assertEqual(winter.periods.length, 0);
+});
+
+test('rejects bad ranges and hours', () => {
+  assertThrows(() => parseSeasons([{ from: '05-15', to: '2026-09-30', hours: ['Monday: Closed'] }]), 'need "from" and "to"');
+  assertThrows(() => parseSeasons([{ from: '2026-09-30', to: '2026-05-15', hours: ['Monday: Closed'] }]), 'before they start');
+  assertThrows(() => parseSeasons([{ from: '05-15', to: '09-30' }]), 'need a list');
+  assertThrows(() => parseSeasons([{ from: '05-15', to: '09-30', label: 'Patio', hours: ['Friday: 4:00 – 9:00'] }]), 'is ambiguous');
+});
+
+console.log('\n--- parseOpeningHours ---');
+
+test('adds exceptions only when set', () => {
+  const plain = parseOpeningHours({ hours: ['Monday: Closed'] });
+  assertEqual(Object.keys(plain).join(','), 'days,periods');
+
+  const full = parseOpeningHours({
+    hours: [],
+    special: [{ date: '2026-11-26', hours: 'Closed' }],
+    seasons: [{ from: '05-15', to: '09-30', hours: ['Friday: Open 24 hours'] }],
+    closedUntil: '2026-12-01',
+    closedReason: 'renovation'
+  });
+  assertEqual(full.special.length, 1);
+  assertEqual(full.seasons.length, 1);
+  assertEqual(full.closedUntil, '2026-12-01');
+  assertEqual(full.closedReason, 'renovation');
+});
+
+test('rejects an invalid closed-until date', () => {
+  assertThrows(() => parseOpeningHours({ hours: [], closedUntil: 'soon' }), 'should be a date');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
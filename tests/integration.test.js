@@ -185,6 +185,17 @@ describe('Alpine.js Integration', () => {
     );
   });
 
+  test('slugify is handed to shared.js before Alpine loads', () => {
+    const slugifyPos = html.indexOf("from './lib/slugify.mjs'");
+    const alpinePos = html.indexOf('alpinejs@');
+
+    assert(slugifyPos !== -1, 'index.html should import lib/slugify.mjs for shared.js');
+    assert(
+      html.indexOf('src="shared.js"') < slugifyPos && slugifyPos < alpinePos,
+      'lib/slugify.mjs must be imported after shared.js and before Alpine'
+    );
+  });
+
   test('popup template exists with required structure', () => {
     assert(
       html.includes('id="popup-template"'),
@@ -0,0 +1,106 @@
+/**
+ * Tests for the incremental build manifest (lib/manifest.mjs)
+ * Run with: node tests/manifest.test.js
+ */
+
+import { MANIFEST_VERSION, hashContent, migrateManifest, isUnchanged } from '../lib/manifest.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const feature = { type: 'Feature', properties: { name: 'Heart', geocoder: 'google' } };
+
+const sample = () => ({
+  version: MANIFEST_VERSION,
+  buildKey: 'key-a',
+  outputHash: 'abc',
+  notes: {
+    'Food & Drink/Heart.md': { mtimeMs: 1000, size: 120, hash: 'h1', data: { name: 'Heart' }, issues: [], feature, differences: [] }
+  }
+});
+
+// ===== HASHING =====
+
+console.log('\n--- hashContent ---');
+
+test('is stable and content-sensitive', () => {
+  assertEqual(hashContent('---\nname: A\n---\n'), hashContent('---\nname: A\n---\n'));
+  assert(hashContent('name: A') !== hashContent('name: B'));
+});
+
+// ===== MIGRATION =====
+
+console.log('\n--- migrateManifest ---');
+
+test('starts empty without a manifest', () => {
+  const manifest = migrateManifest(null, 'key-a');
+  assertEqual(manifest.version, MANIFEST_VERSION);
+  assertEqual(manifest.buildKey, 'key-a');
+  assertEqual(Object.keys(manifest.notes).length, 0);
+});
+
+test('discards manifests from other versions', () => {
+  const manifest = migrateManifest({ ...sample(), version: MANIFEST_VERSION + 1 }, 'key-a');
+  assertEqual(Object.keys(manifest.notes).length, 0);
+});
+
+test('keeps everything when the build key matches', () => {
+  const manifest = migrateManifest(sample(), 'key-a');
+  assertEqual(manifest.outputHash, 'abc');
+  assertEqual(manifest.notes['Food & Drink/Heart.md'].feature, feature);
+});
+
+test('drops features but keeps parsed notes when the build key changes', () => {
+  const manifest = migrateManifest(sample(), 'key-b');
+  const entry = manifest.notes['Food & Drink/Heart.md'];
+  assertEqual(manifest.buildKey, 'key-b');
+  assertEqual(manifest.outputHash, null);
+  assertEqual(entry.hash, 'h1');
+  assertEqual(entry.data.name, 'Heart');
+  assert(!('feature' in entry) && !('differences' in entry));
+});
+
+// ===== CHANGE DETECTION =====
+
+console.log('\n--- isUnchanged ---');
+
+test('compares mtime and size', () => {
+  const entry = sample().notes['Food & Drink/Heart.md'];
+  assert(isUnchanged(entry, { mtimeMs: 1000, size: 120 }));
+  assert(!isUnchanged(entry, { mtimeMs: 2000, size: 120 }));
+  assert(!isUnchanged(entry, { mtimeMs: 1000, size: 121 }));
+  assert(!isUnchanged(undefined, { mtimeMs: 1000, size: 120 }));
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
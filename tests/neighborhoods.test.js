@@ -0,0 +1,134 @@
+/**
+ * Tests for neighborhood boundaries (lib/neighborhoods.mjs)
+ * Run with: node tests/neighborhoods.test.js
+ */
+
+import { BoundaryError, parseBoundaries, findBoundary, checkNeighborhoods } from '../lib/neighborhoods.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// Closed ring around a box
+const box = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const boundary = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+
+const place = (name, [lng, lat], neighborhood) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+  properties: { name, neighborhood }
+});
+
+// Two neighborhoods side by side along Hawthorne, one with a park cut out
+const boundaries = parseBoundaries({
+  type: 'FeatureCollection',
+  features: [
+    boundary({ NAME: 'BUCKMAN' }, { type: 'Polygon', coordinates: [box(-122.665, 45.510, -122.645, 45.523), box(-122.655, 45.514, -122.652, 45.517)] }),
+    boundary({ name: 'Hosford-Abernethy' }, {
+      type: 'MultiPolygon',
+      coordinates: [[box(-122.665, 45.500, -122.645, 45.510)], [box(-122.640, 45.500, -122.635, 45.505)]]
+    })
+  ]
+});
+
+// ===== PARSING =====
+
+console.log('\n--- parseBoundaries ---');
+
+test('reads names from name or NAME, with bounding boxes', () => {
+  assertEqual(boundaries.map(b => b.name).join(), 'BUCKMAN,Hosford-Abernethy');
+  assertEqual(boundaries.map(b => b.key).join(), 'buckman,hosford-abernethy');
+  assertEqual(boundaries[1].bbox.join(), '-122.665,45.5,-122.635,45.51');
+});
+
+test('rejects files that aren\'t named polygons', () => {
+  const cases = [
+    [{ type: 'Feature' }, 'expected a GeoJSON FeatureCollection'],
+    [{ type: 'FeatureCollection', features: [boundary({}, { type: 'Polygon', coordinates: [box(0, 0, 1, 1)] })] }, 'feature #1 has no name property'],
+    [{ type: 'FeatureCollection', features: [boundary({ name: 'Kerns' }, { type: 'Point', coordinates: [0, 0] })] }, 'Kerns is not a Polygon or MultiPolygon'],
+    [{ type: 'FeatureCollection', features: [boundary({ name: 'Kerns' }, { type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] })] }, 'Kerns is not a Polygon or MultiPolygon']
+  ];
+  for (const [geojson, reason] of cases) {
+    let err = null;
+    try {
+      parseBoundaries(geojson);
+    } catch (e) {
+      err = e;
+    }
+    assert(err instanceof BoundaryError, String(err));
+    assertEqual(err.reason, reason);
+  }
+});
+
+// ===== LOOKUP =====
+
+console.log('\n--- findBoundary ---');
+
+test('finds the polygon a point falls in', () => {
+  assertEqual(findBoundary([-122.6610, 45.5165], boundaries).name, 'BUCKMAN');
+  assertEqual(findBoundary([-122.6500, 45.5050], boundaries).name, 'Hosford-Abernethy');
+});
+
+test('looks in every part of a MultiPolygon', () => {
+  assertEqual(findBoundary([-122.6375, 45.5025], boundaries).name, 'Hosford-Abernethy');
+});
+
+test('counts holes and gaps as outside', () => {
+  assertEqual(findBoundary([-122.6535, 45.5155], boundaries), null);
+  assertEqual(findBoundary([-122.6425, 45.5025], boundaries), null);
+  assertEqual(findBoundary([-122.6810, 45.5230], boundaries), null);
+});
+
+// ===== CHECK =====
+
+console.log('\n--- checkNeighborhoods ---');
+
+test('passes places in their stated neighborhood, whatever the case', () => {
+  const places = [place('Coava', [-122.6610, 45.5165], 'Buckman'), place('Lauretta Jean\'s', [-122.6500, 45.5050], 'hosford-abernethy')];
+  assertEqual(checkNeighborhoods(places, boundaries).length, 0);
+});
+
+test('reports places in another neighborhood, none, or outside them all', () => {
+  const places = [
+    place('Coava', [-122.6610, 45.5165], 'Hosford-Abernethy'),
+    place('Heart', [-122.6500, 45.5050], null),
+    place('Powell\'s', [-122.6810, 45.5230], 'Pearl'),
+    place('Somewhere', [-122.6810, 45.5230], null)
+  ];
+  const mismatches = checkNeighborhoods(places, boundaries);
+  assertEqual(mismatches.map(m => `${m.feature.properties.name}: ${m.stated} → ${m.actual}`).join('; '),
+    'Coava: Hosford-Abernethy → BUCKMAN; Heart: null → Hosford-Abernethy; Powell\'s: Pearl → null');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
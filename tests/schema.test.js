@@ -0,0 +1,240 @@
+/**
+ * Tests for place frontmatter validation (lib/schema.mjs)
+ * Run with: node tests/schema.test.js
+ */
+
+import { parseFrontmatter } from '../lib/frontmatter.mjs';
+import {
+  validatePlace,
+  validateCategory,
+  checkDuplicatePlaceIds,
+  hasErrors,
+  formatLintReport,
+  formatHoursEntry
+} from '../lib/schema.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const validPlace = {
+  name: 'Heart Coffee',
+  place_id: 'ChIJheart',
+  status: 'haunts',
+  primary: 'coffee',
+  neighborhood: 'Kerns',
+  website: 'https://www.heartroasters.com/',
+  hours: ['Monday: 7:00 AM – 5:00 PM', 'Tuesday: Closed', 'Sunday: 8:00 – 11:00 AM, 5:00 – 9:00 PM']
+};
+
+const issuesFor = (data, category = 'Food & Drink') => validatePlace(data, { category });
+const fieldsWith = (issues, severity) => issues.filter(i => i.severity === severity).map(i => i.field);
+
+// ===== VALIDATE PLACE =====
+
+console.log('\n--- validatePlace ---');
+
+test('accepts a valid place', () => {
+  assertEqual(issuesFor(validPlace).length, 0);
+});
+
+test('requires name and place_id', () => {
+  const issues = issuesFor({ status: 'queue' });
+  assertEqual(fieldsWith(issues, 'error').join(','), 'name,place_id');
+});
+
+test('warns when status is missing', () => {
+  const { status, ...rest } = validPlace;
+  const issues = issuesFor(rest);
+  assertEqual(fieldsWith(issues, 'warning').join(','), 'status');
+  assert(!hasErrors(issues));
+});
+
+test('rejects unknown statuses', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, status: 'favorite' }), 'error').join(','), 'status');
+});
+
+test('rejects primaries not allowed for the category', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, primary: 'bakery' }), 'error').join(','), 'primary');
+});
+
+test('warns about primary on categories without primaries', () => {
+  const issues = issuesFor({ ...validPlace, primary: 'coffee' }, 'Bookstores');
+  assertEqual(fieldsWith(issues, 'warning').join(','), 'primary');
+});
+
+test('warns about unknown neighborhoods', () => {
+  const issues = issuesFor({ ...validPlace, neighborhood: 'Buckmn' });
+  assertEqual(fieldsWith(issues, 'warning').join(','), 'neighborhood');
+  assert(!hasErrors(issues));
+});
+
+test('rejects malformed and non-http websites', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, website: 'heartroasters' }), 'error').join(','), 'website');
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, website: 'ftp://example.com' }), 'error').join(','), 'website');
+});
+
+test('rejects malformed hours lines', () => {
+  const issues = issuesFor({ ...validPlace, hours: ['Monday: 9 to 5', 'Funday: Closed'] });
+  assertEqual(fieldsWith(issues, 'error').join(','), 'hours,hours');
+});
+
+test('rejects hours that need AM/PM to be guessed', () => {
+  const issues = issuesFor({ ...validPlace, hours: ['Monday: 4:00 – 9:00'] });
+  assertEqual(fieldsWith(issues, 'error').join(','), 'hours');
+  assert(issues[0].message.includes('ambiguous'));
+});
+
+test('accepts special, seasonal and closed-until hours', () => {
+  const issues = issuesFor({
+    ...validPlace,
+    'special-hours': [{ date: '2026-11-26', hours: 'Closed', label: 'Thanksgiving' }],
+    'seasonal-hours': [{ from: '05-15', to: '09-30', hours: ['Friday: 11:00 AM – 11:00 PM'] }],
+    'closed-until': '2026-12-01',
+    'closed-reason': 'renovation'
+  });
+  assertEqual(issues.length, 0);
+});
+
+test('rejects malformed hours exceptions', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, 'special-hours': ['2026-11-26: Closed'] }), 'error').join(','), 'special-hours');
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, 'special-hours': [{ date: '2026-11-26', hours: '4 – 9' }] }), 'error').join(','), 'special-hours');
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, 'seasonal-hours': [{ from: 'May', to: 'Sept', hours: [] }] }), 'error').join(','), 'seasonal-hours');
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, 'closed-until': '2026-02-30' }), 'error').join(','), 'closed-until');
+});
+
+test('rejects days listed twice', () => {
+  const issues = issuesFor({ ...validPlace, hours: ['Monday: Closed', 'Monday: Open 24 hours'] });
+  assertEqual(issues.length, 1);
+  assert(issues[0].message.includes('Monday more than once'));
+});
+
+test('accepts hours written as unquoted one-key mappings', () => {
+  assertEqual(issuesFor({ ...validPlace, hours: [{ Monday: '3:00 PM – 1:00 AM' }] }).length, 0);
+});
+
+test('rejects non-text values for text fields', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, name: 1984 }), 'error').join(','), 'name');
+});
+
+test('accepts a single string for list fields', () => {
+  assertEqual(issuesFor({ ...validPlace, cuisine: 'thai' }).length, 0);
+});
+
+test('accepts explicit coordinates', () => {
+  assertEqual(issuesFor({ ...validPlace, lat: 45.52, lng: -122.67 }).length, 0);
+});
+
+test('rejects out-of-range or non-numeric coordinates', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, lat: 145, lng: -122.67 }), 'error').join(','), 'lat');
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, lat: 45.5, lng: 'west' }), 'error').join(','), 'lng');
+});
+
+test('requires lat and lng together', () => {
+  assertEqual(fieldsWith(issuesFor({ ...validPlace, lat: 45.52 }), 'error').join(','), 'lat');
+});
+
+test('reports the source line of each issue', () => {
+  const data = parseFrontmatter('---\nname: Odd\nplace_id: X\nstatus: queu\n---\n');
+  const [issue] = validatePlace(data, { category: 'Bookstores' });
+  assertEqual(issue.field, 'status');
+  assertEqual(issue.line, 4);
+});
+
+// ===== VALIDATE CATEGORY =====
+
+console.log('\n--- validateCategory ---');
+
+test('accepts category metadata', () => {
+  assertEqual(validateCategory({ name: 'Books', icon: 'fa-book-open', color: '#8a5a44', order: 2 }).length, 0);
+  assertEqual(validateCategory({}).length, 0);
+});
+
+test('rejects malformed icons, colors and orders', () => {
+  const issues = validateCategory({ icon: 'book', color: 'red', order: 'first' });
+  assertEqual(fieldsWith(issues, 'error').join(','), 'icon,color,order');
+  assert(issues[0].message.includes('fa-book'), 'suggests an example');
+});
+
+// ===== FORMAT HOURS ENTRY =====
+
+console.log('\n--- formatHoursEntry ---');
+
+test('passes display strings through', () => {
+  assertEqual(formatHoursEntry('Monday: Closed'), 'Monday: Closed');
+});
+
+test('folds one-key mappings back into display strings', () => {
+  assertEqual(formatHoursEntry({ Monday: '9:00 AM – 5:00 PM' }), 'Monday: 9:00 AM – 5:00 PM');
+});
+
+// ===== DUPLICATE PLACE IDS =====
+
+console.log('\n--- checkDuplicatePlaceIds ---');
+
+test('flags every note sharing a place_id', () => {
+  const results = [
+    { file: 'A.md', data: { place_id: 'X' }, issues: [] },
+    { file: 'B.md', data: { place_id: 'X' }, issues: [] },
+    { file: 'C.md', data: { place_id: 'Y' }, issues: [] },
+    { file: 'D.md', data: null, issues: [] }
+  ];
+  checkDuplicatePlaceIds(results);
+  assertEqual(results.map(r => r.issues.length).join(','), '1,1,0,0');
+  assert(results[0].issues[0].message.includes('B.md'));
+});
+
+// ===== LINT REPORT =====
+
+console.log('\n--- formatLintReport ---');
+
+test('returns empty string when there are no issues', () => {
+  assertEqual(formatLintReport([{ file: 'A.md', issues: [] }]), '');
+});
+
+test('groups issues by file and summarizes counts', () => {
+  const report = formatLintReport([
+    { file: 'A.md', issues: [
+      { severity: 'warning', field: 'neighborhood', message: 'unknown neighborhood', line: 6 },
+      { severity: 'error', field: 'status', message: 'bad status', line: 4 }
+    ] },
+    { file: 'B.md', issues: [] }
+  ]);
+  const lines = report.split('\n');
+  assertEqual(lines[0], 'A.md');
+  assert(lines[1].includes('4') && lines[1].includes('error') && lines[1].includes('bad status'), 'errors sorted by line');
+  assert(lines[2].includes('warning'));
+  assertEqual(lines[lines.length - 1], '1 error, 1 warning in 1 file');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
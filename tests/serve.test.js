@@ -0,0 +1,233 @@
+/**
+ * Tests for the dev server (lib/serve.mjs)
+ * Runs it against a temp folder on a free port.
+ * Run with: node tests/serve.test.js
+ */
+
+import { request } from 'http';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createDevServer, resolveRequestPath, isFresh, parseRange, injectReloadScript, RELOAD_PATH } from '../lib/serve.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const root = mkdtempSync(join(tmpdir(), 'serve-test-'));
+writeFileSync(join(root, 'index.html'), '<html><body><h1>Map</h1></body></html>');
+writeFileSync(join(root, 'app.js'), 'export const answer = 42;\n');
+writeFileSync(join(root, '.coord-cache.json'), '{}');
+mkdirSync(join(root, 'tiles'));
+writeFileSync(join(root, 'tiles', 'index.json'), '{"version":1}');
+// Outside the root: must never be served
+writeFileSync(join(root, '..', `${root.split('/').pop()}-secret.txt`), 'secret');
+
+const { server, reload, close } = createDevServer({ root, log: { log() {}, error() {} } });
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address();
+
+// Raw request, so paths like /../x reach the server as written
+function get(path, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    request({ host: '127.0.0.1', port, path, method, headers }, res => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject).end();
+  });
+}
+
+// ===== PATHS =====
+
+console.log('\n--- resolveRequestPath ---');
+
+await test('drops query strings and decodes escapes', async () => {
+  assertEqual(resolveRequestPath('/srv/map', '/app.js?v=2'), '/srv/map/app.js');
+  assertEqual(resolveRequestPath('/srv/map', '/Food%20%26%20Drink.json'), '/srv/map/Food & Drink.json');
+});
+
+await test('refuses paths outside the root', async () => {
+  assertEqual(resolveRequestPath('/srv/map', '/../etc/passwd'), '/srv/map/etc/passwd');
+  assertEqual(resolveRequestPath('/srv/map', '/%2e%2e/etc/passwd'), '/srv/map/etc/passwd');
+  assertEqual(resolveRequestPath('/srv/map', '/tiles/..%2f..%2fetc/passwd'), null);
+  assertEqual(resolveRequestPath('/srv/map', '/app.js%00.html'), null);
+  assertEqual(resolveRequestPath('/srv/map', '/%E0%A4%A'), null);
+});
+
+await test('refuses hidden files', async () => {
+  assertEqual(resolveRequestPath('/srv/map', '/.git/config'), null);
+  assertEqual(resolveRequestPath('/srv/map', '/.coord-cache.json'), null);
+});
+
+// ===== CACHING =====
+
+console.log('\n--- isFresh / parseRange ---');
+
+await test('matches If-None-Match, weak or strong, before If-Modified-Since', async () => {
+  assert(isFresh({ 'if-none-match': '"a", W/"b"' }, '"b"', 0));
+  assert(!isFresh({ 'if-none-match': '"a"', 'if-modified-since': new Date().toUTCString() }, '"b"', 0));
+  assert(isFresh({ 'if-modified-since': 'Sun, 01 Mar 2026 08:00:00 GMT' }, '"b"', Date.UTC(2026, 2, 1, 8, 0, 0, 500)));
+  assert(!isFresh({ 'if-modified-since': 'Sun, 01 Mar 2026 08:00:00 GMT' }, '"b"', Date.UTC(2026, 2, 1, 8, 0, 1)));
+  assert(!isFresh({}, '"b"', 0));
+});
+
+await test('parses single byte ranges', async () => {
+  assertEqual(JSON.stringify(parseRange('bytes=0-9', 100)), '{"start":0,"end":9}');
+  assertEqual(JSON.stringify(parseRange('bytes=90-', 100)), '{"start":90,"end":99}');
+  assertEqual(JSON.stringify(parseRange('bytes=-10', 100)), '{"start":90,"end":99}');
+  assertEqual(JSON.stringify(parseRange('bytes=50-500', 100)), '{"start":50,"end":99}');
+  assertEqual(parseRange('bytes=100-', 100), 'unsatisfiable');
+  assertEqual(parseRange('bytes=0-1,5-6', 100), null);
+  assertEqual(parseRange('bytes=9-0', 100), null);
+  assertEqual(parseRange(undefined, 100), null);
+});
+
+await test('injects the reload script before </body>', async () => {
+  const html = injectReloadScript('<body><p>x</p></body>');
+  assert(html.includes(RELOAD_PATH));
+  assert(html.endsWith('</script></body>'), html);
+});
+
+// ===== SERVER =====
+
+console.log('\n--- createDevServer ---');
+
+await test('serves files with their type, ignoring the query string', async () => {
+  const res = await get('/app.js?v=2');
+  assertEqual(res.status, 200);
+  assertEqual(res.headers['content-type'], 'application/javascript; charset=utf-8');
+  assertEqual(res.body, 'export const answer = 42;\n');
+});
+
+await test('serves index.html for / with the reload script', async () => {
+  const res = await get('/');
+  assertEqual(res.status, 200);
+  assert(res.body.includes(`EventSource('${RELOAD_PATH}')`));
+  assertEqual(Number(res.headers['content-length']), Buffer.byteLength(res.body));
+});
+
+await test('never serves files outside the root or hidden ones', async () => {
+  const name = `${root.split('/').pop()}-secret.txt`;
+  for (const path of [`/../${name}`, `/%2e%2e/${name}`, `/tiles/..%2f..%2f${name}`, '/.coord-cache.json']) {
+    const res = await get(path);
+    assertEqual(res.status, 404, `${path}: ${res.status}`);
+    assert(!res.body.includes('secret'), path);
+  }
+});
+
+await test('answers revalidation with 304', async () => {
+  const first = await get('/app.js');
+  assert(first.headers.etag && first.headers['last-modified']);
+  assertEqual((await get('/app.js', { headers: { 'If-None-Match': first.headers.etag } })).status, 304);
+  assertEqual((await get('/app.js', { headers: { 'If-Modified-Since': first.headers['last-modified'] } })).status, 304);
+  assertEqual((await get('/app.js', { headers: { 'If-None-Match': '"stale"' } })).status, 200);
+});
+
+await test('answers HEAD without a body', async () => {
+  const res = await get('/app.js', { method: 'HEAD' });
+  assertEqual(res.status, 200);
+  assertEqual(res.headers['content-length'], '26');
+  assertEqual(res.body, '');
+});
+
+await test('serves byte ranges', async () => {
+  const res = await get('/app.js', { headers: { Range: 'bytes=7-11' } });
+  assertEqual(res.status, 206);
+  assertEqual(res.headers['content-range'], 'bytes 7-11/26');
+  assertEqual(res.body, 'const');
+  assertEqual((await get('/app.js', { headers: { Range: 'bytes=500-' } })).status, 416);
+  assertEqual((await get('/app.js', { headers: { Range: 'bytes=0-4', 'If-Range': '"stale"' } })).status, 200);
+});
+
+await test('rejects other methods and missing files', async () => {
+  assertEqual((await get('/app.js', { method: 'POST' })).status, 405);
+  assertEqual((await get('/missing.js')).status, 404);
+});
+
+// Collect the reload events sent in the next `ms`
+function listen(ms) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = request({ host: '127.0.0.1', port, path: RELOAD_PATH }, res => {
+      res.setEncoding('utf-8');
+      res.on('data', chunk => {
+        for (const match of chunk.matchAll(/event: reload\ndata: (.*)\n/g)) events.push(JSON.parse(match[1]).file);
+      });
+    });
+    req.on('error', reject);
+    req.end();
+    setTimeout(() => {
+      req.destroy();
+      resolve(events);
+    }, ms);
+  });
+}
+
+// Let a new stream register before sending to it
+const connected = () => new Promise(resolve => setTimeout(resolve, 100));
+
+await test('sends reload events to open pages', async () => {
+  const events = listen(300);
+  await connected();
+  reload('styles.css');
+  assertEqual((await events).join(), 'styles.css');
+});
+
+await test('reloads once when watched files change together', async () => {
+  const events = listen(1000);
+  await connected();
+  writeFileSync(join(root, 'app.js'), 'export const answer = 43;\n');
+  writeFileSync(join(root, 'tiles', 'index.json'), '{"version":1,"chunks":[]}');
+  writeFileSync(join(root, 'notes.txt'), 'not watched');
+  assertEqual((await events).join(), join('tiles', 'index.json'));
+});
+
+await test('watches data folders the first build creates', async () => {
+  const created = listen(1000);
+  await connected();
+  mkdirSync(join(root, 'collections'));
+  assertEqual((await created).join(), 'collections');
+
+  const events = listen(1000);
+  await connected();
+  writeFileSync(join(root, 'collections', 'index.json'), '{"version":1}');
+  assertEqual((await events).join(), join('collections', 'index.json'));
+});
+
+// ===== CLEANUP & SUMMARY =====
+
+await close();
+rmSync(root, { recursive: true, force: true });
+rmSync(join(root, '..', `${root.split('/').pop()}-secret.txt`), { force: true });
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
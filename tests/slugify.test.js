@@ -0,0 +1,64 @@
+/**
+ * Tests for the slug rule (lib/slugify.mjs)
+ * Run with: node tests/slugify.test.js
+ */
+
+import { readFileSync } from 'fs';
+import vm from 'vm';
+import { slugify } from '../lib/slugify.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// ===== SLUGIFY =====
+
+console.log('\n--- slugify ---');
+
+test('slugs names for links', () => {
+  assertEqual(slugify('Powell\'s City of Books'), 'powells-city-of-books');
+  assertEqual(slugify('  Café & Bar! '), 'caf-bar');
+  assertEqual(slugify('HOSFORD-ABERNETHY'), 'hosford-abernethy');
+});
+
+test('accepts non-strings', () => {
+  assertEqual(slugify(2024), '2024');
+});
+
+test('is the rule shared.js builds hashes with', () => {
+  const window = {};
+  vm.runInNewContext(readFileSync(new URL('../shared.js', import.meta.url), 'utf-8'), { window });
+  window.PlacesConfig.slugify = slugify;
+  const hash = window.PlacesConfig.encodeFilterHash({
+    status: 'all', category: 'Record Shops', primary: 'all', neighborhood: 'Sullivan\'s Gulch'
+  });
+  assertEqual(hash, '#in-sullivans-gulch/all/record-shops');
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,134 @@
+/**
+ * Tests for feature ids and slugs (lib/slugs.mjs)
+ * Run with: node tests/slugs.test.js
+ */
+
+import { featureId, readSlugHistory, assignSlugs } from '../lib/slugs.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (placeId, name, neighborhood) => ({
+  type: 'Feature',
+  id: featureId(placeId),
+  properties: { name, neighborhood }
+});
+
+// ===== IDS =====
+
+console.log('\n--- featureId ---');
+
+test('is stable for a place_id', () => {
+  assertEqual(featureId('ChIJabc'), featureId('ChIJabc'));
+  assertEqual(featureId('ChIJabc').length, 12);
+});
+
+test('differs between place_ids', () => {
+  assert(featureId('ChIJabc') !== featureId('ChIJabd'));
+});
+
+// ===== SLUGS =====
+
+console.log('\n--- assignSlugs ---');
+
+test('uses the name\'s slug', () => {
+  const [feature] = assignSlugs([place('a', 'Heart Coffee', 'Buckman')]);
+  assertEqual(feature.properties.slug, 'heart-coffee');
+  assertEqual(feature.properties.previousSlugs.length, 0);
+});
+
+test('appends the neighborhood, then a number, on collisions', () => {
+  const features = assignSlugs([
+    place('a', 'Heart Coffee', 'Pearl'),
+    place('b', 'Heart Coffee', 'Pearl'),
+    place('c', 'Heart Coffee', 'Pearl')
+  ]);
+  const slugs = features.map(f => f.properties.slug).sort();
+  assertEqual(slugs.join(','), 'heart-coffee,heart-coffee-2,heart-coffee-pearl');
+});
+
+test('does not depend on note order', () => {
+  const first = assignSlugs([place('a', 'Heart'), place('b', 'Heart')]);
+  const second = assignSlugs([place('b', 'Heart'), place('a', 'Heart')]);
+  assertEqual(first[0].properties.slug, second[1].properties.slug);
+});
+
+test('keeps existing slugs when a namesake is added', () => {
+  const history = new Map([[featureId('z'), { slug: 'heart', previousSlugs: [] }]]);
+  const features = assignSlugs([place('a', 'Heart', 'Pearl'), place('z', 'Heart', 'Buckman')], history);
+  assertEqual(features[1].properties.slug, 'heart');
+  assertEqual(features[0].properties.slug, 'heart-pearl');
+});
+
+test('records the old slug when a place is renamed', () => {
+  const history = new Map([[featureId('a'), { slug: 'heart', previousSlugs: ['heart-coffee'] }]]);
+  const [feature] = assignSlugs([place('a', 'Heart Roasters')], history);
+  assertEqual(feature.properties.slug, 'heart-roasters');
+  assertEqual(feature.properties.previousSlugs.join(','), 'heart-coffee,heart');
+});
+
+test('drops old slugs another place now uses', () => {
+  const history = new Map([[featureId('a'), { slug: 'heart', previousSlugs: [] }]]);
+  const features = assignSlugs([place('a', 'Heart Roasters'), place('b', 'Heart')], history);
+  assertEqual(features[1].properties.slug, 'heart');
+  assertEqual(features[0].properties.previousSlugs.length, 0);
+});
+
+test('falls back to "place" for names without letters or digits', () => {
+  assertEqual(assignSlugs([place('a', '???')])[0].properties.slug, 'place');
+});
+
+// ===== HISTORY =====
+
+console.log('\n--- readSlugHistory ---');
+
+test('reads slugs by feature id', () => {
+  const history = readSlugHistory({
+    features: [
+      { id: 'abc', properties: { slug: 'heart', previousSlugs: ['old'] } },
+      { id: 'def', properties: { slug: 'stumptown' } },
+      { properties: { slug: 'no-id' } }
+    ]
+  });
+  assertEqual(history.size, 2);
+  assertEqual(history.get('abc').previousSlugs.join(','), 'old');
+  assertEqual(history.get('def').previousSlugs.length, 0);
+});
+
+test('handles missing or older output', () => {
+  assertEqual(readSlugHistory(null).size, 0);
+  assertEqual(readSlugHistory({ features: [{ properties: { name: 'x' } }] }).size, 0);
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
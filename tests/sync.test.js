@@ -0,0 +1,183 @@
+/**
+ * Tests for the sync helpers (lib/sync.mjs)
+ * Run with: node tests/sync.test.js
+ */
+
+import { mkdtempSync, writeFileSync, existsSync, readFileSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { acquireLock, createJsonLogger, formatCommitMessage, isPushRejected, isProcessRunning } from '../lib/sync.mjs';
+import { diffPlaces } from '../lib/changelog.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'sync-test-'));
+const lockFile = join(dir, '.sync.lock');
+
+const place = (id, name, overrides = {}) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates: [-122.6819, 45.5231] },
+  properties: { name, category: 'Food & Drink', status: 'queue', ...overrides }
+});
+const collection = features => ({ type: 'FeatureCollection', categories: [], features });
+
+// ===== LOCK =====
+
+console.log('\n--- acquireLock ---');
+
+await test('takes a free lock and releases it', async () => {
+  const lock = await acquireLock(lockFile, { pid: 1234 });
+  assert(lock.acquired);
+  assertEqual(JSON.parse(readFileSync(lockFile, 'utf-8')).pid, 1234);
+  await lock.release();
+  assert(!existsSync(lockFile));
+});
+
+await test('skips while another run holds the lock', async () => {
+  const first = await acquireLock(lockFile, { pid: 1234, isRunning: () => true });
+  const second = await acquireLock(lockFile, { pid: 5678, isRunning: () => true });
+  assert(!second.acquired);
+  assertEqual(second.holder.pid, 1234);
+  await first.release();
+});
+
+await test('takes over a lock whose process exited', async () => {
+  writeFileSync(lockFile, JSON.stringify({ pid: 1234, startedAt: new Date().toISOString() }));
+  const lock = await acquireLock(lockFile, { pid: 5678, isRunning: pid => pid !== 1234 });
+  assert(lock.acquired);
+  assertEqual(JSON.parse(readFileSync(lockFile, 'utf-8')).pid, 5678);
+  await lock.release();
+});
+
+await test('takes over a stale lock', async () => {
+  writeFileSync(lockFile, JSON.stringify({ pid: 1234, startedAt: '2020-01-01T00:00:00.000Z' }));
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  utimesSync(lockFile, twoHoursAgo, twoHoursAgo);
+  const lock = await acquireLock(lockFile, { staleMs: 60 * 60 * 1000, isRunning: () => true });
+  assert(lock.acquired);
+  await lock.release();
+});
+
+await test('treats a half-written lock as held', async () => {
+  writeFileSync(lockFile, '');
+  const lock = await acquireLock(lockFile, { isRunning: () => false });
+  assert(!lock.acquired);
+  rmSync(lockFile);
+});
+
+await test('knows this process is running', async () => {
+  assert(isProcessRunning(process.pid));
+});
+
+// ===== LOGGING =====
+
+console.log('\n--- createJsonLogger ---');
+
+await test('writes one JSON object per line', async () => {
+  const lines = [];
+  const log = createJsonLogger(line => lines.push(line), { now: () => new Date('2026-03-01T08:00:00Z') });
+  log.info('pulled', { head: 'abc123' });
+  log.error('error', { message: 'push failed' });
+  assertEqual(lines[0], '{"time":"2026-03-01T08:00:00.000Z","level":"info","event":"pulled","head":"abc123"}\n');
+  assertEqual(JSON.parse(lines[1]).level, 'error');
+});
+
+await test('adapts console-style logging', async () => {
+  const lines = [];
+  const log = createJsonLogger(line => lines.push(line));
+  const output = log.console('generator');
+  output.log('\nWrote %d places', 3);
+  output.warn('');
+  output.error(new Error('boom'));
+  assertEqual(lines.length, 2);
+  const first = JSON.parse(lines[0]);
+  assertEqual(`${first.level} ${first.event} ${first.message}`, 'info generator Wrote 3 places');
+  assert(JSON.parse(lines[1]).message.startsWith('Error: boom'));
+});
+
+// ===== COMMIT MESSAGE =====
+
+console.log('\n--- formatCommitMessage ---');
+
+const changes = diffPlaces(
+  collection([place('a', 'Heart'), place('b', 'Coava')]),
+  collection([place('a', 'Heart', { status: 'haunts' }), place('c', 'Stumptown')])
+);
+const date = new Date(2026, 2, 1, 8);
+
+await test('counts the changes in the subject and lists them in the body', async () => {
+  const message = formatCommitMessage({ changelog: '3 changes\n\nAdded (1):', collections: [{ id: null, name: 'Portland Places', changes }] }, date);
+  assertEqual(message.subject, 'Update places 2026-03-01: 1 added, 1 removed, 1 changed status');
+  assertEqual(message.body, '3 changes\n\nAdded (1):');
+});
+
+await test('names collections when there are several', async () => {
+  const message = formatCommitMessage({
+    changelog: 'Seattle: 3 changes',
+    collections: [
+      { id: 'portland', name: 'Portland', changes: diffPlaces(collection([]), collection([])) },
+      { id: 'seattle', name: 'Seattle', changes }
+    ]
+  }, date);
+  assertEqual(message.subject, 'Update places 2026-03-01: Seattle 1 added, 1 removed, 1 changed status');
+});
+
+await test('still explains a regeneration without place changes', async () => {
+  const message = formatCommitMessage({ changelog: '', collections: [{ id: null, name: 'Portland Places', changes: diffPlaces(collection([]), collection([])) }] }, date);
+  assertEqual(message.subject, 'Update places 2026-03-01');
+  assertEqual(message.body, 'Regenerated without changes to places');
+});
+
+// ===== PUSH RACES =====
+
+console.log('\n--- isPushRejected ---');
+
+await test('recognizes a push that lost a race', async () => {
+  const stderr = ' ! [rejected]        main -> main (fetch first)\nerror: failed to push some refs';
+  assert(isPushRejected(Object.assign(new Error('Command failed: git push'), { stderr })));
+  assert(isPushRejected({ stderr: ' ! [rejected] main -> main (non-fast-forward)' }));
+  // Both pushes reached the remote at once
+  assert(isPushRejected({ stderr: "remote: error: cannot lock ref 'refs/heads/main': is at 1a2b but expected 3c4d\n ! [remote rejected] main -> main (failed to update ref)" }));
+});
+
+await test('leaves other push failures alone', async () => {
+  assert(!isPushRejected({ stderr: ' ! [remote rejected] main -> main (pre-receive hook declined)' }));
+  assert(!isPushRejected(new Error('Could not resolve host: github.com')));
+});
+
+// ===== CLEANUP & SUMMARY =====
+
+rmSync(dir, { recursive: true, force: true });
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
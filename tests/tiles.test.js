@@ -0,0 +1,179 @@
+/**
+ * Tests for chunked output (lib/tiles.mjs)
+ * Run with: node tests/tiles.test.js
+ */
+
+import {
+  TILE_INDEX_VERSION,
+  lngLatToTile,
+  boundingBox,
+  splitIntoChunks,
+  buildTiles,
+  chunksInBounds,
+  isChunkFile
+} from '../lib/tiles.mjs';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+const place = (name, coordinates, properties = {}) => ({
+  type: 'Feature',
+  id: name,
+  geometry: { type: 'Point', coordinates },
+  properties: { name, slug: name, ...properties }
+});
+
+// Downtown Portland, Mississippi Ave, and Seattle
+const portland = [
+  place('powells', [-122.6813, 45.5231]),
+  place('heart', [-122.6501, 45.5220]),
+  place('mississippi', [-122.6756, 45.5507])
+];
+const seattle = place('elliott-bay', [-122.3194, 47.6145]);
+
+// ===== TILES =====
+
+console.log('\n--- lngLatToTile ---');
+
+test('puts everything in the one tile at zoom 0', () => {
+  const tile = lngLatToTile([-122.68, 45.52], 0);
+  assertEqual(`${tile.x}/${tile.y}`, '0/0');
+});
+
+test('matches the standard web map tile scheme', () => {
+  // Downtown Portland at zoom 10 is tile 163/366
+  const tile = lngLatToTile([-122.6813, 45.5231], 10);
+  assertEqual(`${tile.x}/${tile.y}`, '163/366');
+});
+
+test('clamps positions beyond the Mercator limits', () => {
+  const tile = lngLatToTile([180, 89.9], 3);
+  assertEqual(`${tile.x}/${tile.y}`, '7/0');
+});
+
+console.log('\n--- boundingBox ---');
+
+test('spans every position', () => {
+  assertEqual(boundingBox(portland).join(','), '-122.6813,45.522,-122.6501,45.5507');
+  assertEqual(boundingBox([]), null);
+});
+
+// ===== CHUNKS =====
+
+console.log('\n--- splitIntoChunks ---');
+
+test('keeps small sets in one chunk', () => {
+  const chunks = splitIntoChunks([...portland, seattle], { maxPlaces: 10 });
+  assertEqual(chunks.length, 1);
+  assertEqual(chunks[0].tile.join('/'), '0/0/0');
+});
+
+test('splits until chunks are small enough', () => {
+  const chunks = splitIntoChunks([...portland, seattle], { maxPlaces: 3 });
+  assertEqual(chunks.length, 2);
+  const counts = chunks.map(c => c.features.length).sort();
+  assertEqual(counts.join(','), '1,3');
+  assert(chunks.every(c => c.tile[0] > 0));
+});
+
+test('stops splitting at the maximum zoom', () => {
+  const crowded = [place('a', [-122.68, 45.52]), place('b', [-122.68, 45.52]), place('c', [-122.68, 45.52])];
+  const chunks = splitIntoChunks(crowded, { maxPlaces: 1, maxZoom: 5 });
+  assertEqual(chunks.length, 1);
+  assertEqual(chunks[0].tile[0], 5);
+  assertEqual(chunks[0].features.length, 3);
+});
+
+test('keeps every place exactly once', () => {
+  const features = [...portland, seattle];
+  const chunks = splitIntoChunks(features, { maxPlaces: 1 });
+  const names = chunks.flatMap(c => c.features.map(f => f.id)).sort();
+  assertEqual(names.join(','), features.map(f => f.id).sort().join(','));
+});
+
+test('returns no chunks for no places', () => {
+  assertEqual(splitIntoChunks([]).length, 0);
+});
+
+// ===== INDEX =====
+
+console.log('\n--- buildTiles ---');
+
+test('writes a file per chunk and an index', () => {
+  const { index, files } = buildTiles([...portland, seattle], { maxPlaces: 3, timezone: 'America/Los_Angeles' });
+  assertEqual(index.version, TILE_INDEX_VERSION);
+  assertEqual(index.timezone, 'America/Los_Angeles');
+  assertEqual(index.count, 4);
+  assertEqual(files.length, 2);
+  assertEqual(index.chunks.map(c => c.file).join(','), files.map(f => f.file).join(','));
+  assert(files.every(f => isChunkFile(f.file) && f.geojson.type === 'FeatureCollection'));
+  assertEqual(index.chunks.reduce((sum, c) => sum + c.count, 0), 4);
+});
+
+test('gives each chunk the bounding box of its places', () => {
+  const { index } = buildTiles([...portland, seattle], { maxPlaces: 3 });
+  const seattleChunk = index.chunks.find(c => c.count === 1);
+  assertEqual(seattleChunk.bbox.join(','), '-122.3194,47.6145,-122.3194,47.6145');
+});
+
+test('maps current and previous slugs to chunks', () => {
+  const renamed = place('heart-roasters', [-122.3194, 47.6145], { previousSlugs: ['heart'] });
+  const { index } = buildTiles([...portland, renamed], { maxPlaces: 3 });
+  const chunkOf = slug => index.chunks[index.slugs[slug]];
+  assertEqual(chunkOf('heart-roasters').count, 1);
+  assertEqual(chunkOf('powells').count, 3);
+  // A slug in use wins over another place's old slug
+  assertEqual(chunkOf('heart').count, 3);
+});
+
+console.log('\n--- chunksInBounds ---');
+
+test('finds chunks overlapping the view', () => {
+  const { index } = buildTiles([...portland, seattle], { maxPlaces: 3 });
+  const downtown = chunksInBounds(index, [-122.7, 45.5, -122.6, 45.6]);
+  assertEqual(downtown.length, 1);
+  assertEqual(index.chunks[downtown[0]].count, 3);
+  assertEqual(chunksInBounds(index, [-123, 45, -122, 48]).length, 2);
+  assertEqual(chunksInBounds(index, [0, 0, 1, 1]).length, 0);
+});
+
+console.log('\n--- isChunkFile ---');
+
+test('recognizes chunk file names only', () => {
+  assert(isChunkFile('12-654-1464.json'));
+  assert(!isChunkFile('index.json'));
+  assert(!isChunkFile('notes.json'));
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,214 @@
+/**
+ * Tests for trip ordering, routers and links (lib/trip.mjs)
+ * Run with: node tests/trip.test.js
+ */
+
+import {
+  MAX_TRIP_STOPS,
+  RoutingError,
+  tripLength,
+  solveTripOrder,
+  travelMinutes,
+  createStraightLineRouter,
+  createGridRouter,
+  createOsrmRouter,
+  createRouter,
+  encodeTripHash,
+  decodeTripHash
+} from '../lib/trip.mjs';
+
+// Simple async test runner
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✓ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(`  ${err.message}`);
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected "${expected}", got "${actual}"`);
+  }
+}
+
+// Distances between points on a line at these positions
+const lineMatrix = positions => positions.map(a => positions.map(b => Math.abs(a - b)));
+
+// Either direction along a path is as short
+const sameOrder = (order, expected) => [expected, [...expected].reverse()].some(e => e.join() === order.join());
+
+// ===== ORDER =====
+
+console.log('\n--- solveTripOrder ---');
+
+await test('measures an open path', async () => {
+  assertEqual(tripLength([0, 1, 2], lineMatrix([0, 10, 30])), 30);
+  assertEqual(tripLength([1, 0, 2], lineMatrix([0, 10, 30])), 40);
+  assertEqual(tripLength([2], lineMatrix([0, 10, 30])), 0);
+});
+
+await test('visits points along a line end to end', async () => {
+  // Positions 0..5, listed out of order
+  const order = solveTripOrder(lineMatrix([3, 0, 5, 1, 4, 2]));
+  assert(sameOrder(order, [1, 3, 5, 0, 4, 2]), order.join());
+});
+
+await test('uncrosses paths nearest neighbor leaves crossed', async () => {
+  // Two rows of points: greedy from a corner zigzags, 2-opt straightens it
+  const points = [[0, 0], [1, 0], [2, 0], [3, 0], [0, 1], [1, 1], [2, 1], [3, 1]];
+  const matrix = points.map(([x1, y1]) => points.map(([x2, y2]) => Math.hypot(x1 - x2, y1 - y2)));
+  const order = solveTripOrder(matrix);
+  assertEqual(order.length, 8);
+  assertEqual(new Set(order).size, 8);
+  assert(Math.abs(tripLength(order, matrix) - 7) < 1e-9, `length ${tripLength(order, matrix)}`);
+});
+
+await test('keeps one or two stops as they are', async () => {
+  assertEqual(solveTripOrder([]).join(), '');
+  assertEqual(solveTripOrder([[0]]).join(), '0');
+  assertEqual(solveTripOrder(lineMatrix([5, 0])).join(), '0,1');
+});
+
+await test('follows one-way distances', async () => {
+  // 0 → 1 → 2 is cheap; the reverse is not
+  const matrix = [
+    [0, 1, 50],
+    [50, 0, 1],
+    [50, 50, 0]
+  ];
+  assertEqual(solveTripOrder(matrix).join(), '0,1,2');
+});
+
+await test('times legs by travel mode', async () => {
+  assertEqual(travelMinutes(800), 10);
+  assertEqual(travelMinutes(801), 11);
+  assertEqual(travelMinutes(2500, 'bike'), 10);
+  assertEqual(travelMinutes(800, 'walk', 'brisk'), 8);
+  assertEqual(travelMinutes(800, 'walk', 'relaxed'), 13);
+});
+
+// ===== ROUTERS =====
+
+console.log('\n--- routers ---');
+
+// Coava and Powell's, about 1.6 km apart
+const coava = [45.5165, -122.6610];
+const powells = [45.5231, -122.6813];
+
+await test('routes as the crow flies', async () => {
+  const router = createStraightLineRouter();
+  const matrix = await router.matrix([coava, powells]);
+  assertEqual(matrix[0][0], 0);
+  assert(Math.abs(matrix[0][1] - 1733) < 20, String(matrix[0][1]));
+  const { legs, path } = await router.route([coava, powells]);
+  assertEqual(legs.length, 1);
+  assertEqual(legs[0], matrix[0][1]);
+  assertEqual(JSON.stringify(path), JSON.stringify([coava, powells]));
+});
+
+await test('estimates streets along the grid', async () => {
+  const [straight, grid] = await Promise.all([createStraightLineRouter(), createGridRouter()].map(r => r.matrix([coava, powells])));
+  assert(grid[0][1] > straight[0][1] && grid[0][1] < straight[0][1] * 1.5, `${grid[0][1]} vs ${straight[0][1]}`);
+  assert(Math.abs(grid[0][1] - grid[1][0]) < 5);
+  assert(createGridRouter().estimated);
+});
+
+// Fake fetch answering OSRM requests with `answer(url)`, recording URLs
+function fakeOsrm(answer) {
+  const urls = [];
+  const fetchImpl = async url => {
+    urls.push(String(url));
+    const { status = 200, body } = answer(new URL(url));
+    return { ok: status < 400, status, json: async () => body };
+  };
+  return { urls, fetchImpl };
+}
+
+await test('asks an OSRM server for distances and the route', async () => {
+  const { urls, fetchImpl } = fakeOsrm(url => url.pathname.includes('/table/')
+    ? { body: { code: 'Ok', distances: [[0, 2100], [2050, 0]] } }
+    : { body: { code: 'Ok', routes: [{ legs: [{ distance: 2100 }], geometry: { coordinates: [[-122.661, 45.5165], [-122.67, 45.52], [-122.6813, 45.5231]] } }] } });
+  const router = createOsrmRouter({ url: 'https://osrm.example/routed-foot/', fetchImpl });
+
+  assertEqual(JSON.stringify(await router.matrix([coava, powells])), '[[0,2100],[2050,0]]');
+  assertEqual(urls[0], 'https://osrm.example/routed-foot/table/v1/driving/-122.661,45.5165;-122.6813,45.5231?annotations=distance');
+
+  const { legs, path } = await router.route([coava, powells]);
+  assertEqual(legs.join(), '2100');
+  assertEqual(JSON.stringify(path[1]), '[45.52,-122.67]');
+  assert(urls[1].includes('/route/v1/driving/') && urls[1].includes('geometries=geojson'), urls[1]);
+  assert(!router.estimated);
+});
+
+await test('raises RoutingError when OSRM fails or finds no way', async () => {
+  const cases = [
+    [() => ({ status: 400, body: { code: 'InvalidQuery', message: 'Query string malformed' } }), 'Query string malformed'],
+    [() => ({ status: 502, body: null }), 'routing service answered HTTP 502'],
+    [() => ({ body: { code: 'Ok', distances: [[0, null], [null, 0]] } }), 'no route between some of the stops']
+  ];
+  for (const [answer, reason] of cases) {
+    const router = createOsrmRouter({ url: 'https://osrm.example', fetchImpl: fakeOsrm(answer).fetchImpl });
+    const err = await router.matrix([coava, powells]).then(() => null, e => e);
+    assert(err instanceof RoutingError, String(err));
+    assertEqual(err.reason, reason);
+  }
+
+  const offline = createOsrmRouter({ url: 'https://osrm.example', fetchImpl: async () => { throw new Error('fetch failed'); } });
+  const err = await offline.route([coava, powells]).then(() => null, e => e);
+  assertEqual(err.reason, 'routing service unreachable (fetch failed)');
+});
+
+await test('creates routers by name', async () => {
+  assertEqual(createRouter('grid').name, 'grid');
+  assertEqual(createRouter('osrm', { url: 'https://osrm.example' }).name, 'osrm');
+  let message = null;
+  try {
+    createRouter('teleport');
+  } catch (err) {
+    message = err.message;
+  }
+  assertEqual(message, 'Unknown router "teleport" (available: straight, grid, osrm)');
+});
+
+// ===== HASH =====
+
+console.log('\n--- trip hash ---');
+
+await test('round-trips slugs in order', async () => {
+  const hash = encodeTripHash(['powells-city-of-books', 'coava', 'apizza-scholls']);
+  assertEqual(hash, '#trip/powells-city-of-books,coava,apizza-scholls');
+  assertEqual(decodeTripHash(hash).join(), 'powells-city-of-books,coava,apizza-scholls');
+});
+
+await test('drops repeats, blanks and malformed slugs', async () => {
+  assertEqual(decodeTripHash('#trip/coava,,coava,%E0%A4%A,powells').join(), 'coava,powells');
+  assertEqual(decodeTripHash(`#trip/${Array.from({ length: 40 }, (_, i) => `p${i}`).join(',')}`).length, MAX_TRIP_STOPS);
+});
+
+await test('ignores other hashes', async () => {
+  assertEqual(decodeTripHash('#place/coava'), null);
+  assertEqual(decodeTripHash('#trip/'), null);
+  assertEqual(decodeTripHash(''), null);
+});
+
+// ===== SUMMARY =====
+
+console.log('\n-------------------');
+console.log(`Tests: ${passed + failed}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log('-------------------\n');
+
+process.exit(failed > 0 ? 1 : 0);